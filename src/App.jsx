@@ -1,79 +1,249 @@
-import React, { useState, useEffect } from 'react';
-import { Info, Play, Pause, RotateCcw, Droplet } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Info, Play, Pause, RotateCcw, Droplet, Link, Download, Upload, FileDown } from 'lucide-react';
+import { pathogenPresets } from './engine/presets';
+import { randomSeed } from './engine/rng';
+import { SIMULATION_MODES } from './engine/modes';
+import { MODELS, effectivePopSize, toModelParams, selectionRegime } from './engine/simulation';
+import { kimuraFixation, kimuraFixationTime, deterministicTrajectory, stableEquilibria } from './engine/theory';
+import { MAX_LOCI, recombinationRate } from './engine/multilocus';
+import { metapopulationPresets } from './engine/metapopulation';
+import { defaultTransmission } from './engine/transmission';
+import { applySchedule, scheduleRegions } from './engine/schedule';
+import { defaultResistance, drugActive } from './engine/resistance';
+import { recordingToCSV, recordingToJSON } from './engine/recorder';
+import { agentCount } from './engine/agents';
+import { defaultSelectionModel } from './engine/selection';
+import { toNewick } from './engine/genealogy';
+import { defaultEpidemic, createEpidemic, epidemicNe } from './engine/epidemic';
+import { defaultSequences, referenceOf, toFasta } from './engine/sequences';
+import { defaultLandscape } from './engine/landscape';
+import { runKind, createRun, initialUpdate, createRunView, applyUpdates, EPIDEMIC_KINDS } from './engine/runner';
+import { MAX_RATE, createEngine, generationsPerSecond } from './engine/loop';
+import { encodeScenarioHash, decodeScenarioHash, scenarioToJSON, parseScenarioJSON } from './scenario';
+import { loadUserPresets, saveUserPresets } from './presetStore';
+import { downloadFile } from './download';
+import { formatCount } from './format';
+import { serializeSvg, paletteSvg, svgToPng } from './figures';
+import TrajectoryPlot from './components/TrajectoryPlot';
+import HaplotypePlot from './components/HaplotypePlot';
+import MetapopulationPanel from './components/MetapopulationPanel';
+import TransmissionPanel from './components/TransmissionPanel';
+import SchedulePanel from './components/SchedulePanel';
+import ResistancePanel from './components/ResistancePanel';
+import AgentPanel from './components/AgentPanel';
+import GenealogyTree from './components/GenealogyTree';
+import PresetEditor from './components/PresetEditor';
+import SelectionPanel from './components/SelectionPanel';
+import EpidemicPanel from './components/EpidemicPanel';
+import ComparisonPanel from './components/ComparisonPanel';
+import SweepPanel from './components/SweepPanel';
+import InferencePanel from './components/InferencePanel';
+import LessonPanel from './components/LessonPanel';
+import SequencePanel from './components/SequencePanel';
+import LandscapePanel from './components/LandscapePanel';
+import MeanFitnessPlot from './components/MeanFitnessPlot';
+
+// Scenario encoded in the page URL, if any; a broken link falls back to defaults
+const scenarioFromHash = () => {
+  try {
+    return decodeScenarioHash(window.location.hash);
+  } catch (err) {
+    return {};
+  }
+};
+
+// Generation 0 of a run, drawn before the engine has stepped it
+const firstView = (config, params, schedule, epidemic) => (
+  createRunView(config.kind, initialUpdate(createRun(config), {
+    params, schedule, meta: config.meta, resistance: config.resistance, landscape: config.landscape, epidemic
+  }))
+);
+
+// Individuals start at the size the epidemic's first infected hosts give
+const initialAgentCount = (params, epidemic) => agentCount(
+  epidemic.enabled ? { ...params, Ne: epidemicNe(createEpidemic(epidemic), epidemic) } : params
+);
 
 const PathogenEvolutionVisualizer = () => {
+  // Settings shared through the URL hash take precedence over the defaults
+  const [initial] = useState(scenarioFromHash);
+
   // Force sliders (0-100 scale)
-  const [mutation, setMutation] = useState(30);
-  const [selection, setSelection] = useState(40);
-  const [geneFlow, setGeneFlow] = useState(20);
-  const [drift, setDrift] = useState(25);
-  const [recombination, setRecombination] = useState(15);
+  const [mutation, setMutation] = useState(initial.mutation ?? 30);
+  const [selection, setSelection] = useState(initial.selection ?? 40);
+  const [geneFlow, setGeneFlow] = useState(initial.geneFlow ?? 20);
+  const [drift, setDrift] = useState(initial.drift ?? 25);
+  const [recombination, setRecombination] = useState(initial.recombination ?? 15);
   
   // Pathogen-specific parameters
-  const [popSize, setPopSize] = useState(50);
-  const [generationTime, setGenerationTime] = useState(50);
-  const [pathogenType, setPathogenType] = useState('influenza');
+  const [popSize, setPopSize] = useState(initial.popSize ?? 50);
+  const [sourceFreq, setSourceFreq] = useState(initial.sourceFreq ?? 50);
+  const [generationTime, setGenerationTime] = useState(initial.generationTime ?? 50);
+  const [pathogenType, setPathogenType] = useState(initial.pathogenType ?? 'influenza');
+
+  // User-defined presets (localStorage) listed after the read-only built-ins
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const allPresets = { ...pathogenPresets, ...userPresets };
+  useEffect(() => {
+    saveUserPresets(userPresets);
+  }, [userPresets]);
   
   // Simulation state
   const [isPlaying, setIsPlaying] = useState(false);
-  const [alleleFreq, setAlleleFreq] = useState(0.5);
-  const [time, setTime] = useState(0);
-  const [history, setHistory] = useState([0.5]);
+  const [recurrentMutation, setRecurrentMutation] = useState(initial.recurrentMutation ?? false);
+  const [seed, setSeed] = useState(() => initial.seed ?? randomSeed());
+  const trajectorySvgRef = useRef(null);
+  const fitnessSvgRef = useRef(null);
+
+  // Ensemble mode
+  const [ensembleMode, setEnsembleMode] = useState(initial.ensemble ?? false);
+  const [replicates, setReplicates] = useState(initial.replicates ?? 100);
+
+  // Population structure
+  const [simMode, setSimMode] = useState(initial.mode ?? 'single');
+
+  // Multi-locus / segmented genome
+  const [loci, setLoci] = useState(initial.loci ?? 2);
+
+  // Metapopulation of linked demes
+  const [metaConfig, setMetaConfig] = useState(initial.metapopulation ?? metapopulationPresets.islands);
+
+  // Drug resistance with fitness cost and compensation
+  const [resistanceConfig, setResistanceConfig] = useState(initial.resistance ?? defaultResistance);
+
+  // Time-varying parameter schedule (treatment, vaccination, seasonality)
+  const [schedule, setSchedule] = useState(initial.schedule ?? []);
+
+  // Directional, balancing, frequency-dependent or host-immunity selection
+  const [selectionModel, setSelectionModel] = useState(initial.selectionModel ?? defaultSelectionModel);
+
+  // SIR/SEIR host epidemic whose infected hosts set Nₑ
+  const [epidemicConfig, setEpidemicConfig] = useState(initial.epidemic ?? defaultEpidemic);
+
+  // Reference, designated codons and substitution model of the sequence mode
+  const [sequenceConfig, setSequenceConfig] = useState(initial.sequences ?? defaultSequences);
+
+  // Fitness of every genotype over 2-4 loci in the landscape mode
+  const [landscapeConfig, setLandscapeConfig] = useState(initial.landscape ?? defaultLandscape);
+
+  // The palette panel shows the force colours or, where tracked, mean fitness
+  const [paletteView, setPaletteView] = useState('forces');
+
+  // Uploaded time series and its fit, drawn on the trajectory plot
+  const [fitOverlay, setFitOverlay] = useState(null);
+
+  // Deterministic expectation and equilibria drawn over the trajectory
+  const [showTheory, setShowTheory] = useState(false);
+
+  // Step of the guided lesson being shown, and the generation its reveal run stops at
+  const [lessonStep, setLessonStep] = useState(null);
+  const [lessonStop, setLessonStop] = useState(null);
+
+  // Within-host evolution along a transmission chain
+  const [transmissionConfig, setTransmissionConfig] = useState(initial.transmission ?? defaultTransmission);
   
   // View mode
-  const [viewMode, setViewMode] = useState('color');
-
-  // Pathogen presets
-  const pathogenPresets = {
-    influenza: {
-      name: 'Influenza A (Antigenic Drift)',
-      mutation: 60,
-      selection: 70,
-      geneFlow: 65,
-      drift: 35,
-      recombination: 80,
-      popSize: 40,
-      generationTime: 60,
-      description: 'High mutation, strong selection, global gene flow, reassortment'
-    },
-    hiv: {
-      name: 'HIV (Within-Host)',
-      mutation: 70,
-      selection: 85,
-      geneFlow: 10,
-      drift: 20,
-      recombination: 30,
-      popSize: 80,
-      generationTime: 90,
-      description: 'Very high mutation, strong selection, large Ne, bottlenecks at transmission'
-    },
-    bacteria: {
-      name: 'Bacterial Pathogen',
-      mutation: 20,
-      selection: 50,
-      geneFlow: 40,
-      drift: 40,
-      recombination: 60,
-      popSize: 60,
-      generationTime: 40,
-      description: 'Moderate mutation, horizontal gene transfer, variable recombination'
-    },
-    fungal: {
-      name: 'Fungal Pathogen (Mixed)',
-      mutation: 25,
-      selection: 55,
-      geneFlow: 50,
-      drift: 45,
-      recombination: 70,
-      popSize: 50,
-      generationTime: 30,
-      description: 'Mixed sexual/asexual, spore dispersal, seasonal cycles'
-    }
+  const [viewMode, setViewMode] = useState(initial.viewMode ?? 'color');
+  const [model, setModel] = useState(initial.model ?? 'wright-fisher');
+  // Only the single-population mode offers the classroom heuristic and ensembles
+  const activeModel = simMode === 'single' ? model : 'wright-fisher';
+  const multiLocus = simMode === 'linkage';
+  const showEnsemble = ensembleMode && simMode === 'single';
+
+  // Slider values before any schedule is applied
+  const currentParams = {
+    model: activeModel, mutation, selection, geneFlow, drift, recombination, popSize, sourceFreq, selectionModel,
+    drug: resistanceConfig.drug ? 100 : 0
   };
 
+  // The run being drawn. The engine steps it in a Web Worker and posts
+  // batches of generations, which are appended to the view in place; a
+  // requestAnimationFrame loop re-renders at most once per frame.
+  const runIdRef = useRef(0);
+  const runConfigRef = useRef(null);
+  const viewRef = useRef(null);
+  if (viewRef.current === null) {
+    runConfigRef.current = {
+      kind: runKind(simMode, ensembleMode), seed, replicates, loci, meta: metaConfig, resistance: resistanceConfig,
+      agentCount: initialAgentCount(currentParams, epidemicConfig), sequences: sequenceConfig, landscape: landscapeConfig
+    };
+    viewRef.current = firstView(runConfigRef.current, currentParams, schedule, epidemicConfig);
+  }
+  const engineRef = useRef(null);
+  const dirtyRef = useRef(false);
+  const [, setFrame] = useState(0);
+
+  useEffect(() => {
+    const receive = ({ id, updates }) => {
+      // Batches still in flight from a run that has since been reset
+      if (id !== runIdRef.current) return;
+      applyUpdates(viewRef.current, updates);
+      dirtyRef.current = true;
+    };
+
+    let worker = null;
+    let cancelled = false;
+    if (typeof Worker === 'undefined') {
+      engineRef.current = createEngine(receive);
+    } else {
+      // Messages sent while the worker chunk loads are replayed in order
+      const queued = [];
+      engineRef.current = message => queued.push(message);
+      import('./engine/workers').then(({ createSimulationWorker }) => {
+        if (cancelled) return;
+        worker = createSimulationWorker();
+        worker.onmessage = ({ data }) => receive(data);
+        engineRef.current = message => worker.postMessage(message);
+        queued.forEach(message => worker.postMessage(message));
+      });
+    }
+    engineRef.current({ type: 'reset', id: runIdRef.current, config: runConfigRef.current });
+
+    let frame;
+    const render = () => {
+      if (dirtyRef.current) {
+        dirtyRef.current = false;
+        setFrame(f => f + 1);
+      }
+      frame = requestAnimationFrame(render);
+    };
+    frame = requestAnimationFrame(render);
+
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frame);
+      if (worker) worker.terminate();
+      else engineRef.current({ type: 'pause' });
+    };
+  }, []);
+
+  // Slider moves only update the engine's settings; the clock keeps running
+  useEffect(() => {
+    engineRef.current({
+      type: 'settings',
+      settings: {
+        params: {
+          model: activeModel, mutation, selection, geneFlow, drift, recombination, popSize, sourceFreq, recurrentMutation, selectionModel,
+          drug: resistanceConfig.drug ? 100 : 0
+        },
+        schedule,
+        meta: metaConfig,
+        transmission: transmissionConfig,
+        resistance: resistanceConfig,
+        epidemic: epidemicConfig,
+        sequences: sequenceConfig,
+        landscape: landscapeConfig,
+        rate: generationsPerSecond(generationTime)
+      }
+    });
+  }, [activeModel, mutation, selection, geneFlow, drift, recombination, popSize, sourceFreq, recurrentMutation, selectionModel, schedule, metaConfig, transmissionConfig, resistanceConfig, epidemicConfig, sequenceConfig, landscapeConfig, generationTime]);
+
+  useEffect(() => {
+    engineRef.current({ type: isPlaying ? 'play' : 'pause' });
+  }, [isPlaying]);
+
   // Apply pathogen preset
-  const applyPreset = (type) => {
-    const preset = pathogenPresets[type];
+  const applyPreset = (type, preset = allPresets[type]) => {
     setMutation(preset.mutation);
     setSelection(preset.selection);
     setGeneFlow(preset.geneFlow);
@@ -81,6 +251,19 @@ const PathogenEvolutionVisualizer = () => {
     setRecombination(preset.recombination);
     setPopSize(preset.popSize);
     setGenerationTime(preset.generationTime);
+    if (preset.sourceFreq !== undefined) setSourceFreq(preset.sourceFreq);
+    setTransmissionConfig(preset.transmission || defaultTransmission);
+    setSchedule(preset.schedule || []);
+    if (preset.resistance) setResistanceConfig(preset.resistance);
+    setSelectionModel(preset.selectionModel || defaultSelectionModel);
+    setEpidemicConfig(preset.epidemic || defaultEpidemic);
+    // Drug-resistance presets switch into their mode; any other preset leaves
+    // it again, so the outcome does not depend on the preset clicked before
+    const mode = preset.mode || (simMode === 'resistance' ? 'single' : null);
+    if (mode) {
+      setSimMode(mode);
+      reset({ mode, resistance: preset.resistance || resistanceConfig });
+    }
     setPathogenType(type);
   };
 
@@ -94,48 +277,259 @@ const PathogenEvolutionVisualizer = () => {
     return { r, g, b, alpha };
   };
 
-  // Calculate evolutionary trajectory
-  const calculateDeltaP = (p) => {
-    const mutationEffect = (mutation / 100 - 0.5) * 0.05;
-    const selectionEffect = (selection / 100 - 0.5) * 0.15 * p * (1 - p);
-    const geneFlowEffect = (geneFlow / 100 - p) * 0.08;
-    const driftEffect = (Math.random() - 0.5) * (drift / 100) * Math.sqrt(p * (1 - p)) * (1 / Math.sqrt(popSize / 50));
-    const recombEffect = (recombination / 100) * 0.03 * (Math.random() - 0.5);
-    
-    return mutationEffect + selectionEffect + geneFlowEffect + driftEffect + recombEffect;
+  // Restart the run from generation 0; `overrides` carries settings whose
+  // state update has not landed yet
+  const reset = (overrides = {}) => {
+    const next = {
+      seed, replicates, loci, mode: simMode, ensemble: ensembleMode, meta: metaConfig, resistance: resistanceConfig,
+      epidemic: epidemicConfig, sequences: sequenceConfig, landscape: landscapeConfig,
+      ...overrides
+    };
+    const config = {
+      kind: runKind(next.mode, next.ensemble),
+      seed: next.seed,
+      replicates: next.replicates,
+      loci: next.loci,
+      meta: next.meta,
+      resistance: next.resistance,
+      agentCount: initialAgentCount(currentParams, next.epidemic),
+      sequences: next.sequences,
+      landscape: next.landscape
+    };
+    const params0 = { ...currentParams, model: next.mode === 'single' ? model : 'wright-fisher' };
+    runIdRef.current += 1;
+    runConfigRef.current = config;
+    viewRef.current = firstView(config, params0, schedule, next.epidemic);
+    engineRef.current({ type: 'reset', id: runIdRef.current, config });
+    setIsPlaying(false);
+    setFrame(f => f + 1);
   };
 
-  // Simulation loop
+  // Everything drawn from the current run
+  const view = viewRef.current;
+  const { history, events, origin, ensembleHistory, haplotypeHistory, metaHistory, resistanceHistory, immunityHistory, epidemicHistory, fitnessHistory, chain } = view;
+  const alleleFreq = view.p;
+  const time = view.generation;
+
+  // A lesson's reveal run pauses at the generation the step asks for
   useEffect(() => {
-    if (!isPlaying) return;
-    
-    const speed = generationTime / 50;
-    const interval = setInterval(() => {
-      setAlleleFreq(prev => {
-        let newFreq = prev + calculateDeltaP(prev);
-        newFreq = Math.max(0.01, Math.min(0.99, newFreq));
-        
-        setHistory(h => {
-          const newHistory = [...h, newFreq];
-          return newHistory.slice(-100);
-        });
-        
-        return newFreq;
-      });
-      
-      setTime(t => t + 1);
-    }, 100 / speed);
-    
-    return () => clearInterval(interval);
-  }, [isPlaying, mutation, selection, geneFlow, drift, recombination, popSize, generationTime]);
+    if (lessonStop !== null && time >= lessonStop) {
+      setIsPlaying(false);
+      setLessonStop(null);
+    }
+  }, [lessonStop, time]);
 
-  const reset = () => {
-    setAlleleFreq(0.5);
-    setTime(0);
-    setHistory([0.5]);
+  // Complete scenario for sharing; structure settings only for the active mode
+  const scenario = {
+    pathogenType, mutation, selection, geneFlow, drift, recombination, popSize, sourceFreq, generationTime,
+    viewMode, model, mode: simMode, seed, recurrentMutation, ensemble: ensembleMode, replicates, loci,
+    metapopulation: simMode === 'metapopulation' ? metaConfig : undefined,
+    transmission: simMode === 'transmission' ? transmissionConfig : undefined,
+    resistance: simMode === 'resistance' ? resistanceConfig : undefined,
+    schedule: schedule.length > 0 ? schedule : undefined,
+    selectionModel: selectionModel.type !== 'directional' ? selectionModel : undefined,
+    epidemic: epidemicConfig.enabled ? epidemicConfig : undefined,
+    sequences: simMode === 'sequences' ? sequenceConfig : undefined,
+    landscape: simMode === 'landscape' ? landscapeConfig : undefined
+  };
+  const scenarioHash = encodeScenarioHash(scenario);
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Keep the address bar in sync without adding history entries
+  useEffect(() => {
+    window.history.replaceState(null, '', scenarioHash);
+  }, [scenarioHash]);
+
+  // Load a (validated) scenario; fields it leaves out keep their current value
+  const applyScenario = (next) => {
+    if (next.mutation !== undefined) setMutation(next.mutation);
+    if (next.selection !== undefined) setSelection(next.selection);
+    if (next.geneFlow !== undefined) setGeneFlow(next.geneFlow);
+    if (next.drift !== undefined) setDrift(next.drift);
+    if (next.recombination !== undefined) setRecombination(next.recombination);
+    if (next.popSize !== undefined) setPopSize(next.popSize);
+    if (next.sourceFreq !== undefined) setSourceFreq(next.sourceFreq);
+    if (next.generationTime !== undefined) setGenerationTime(next.generationTime);
+    if (next.pathogenType !== undefined) setPathogenType(next.pathogenType);
+    if (next.viewMode !== undefined) setViewMode(next.viewMode);
+    if (next.model !== undefined) setModel(next.model);
+    if (next.mode !== undefined) setSimMode(next.mode);
+    if (next.seed !== undefined) setSeed(next.seed);
+    if (next.recurrentMutation !== undefined) setRecurrentMutation(next.recurrentMutation);
+    if (next.ensemble !== undefined) setEnsembleMode(next.ensemble);
+    if (next.replicates !== undefined) setReplicates(next.replicates);
+    if (next.loci !== undefined) setLoci(next.loci);
+    if (next.metapopulation !== undefined) setMetaConfig(next.metapopulation);
+    if (next.transmission !== undefined) setTransmissionConfig(next.transmission);
+    if (next.resistance !== undefined) setResistanceConfig(next.resistance);
+    if (next.schedule !== undefined) setSchedule(next.schedule);
+    if (next.selectionModel !== undefined) setSelectionModel(next.selectionModel);
+    if (next.epidemic !== undefined) setEpidemicConfig(next.epidemic);
+    if (next.sequences !== undefined) setSequenceConfig(next.sequences);
+    if (next.landscape !== undefined) setLandscapeConfig(next.landscape);
+    reset({
+      seed: next.seed ?? seed,
+      replicates: next.replicates ?? replicates,
+      loci: next.loci ?? loci,
+      mode: next.mode ?? simMode,
+      ensemble: next.ensemble ?? ensembleMode,
+      meta: next.metapopulation ?? metaConfig,
+      resistance: next.resistance ?? resistanceConfig,
+      epidemic: next.epidemic ?? epidemicConfig,
+      sequences: next.sequences ?? sequenceConfig,
+      landscape: next.landscape ?? landscapeConfig
+    });
+  };
+
+  // Lesson steps load their setup and lock sliders; the reveal run restarts
+  // from generation 0 so every student sees the same outcome
+  const showLessonStep = (step) => {
+    setLessonStep(step);
+    setLessonStop(null);
     setIsPlaying(false);
+    if (step && step.setup) applyScenario(step.setup);
+  };
+
+  const runLessonStep = (generations) => {
+    reset();
+    setLessonStop(generations);
+    setIsPlaying(true);
+    // The reset stopped the engine's clock; when the app was already playing
+    // isPlaying does not change, so the play effect would not restart it
+    engineRef.current({ type: 'play' });
   };
 
+  const locked = lessonStep ? lessonStep.lock : [];
+  const highlighted = lessonStep && lessonStep.highlight;
+
+  // Outline the region a lesson step points at
+  const lessonRegion = (id) => ({
+    'data-lesson': id,
+    style: highlighted === id ? { outline: '4px solid #f59e0b', outlineOffset: 6, borderRadius: 16 } : undefined
+  });
+
+  useEffect(() => {
+    const region = highlighted && document.querySelector(`[data-lesson="${highlighted}"]`);
+    if (region && region.scrollIntoView) region.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlighted]);
+
+  // A link pasted into the address bar of an open tab only changes the hash
+  const applyScenarioRef = useRef(applyScenario);
+  applyScenarioRef.current = applyScenario;
+  useEffect(() => {
+    const onHashChange = () => {
+      try {
+        applyScenarioRef.current(decodeScenarioHash(window.location.hash));
+      } catch (err) {
+        setNotice({ error: true, text: `Could not load link: ${err.message}` });
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const copyLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${scenarioHash}`;
+    if (!navigator.clipboard) {
+      setNotice({ error: true, text: 'Clipboard unavailable — copy the address bar instead' });
+      return;
+    }
+    navigator.clipboard.writeText(url).then(
+      () => setNotice({ error: false, text: 'Link copied to clipboard' }),
+      () => setNotice({ error: true, text: 'Could not copy — copy the address bar instead' })
+    );
+  };
+
+  const exportName = `run-${pathogenType}-${seed}`;
+
+  const exportRecording = (format) => (format === 'csv'
+    ? downloadFile(`${exportName}.csv`, recordingToCSV(view.recording), 'text/csv')
+    : downloadFile(`${exportName}.json`, recordingToJSON(view.recording, scenario)));
+
+  const exportFasta = () => {
+    const { reference, consensus, sample, generation } = view.snapshot;
+    const { firstCodon } = referenceOf(sequenceConfig);
+    const span = `codons ${firstCodon}-${firstCodon + reference.length / 3 - 1}`;
+    const records = [
+      { name: `reference ${span}`, sequence: reference },
+      { name: `consensus gen=${generation}`, sequence: consensus },
+      ...sample.map((sequence, i) => ({ name: `seq_${i + 1} gen=${generation}`, sequence }))
+    ];
+    downloadFile(`${exportName}-sequences-g${generation}.fasta`, toFasta(records), 'text/plain');
+  };
+  const exportGenealogy = () => downloadFile(`${exportName}-genealogy-g${time}.nwk`, `${toNewick(view.snapshot.genealogy)}\n`, 'text/plain');
+
+  const exportFigure = (figure, name, format) => {
+    if (format === 'svg') {
+      downloadFile(`${name}.svg`, figure.text, 'image/svg+xml');
+      return;
+    }
+    svgToPng(figure).then(
+      blob => downloadFile(`${name}.png`, blob),
+      err => setNotice({ error: true, text: err.message })
+    );
+  };
+
+  const paletteFigure = () => paletteSvg({
+    color: calculateColor(),
+    forces: [
+      ['Mutation', mutation, '#ef4444'],
+      ['Selection', selection, '#22c55e'],
+      ['Gene flow', geneFlow, '#3b82f6'],
+      ['Drift', drift, '#6b7280'],
+      ['Recomb.', recombination, '#a855f7']
+    ],
+    alleleFreq,
+    generation: time,
+    title: allPresets[pathogenType] ? allPresets[pathogenType].name : 'Evolutionary Force Palette'
+  });
+
+  // Mean fitness replaces the palette when chosen and the run tracks it
+  const fitnessAvailable = fitnessHistory.length > 0;
+  const showFitness = paletteView === 'fitness' && fitnessAvailable;
+  const paletteExport = () => (showFitness ? serializeSvg(fitnessSvgRef.current) : paletteFigure());
+
+  const exportScenario = () => downloadFile(`scenario-${pathogenType}-${seed}.json`, scenarioToJSON(scenario));
+
+  const importScenario = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        applyScenario(parseScenarioJSON(text));
+        setNotice({ error: false, text: `Loaded ${file.name}` });
+      } catch (err) {
+        setNotice({ error: true, text: err.message });
+      }
+    });
+  };
+
+  // Fixation / loss status for the readout and plot markers
+  const lastEvent = events[events.length - 1];
+  const absorbed = alleleFreq === 0 || alleleFreq === 1;
+  const historyStart = time - (history.length - 1);
+  const ensembleStats = ensembleHistory[ensembleHistory.length - 1];
+  const regions = scheduleRegions(schedule, historyStart, time);
+  const scheduled = applySchedule(currentParams, schedule, time);
+
+  // Theory overlays follow the Wright–Fisher single-population model. The
+  // deterministic path is computed ahead in doubling horizons so it is not
+  // redone every frame.
+  const theoryAvailable = simMode === 'single' && activeModel === 'wright-fisher';
+  const theoryOn = showTheory && theoryAvailable;
+  const startFreq = view.initialP;
+  const theoryHorizon = Math.max(256, 2 ** Math.ceil(Math.log2(time + 1)));
+  const expected = useMemo(() => (
+    theoryOn
+      ? deterministicTrajectory(startFreq, { mutation, selection, geneFlow, popSize, sourceFreq, selectionModel }, theoryHorizon, schedule)
+      : null
+  ), [theoryOn, startFreq, mutation, selection, geneFlow, popSize, sourceFreq, selectionModel, schedule, theoryHorizon]);
+  const theory = expected && { expected, equilibria: stableEquilibria(scheduled) };
+
+  // Kimura's diffusion results for the current p under selection and drift
+  // alone, with this generation's scheduled sliders and Nₑ
+  const kimuraApplies = theoryAvailable && selectionModel.type === 'directional';
+
   const color = calculateColor();
   const bgColor = `rgba(${color.r}, ${color.g}, ${color.b}, ${color.alpha})`;
   
@@ -149,11 +543,17 @@ const PathogenEvolutionVisualizer = () => {
     recombination: (recombination / totalForce * 100).toFixed(1)
   };
 
+  // Nₑ of the latest generation when an epidemic sets it
+  const lastEpidemic = epidemicHistory[epidemicHistory.length - 1];
+  const epidemicNow = epidemicConfig.enabled && lastEpidemic && lastEpidemic.generation === time ? lastEpidemic : null;
+  const liveParams = epidemicNow ? { ...currentParams, Ne: epidemicNow.Ne } : currentParams;
+
   // Calculate 2NeS
-  const effectivePopSize = (popSize / 50) * 10000;
-  const selectionCoeff = (selection / 100 - 0.5) * 0.3;
-  const twoNeS = Math.abs(2 * effectivePopSize * selectionCoeff);
-  const selectionRegime = twoNeS > 10 ? 'Selection dominates' : twoNeS > 1 ? 'Both matter' : 'Drift dominates';
+  const modelParams = toModelParams(liveParams);
+  const nowParams = toModelParams(epidemicNow ? { ...scheduled, Ne: epidemicNow.Ne } : scheduled);
+  const fixationChance = kimuraApplies ? kimuraFixation(alleleFreq, nowParams.Ne, nowParams.s) : null;
+  const fixationTime = kimuraApplies && !absorbed ? kimuraFixationTime(alleleFreq, nowParams.Ne, nowParams.s) : null;
+  const { twoNeS, regime } = selectionRegime(liveParams);
 
   return (
     <div className="w-full min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-indigo-900 p-4 md:p-8">
@@ -170,14 +570,17 @@ const PathogenEvolutionVisualizer = () => {
           </div>
 
           <div className="p-6 md:p-8">
+            {/* Guided Lessons */}
+            <LessonPanel generation={time} playing={isPlaying} onStep={showLessonStep} onRun={runLessonStep} />
+
             {/* Pathogen Presets */}
-            <div className="mb-8">
+            <div className="mb-8" {...lessonRegion('presets')}>
               <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
                 <Droplet className="w-6 h-6 text-blue-600" />
                 Choose a Pathogen System
               </h2>
               <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-                {Object.entries(pathogenPresets).map(([key, preset]) => (
+                {Object.entries(allPresets).map(([key, preset]) => (
                   <button
                     key={key}
                     onClick={() => applyPreset(key)}
@@ -193,127 +596,266 @@ const PathogenEvolutionVisualizer = () => {
                     <div className="text-xs text-gray-500 leading-relaxed">
                       {preset.description.split(',')[0]}
                     </div>
+                    {userPresets[key] && (
+                      <div className="mt-2 text-xs font-semibold uppercase tracking-wide text-indigo-600">Custom</div>
+                    )}
                     {pathogenType === key && (
                       <div className="absolute top-2 right-2 w-3 h-3 bg-blue-500 rounded-full animate-pulse"></div>
                     )}
                   </button>
                 ))}
               </div>
+              <PresetEditor
+                presets={allPresets}
+                userPresets={userPresets}
+                selected={pathogenType}
+                onChange={(next, id) => {
+                  setUserPresets(next);
+                  if (id) applyPreset(id, next[id]);
+                }}
+              />
             </div>
 
             {/* Main Visualization Area */}
             <div className="grid lg:grid-cols-2 gap-8 mb-8">
               {/* Color Mixer Display */}
               {(viewMode === 'color' || viewMode === 'both') && (
-                <div className="space-y-4">
-                  <h3 className="text-xl font-bold text-gray-800">Evolutionary Force Palette</h3>
-                  <div className="relative">
-                    <div 
-                      className="w-full h-80 rounded-2xl shadow-2xl transition-all duration-500 ease-out border-4 border-white"
-                      style={{ backgroundColor: bgColor }}
-                    >
-                      <div className="absolute inset-0 flex items-center justify-center p-6">
-                        <div className="text-center bg-white/95 backdrop-blur-sm p-8 rounded-2xl shadow-2xl border border-gray-200">
-                          <div className="text-5xl font-extrabold mb-3" style={{ 
-                            color: `rgb(${Math.min(255, 255-color.r+50)}, ${Math.min(255, 255-color.g+50)}, ${Math.min(255, 255-color.b+50)})`
-                          }}>
-                            {alleleFreq.toFixed(3)}
-                          </div>
-                          <div className="text-sm font-semibold text-gray-700 mb-1">Resistance Allele Frequency</div>
-                          <div className="text-xs text-gray-500 bg-gray-100 px-3 py-1 rounded-full inline-block">
-                            Generation {time}
+                <div className="space-y-4" {...lessonRegion('palette')}>
+                  <div className="flex items-center justify-between gap-2">
+                    <h3 className="text-xl font-bold text-gray-800">{showFitness ? 'Mean Fitness' : 'Evolutionary Force Palette'}</h3>
+                    <div className="flex items-center gap-1">
+                      {[['forces', 'Forces'], ['fitness', 'Mean fitness']].map(([key, label]) => (
+                        <button
+                          key={key}
+                          onClick={() => setPaletteView(key)}
+                          disabled={key === 'fitness' && !fitnessAvailable}
+                          title={key === 'fitness' && !fitnessAvailable ? 'Mean fitness is tracked in the fitness-landscape and drug-resistance modes' : undefined}
+                          className={`px-2 py-1 text-xs font-semibold rounded-lg border disabled:opacity-40 ${(key === 'fitness') === showFitness ? 'border-emerald-500 bg-emerald-50 text-emerald-700' : 'border-gray-300 bg-white text-gray-600 hover:border-emerald-400'}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                      <FileDown className="w-4 h-4 text-gray-500 ml-2" />
+                      <button onClick={() => exportFigure(paletteExport(), `${showFitness ? 'fitness' : 'palette'}-${pathogenType}`, 'svg')} className="px-2 py-1 text-xs font-semibold rounded-lg border border-gray-300 bg-white text-gray-600 hover:border-blue-400 hover:text-blue-700">SVG</button>
+                      <button onClick={() => exportFigure(paletteExport(), `${showFitness ? 'fitness' : 'palette'}-${pathogenType}`, 'png')} className="px-2 py-1 text-xs font-semibold rounded-lg border border-gray-300 bg-white text-gray-600 hover:border-blue-400 hover:text-blue-700">PNG</button>
+                    </div>
+                  </div>
+                  {showFitness ? (
+                    <MeanFitnessPlot history={fitnessHistory} start={time - (fitnessHistory.length - 1)} svgRef={fitnessSvgRef} />
+                  ) : (
+                    <div className="relative">
+                      <div 
+                        className="w-full h-80 rounded-2xl shadow-2xl transition-all duration-500 ease-out border-4 border-white"
+                        style={{ backgroundColor: bgColor }}
+                      >
+                        <div className="absolute inset-0 flex items-center justify-center p-6">
+                          <div className="text-center bg-white/95 backdrop-blur-sm p-8 rounded-2xl shadow-2xl border border-gray-200">
+                            <div className="text-5xl font-extrabold mb-3" style={{ 
+                              color: `rgb(${Math.min(255, 255-color.r+50)}, ${Math.min(255, 255-color.g+50)}, ${Math.min(255, 255-color.b+50)})`
+                            }}>
+                              {alleleFreq.toFixed(3)}
+                            </div>
+                            <div className="text-sm font-semibold text-gray-700 mb-1">Resistance Allele Frequency</div>
+                            <div className="text-xs text-gray-500 bg-gray-100 px-3 py-1 rounded-full inline-block">
+                              Generation {time}
+                            </div>
                           </div>
                         </div>
                       </div>
-                    </div>
                     
-                    {/* Color legend */}
-                    <div className="mt-4 p-4 bg-gray-50 rounded-xl border border-gray-200">
-                      <div className="grid grid-cols-3 gap-3 text-xs font-medium">
-                        <div className="flex items-center gap-2">
-                          <div className="w-5 h-5 bg-red-500 rounded-lg shadow-sm"></div>
-                          <span className="text-gray-700">Mutation</span>
-                        </div>
-                        <div className="flex items-center gap-2">
-                          <div className="w-5 h-5 bg-green-500 rounded-lg shadow-sm"></div>
-                          <span className="text-gray-700">Selection</span>
+                      {/* Color legend */}
+                      <div className="mt-4 p-4 bg-gray-50 rounded-xl border border-gray-200">
+                        <div className="grid grid-cols-3 gap-3 text-xs font-medium">
+                          <div className="flex items-center gap-2">
+                            <div className="w-5 h-5 bg-red-500 rounded-lg shadow-sm"></div>
+                            <span className="text-gray-700">Mutation</span>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <div className="w-5 h-5 bg-green-500 rounded-lg shadow-sm"></div>
+                            <span className="text-gray-700">Selection</span>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <div className="w-5 h-5 bg-blue-500 rounded-lg shadow-sm"></div>
+                            <span className="text-gray-700">Gene Flow</span>
+                          </div>
                         </div>
-                        <div className="flex items-center gap-2">
-                          <div className="w-5 h-5 bg-blue-500 rounded-lg shadow-sm"></div>
-                          <span className="text-gray-700">Gene Flow</span>
+                        <div className="mt-2 text-xs text-gray-600 text-center pt-2 border-t border-gray-300">
+                          Transparency = Drift • Purple tints = Recombination
                         </div>
                       </div>
-                      <div className="mt-2 text-xs text-gray-600 text-center pt-2 border-t border-gray-300">
-                        Transparency = Drift • Purple tints = Recombination
-                      </div>
                     </div>
-                  </div>
+                  )}
                 </div>
               )}
 
               {/* Frequency Plot */}
               {(viewMode === 'frequency' || viewMode === 'both') && (
-                <div className="space-y-4">
-                  <h3 className="text-xl font-bold text-gray-800">Evolutionary Trajectory</h3>
-                  <div className="w-full h-80 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl border-2 border-gray-300 shadow-inner relative overflow-hidden">
-                    <svg width="100%" height="100%" className="absolute inset-0">
-                      {/* Grid lines */}
-                      {[0.25, 0.5, 0.75].map(y => (
-                        <g key={y}>
-                          <line
-                            x1="0"
-                            y1={`${(1-y)*100}%`}
-                            x2="100%"
-                            y2={`${(1-y)*100}%`}
-                            stroke="#d1d5db"
-                            strokeWidth="1"
-                            strokeDasharray="5,5"
-                          />
-                          <text x="10" y={`${(1-y)*100}%`} dy="4" fontSize="11" fill="#6b7280" fontWeight="500">
-                            {y.toFixed(2)}
-                          </text>
-                        </g>
-                      ))}
-                      
-                      {/* Plot line */}
-                      {history.length > 1 && (
+                <div className="space-y-4" {...lessonRegion('trajectory')}>
+                  <div className="flex items-center justify-between gap-2">
+                    <h3 className="text-xl font-bold text-gray-800">Evolutionary Trajectory</h3>
+                    <div className="flex items-center gap-1">
+                      <button
+                        onClick={() => setShowTheory(!showTheory)}
+                        disabled={!theoryAvailable}
+                        title={theoryAvailable ? 'Deterministic expectation and equilibria' : 'Wright–Fisher single-population runs only'}
+                        className={`mr-2 px-2 py-1 text-xs font-semibold rounded-lg border disabled:opacity-40 ${theoryOn ? 'border-orange-500 bg-orange-50 text-orange-700' : 'border-gray-300 bg-white text-gray-600 hover:border-orange-400'}`}
+                      >
+                        Theory
+                      </button>
+                      <FileDown className="w-4 h-4 text-gray-500" />
+                      <button onClick={() => exportRecording('csv')} title="Every generation of this run" className="px-2 py-1 text-xs font-semibold rounded-lg border border-gray-300 bg-white text-gray-600 hover:border-blue-400 hover:text-blue-700">CSV</button>
+                      <button onClick={() => exportRecording('json')} title="Every generation of this run, with the scenario" className="px-2 py-1 text-xs font-semibold rounded-lg border border-gray-300 bg-white text-gray-600 hover:border-blue-400 hover:text-blue-700">JSON</button>
+                      <button onClick={() => exportFigure(serializeSvg(trajectorySvgRef.current), exportName, 'svg')} className="px-2 py-1 text-xs font-semibold rounded-lg border border-gray-300 bg-white text-gray-600 hover:border-blue-400 hover:text-blue-700">SVG</button>
+                      <button onClick={() => exportFigure(serializeSvg(trajectorySvgRef.current), exportName, 'png')} className="px-2 py-1 text-xs font-semibold rounded-lg border border-gray-300 bg-white text-gray-600 hover:border-blue-400 hover:text-blue-700">PNG</button>
+                    </div>
+                  </div>
+                  {view.recording.full && (
+                    <p className="mb-2 text-xs text-amber-800">
+                      Recording is full: the CSV and JSON exports hold the first {view.recording.length.toLocaleString()} generations of this run.
+                    </p>
+                  )}
+                  <TrajectoryPlot
+                    svgRef={trajectorySvgRef}
+                    history={history}
+                    historyStart={historyStart}
+                    events={events}
+                    ensembleHistory={showEnsemble ? ensembleHistory : null}
+                    transmissions={simMode === 'transmission' ? chain.transmissions : []}
+                    regions={regions}
+                    fit={fitOverlay}
+                    theory={theory}
+                  />
+                  {theory && (
+                    <p className="text-xs text-gray-600 leading-relaxed">
+                      <span className="font-semibold text-orange-700">Dashed orange:</span> the run without drift, from the same
+                      p₀ = {startFreq.toFixed(3)} under the current sliders and schedule.{' '}
+                      {theory.equilibria.length > 0 ? (
                         <>
-                          <defs>
-                            <linearGradient id="lineGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-                              <stop offset="0%" stopColor="#3b82f6" stopOpacity="0.3" />
-                              <stop offset="100%" stopColor="#3b82f6" stopOpacity="0.05" />
-                            </linearGradient>
-                          </defs>
-                          <polygon
-                            points={`0,100 ${history.map((freq, i) => 
-                              `${(i / (history.length - 1)) * 100},${(1 - freq) * 100}`
-                            ).join(' ')} 100,100`}
-                            fill="url(#lineGradient)"
-                          />
-                          <polyline
-                            points={history.map((freq, i) => 
-                              `${(i / (history.length - 1)) * 100},${(1 - freq) * 100}`
-                            ).join(' ')}
-                            fill="none"
-                            stroke="#3b82f6"
-                            strokeWidth="3"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                          />
+                          <span className="font-semibold text-teal-700">Dotted teal:</span> stable balance of mutation, selection
+                          and migration (p̂ = {theory.equilibria.map(q => q.toFixed(3)).join(', ')}).
                         </>
-                      )}
-                      
-                      {/* Axis labels */}
-                      <text x="10" y="20" fontSize="12" fill="#374151" fontWeight="600">1.0</text>
-                      <text x="10" y="260" fontSize="12" fill="#374151" fontWeight="600">0.0</text>
-                    </svg>
-                  </div>
+                      ) : selectionModel.type === 'immunity'
+                        ? 'No fixed equilibrium: under host immunity the balance shifts with the immunity built up.'
+                        : 'No equilibrium: with no force acting, only drift moves p.'}
+                    </p>
+                  )}
+                  {showEnsemble && ensembleStats && (
+                    <div className="grid grid-cols-4 gap-3 text-center">
+                      {[
+                        ['Fixed', `${(ensembleStats.fixed * 100).toFixed(1)}%`, 'text-green-700'],
+                        ['Lost', `${(ensembleStats.lost * 100).toFixed(1)}%`, 'text-red-700'],
+                        ['Mean time to absorption', ensembleStats.meanAbsorptionTime === null ? '—' : `${ensembleStats.meanAbsorptionTime.toFixed(1)} gen`, 'text-gray-800'],
+                        [`${replicates} replicates`, regime, 'text-amber-900']
+                      ].map(([label, value, color]) => (
+                        <div key={label} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                          <div className={`text-lg font-bold ${color}`}>{value}</div>
+                          <div className="text-xs text-gray-500">{label}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
 
+            {/* Haplotypes & Linkage */}
+            {multiLocus && (
+              <div className="mb-8 space-y-4">
+                <h3 className="text-xl font-bold text-gray-800">
+                  Haplotypes &amp; Linkage Disequilibrium
+                  <span className="ml-3 text-sm font-medium text-gray-500">
+                    {loci === 2 ? 'two loci, four haplotypes' : `${loci} segments, ${1 << loci} genotypes`} • r = {recombinationRate(recombination).toFixed(3)}
+                  </span>
+                </h3>
+                <HaplotypePlot history={haplotypeHistory} k={loci} />
+              </div>
+            )}
+
+            {/* Metapopulation */}
+            {simMode === 'metapopulation' && (
+              <MetapopulationPanel
+                config={metaConfig}
+                onChange={(next, restart) => {
+                  setMetaConfig(next);
+                  if (restart) reset({ meta: next });
+                }}
+                history={metaHistory}
+                params={{ model: activeModel, mutation, selection, geneFlow, popSize, sourceFreq }}
+              />
+            )}
+
+            {/* Transmission Chain */}
+            {simMode === 'transmission' && (
+              <TransmissionPanel config={transmissionConfig} onChange={setTransmissionConfig} chain={chain} />
+            )}
+
+            {/* Drug Resistance */}
+            {simMode === 'resistance' && (
+              <ResistancePanel
+                config={resistanceConfig}
+                onChange={(next, restart) => {
+                  setResistanceConfig(next);
+                  if (restart) reset({ resistance: next });
+                }}
+                history={resistanceHistory}
+                drugOn={drugActive(scheduled)}
+              />
+            )}
+
+            {/* Individual-based view */}
+            {simMode === 'agents' && <AgentPanel snapshot={view.snapshot} generation={time} />}
+            {simMode === 'agents' && view.snapshot && (
+              <GenealogyTree genealogy={view.snapshot.genealogy} onExport={exportGenealogy} />
+            )}
+
+            {/* Sequence evolution */}
+            {simMode === 'sequences' && (
+              <SequencePanel
+                config={sequenceConfig}
+                onChange={(next, restart) => {
+                  setSequenceConfig(next);
+                  if (restart) reset({ sequences: next });
+                }}
+                history={view.sequenceHistory}
+                snapshot={view.snapshot}
+                escaped={alleleFreq}
+                onExport={exportFasta}
+              />
+            )}
+
+            {/* Fitness landscape */}
+            {simMode === 'landscape' && (
+              <LandscapePanel
+                config={landscapeConfig}
+                onChange={(next, restart) => {
+                  setLandscapeConfig(next);
+                  if (restart) reset({ landscape: next });
+                }}
+                history={view.landscapeHistory}
+                meanFitness={view.fitnessHistory[view.fitnessHistory.length - 1]}
+              />
+            )}
+
+            <SelectionPanel
+              model={selectionModel}
+              onChange={setSelectionModel}
+              history={immunityHistory}
+              simMode={simMode}
+              classroom={activeModel === 'classroom'}
+            />
+
+            <EpidemicPanel
+              config={epidemicConfig}
+              onChange={setEpidemicConfig}
+              history={epidemicHistory}
+              frequencies={history}
+              frequencyStart={historyStart}
+              supported={EPIDEMIC_KINDS.includes(view.kind)}
+              classroom={activeModel === 'classroom'}
+            />
+
             {/* Controls */}
-            <div className="flex flex-wrap gap-4 justify-center mb-8">
+            <div className="flex flex-wrap gap-4 justify-center mb-8" {...lessonRegion('controls')}>
               <button
                 onClick={() => setIsPlaying(!isPlaying)}
                 className={`px-8 py-4 rounded-xl font-bold flex items-center gap-3 transition-all duration-300 shadow-lg hover:shadow-xl transform hover:scale-105 ${
@@ -336,7 +878,7 @@ const PathogenEvolutionVisualizer = () => {
               </button>
               
               <button
-                onClick={reset}
+                onClick={() => reset()}
                 className="px-8 py-4 bg-gradient-to-r from-gray-600 to-gray-700 hover:from-gray-700 hover:to-gray-800 text-white rounded-xl font-bold flex items-center gap-3 transition-all duration-300 shadow-lg hover:shadow-xl transform hover:scale-105"
               >
                 <RotateCcw className="w-6 h-6" />
@@ -352,11 +894,149 @@ const PathogenEvolutionVisualizer = () => {
                 <option value="color">🎨 Color Only</option>
                 <option value="frequency">📈 Graph Only</option>
               </select>
+
+              <select
+                value={activeModel}
+                disabled={simMode !== 'single'}
+                onChange={(e) => setModel(e.target.value)}
+                className="px-6 py-4 border-2 border-gray-300 rounded-xl font-semibold bg-white hover:border-blue-400 transition-all shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:text-gray-400"
+              >
+                <option value="wright-fisher">🎲 {MODELS['wright-fisher']} Model</option>
+                <option value="classroom">🏫 {MODELS.classroom} Mode</option>
+              </select>
+
+              <select
+                value={simMode}
+                onChange={(e) => {
+                  setSimMode(e.target.value);
+                  reset({ mode: e.target.value });
+                }}
+                className="px-6 py-4 border-2 border-gray-300 rounded-xl font-semibold bg-white hover:border-blue-400 transition-all shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Population structure"
+              >
+                {Object.entries(SIMULATION_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+
+              {multiLocus && (
+                <select
+                  value={loci}
+                  onChange={(e) => {
+                    const nextLoci = Number(e.target.value);
+                    setLoci(nextLoci);
+                    reset({ loci: nextLoci });
+                  }}
+                  className="px-6 py-4 border-2 border-gray-300 rounded-xl font-semibold bg-white hover:border-blue-400 transition-all shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  aria-label="Loci"
+                >
+                  {Array.from({ length: MAX_LOCI - 1 }, (_, i) => i + 2).map(k => (
+                    <option key={k} value={k}>
+                      {k === 2 ? '2 loci (4 haplotypes)' : `${k} segments (reassortment)`}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              <div className="px-4 py-2 border-2 border-gray-300 rounded-xl bg-white shadow-md flex items-center gap-2">
+                <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showEnsemble}
+                    disabled={simMode !== 'single'}
+                    onChange={(e) => {
+                      setEnsembleMode(e.target.checked);
+                      reset({ ensemble: e.target.checked });
+                    }}
+                  />
+                  Ensemble
+                </label>
+                <input
+                  type="number"
+                  min="10"
+                  max="500"
+                  value={replicates}
+                  disabled={!showEnsemble}
+                  onChange={(e) => {
+                    const nextReplicates = Math.max(10, Math.min(500, Number(e.target.value) || 10));
+                    setReplicates(nextReplicates);
+                    reset({ replicates: nextReplicates });
+                  }}
+                  className="w-20 px-2 py-2 font-mono text-sm focus:outline-none disabled:text-gray-400"
+                  aria-label="Replicates"
+                />
+              </div>
+
+              <div className="px-4 py-2 border-2 border-gray-300 rounded-xl bg-white shadow-md flex items-center gap-2">
+                <label htmlFor="seed" className="text-sm font-semibold text-gray-700">Seed</label>
+                <input
+                  id="seed"
+                  type="number"
+                  min="0"
+                  value={seed}
+                  onChange={(e) => {
+                    const nextSeed = Number(e.target.value) >>> 0;
+                    setSeed(nextSeed);
+                    reset({ seed: nextSeed });
+                  }}
+                  className="w-32 px-2 py-2 font-mono text-sm focus:outline-none"
+                />
+                <button
+                  onClick={() => {
+                    const nextSeed = randomSeed();
+                    setSeed(nextSeed);
+                    reset({ seed: nextSeed });
+                  }}
+                  className="px-3 py-2 text-sm font-semibold text-blue-700 hover:text-blue-900"
+                >
+                  New
+                </button>
+              </div>
+            </div>
+
+            {/* Scenario sharing */}
+            <div className="flex flex-wrap gap-3 justify-center items-center mb-8 text-sm">
+              <span className="font-semibold text-gray-700">Scenario:</span>
+              <button
+                onClick={copyLink}
+                className="px-4 py-2 border-2 border-gray-300 rounded-xl bg-white font-semibold text-gray-700 hover:border-blue-400 flex items-center gap-2 shadow-sm"
+              >
+                <Link className="w-4 h-4" />
+                Copy link
+              </button>
+              <button
+                onClick={exportScenario}
+                className="px-4 py-2 border-2 border-gray-300 rounded-xl bg-white font-semibold text-gray-700 hover:border-blue-400 flex items-center gap-2 shadow-sm"
+              >
+                <Download className="w-4 h-4" />
+                Export JSON
+              </button>
+              <button
+                onClick={() => fileInputRef.current.click()}
+                className="px-4 py-2 border-2 border-gray-300 rounded-xl bg-white font-semibold text-gray-700 hover:border-blue-400 flex items-center gap-2 shadow-sm"
+              >
+                <Upload className="w-4 h-4" />
+                Import JSON
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  importScenario(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+              {notice && (
+                <span className={notice.error ? 'text-red-600' : 'text-green-700'}>{notice.text}</span>
+              )}
             </div>
 
             {/* Force Sliders */}
             <div className="grid lg:grid-cols-2 gap-8 mb-8">
-              <div className="space-y-6">
+              <div className="space-y-6" {...lessonRegion('forces')}>
                 <h3 className="text-2xl font-bold text-gray-800 mb-4">Evolutionary Forces</h3>
                 
                 {/* Mutation */}
@@ -376,12 +1056,21 @@ const PathogenEvolutionVisualizer = () => {
                     max="100"
                     value={mutation}
                     onChange={(e) => setMutation(Number(e.target.value))}
+                    disabled={locked.includes('mutation')}
                     className="w-full h-3 rounded-lg appearance-none cursor-pointer"
                     style={{
                       background: `linear-gradient(to right, #ef4444 0%, #ef4444 ${mutation}%, #fecaca ${mutation}%, #fecaca 100%)`
                     }}
                   />
                   <div className="text-xs text-gray-600 mt-2 italic">Creates new variants (μ)</div>
+                  <label className="flex items-center gap-2 mt-2 text-xs font-medium text-red-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={recurrentMutation}
+                      onChange={(e) => setRecurrentMutation(e.target.checked)}
+                    />
+                    Recurrent mutation — allele can re-emerge after fixation or loss
+                  </label>
                 </div>
 
                 {/* Selection */}
@@ -401,6 +1090,7 @@ const PathogenEvolutionVisualizer = () => {
                     max="100"
                     value={selection}
                     onChange={(e) => setSelection(Number(e.target.value))}
+                    disabled={locked.includes('selection')}
                     className="w-full h-3 rounded-lg appearance-none cursor-pointer"
                     style={{
                       background: `linear-gradient(to right, #22c55e 0%, #22c55e ${selection}%, #bbf7d0 ${selection}%, #bbf7d0 100%)`
@@ -426,6 +1116,7 @@ const PathogenEvolutionVisualizer = () => {
                     max="100"
                     value={geneFlow}
                     onChange={(e) => setGeneFlow(Number(e.target.value))}
+                    disabled={locked.includes('geneFlow')}
                     className="w-full h-3 rounded-lg appearance-none cursor-pointer"
                     style={{
                       background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${geneFlow}%, #bfdbfe ${geneFlow}%, #bfdbfe 100%)`
@@ -451,12 +1142,15 @@ const PathogenEvolutionVisualizer = () => {
                     max="100"
                     value={drift}
                     onChange={(e) => setDrift(Number(e.target.value))}
+                    disabled={locked.includes('drift')}
                     className="w-full h-3 rounded-lg appearance-none cursor-pointer"
                     style={{
                       background: `linear-gradient(to right, #6b7280 0%, #6b7280 ${drift}%, #e5e7eb ${drift}%, #e5e7eb 100%)`
                     }}
                   />
-                  <div className="text-xs text-gray-600 mt-2 italic">Random sampling (∝ 1/2Nₑ)</div>
+                  <div className="text-xs text-gray-600 mt-2 italic">
+                    {activeModel === 'classroom' ? 'Random sampling (∝ 1/2Nₑ)' : 'Binomial sampling of 2Nₑ alleles — set by Nₑ in this model'}
+                  </div>
                 </div>
 
                 {/* Recombination */}
@@ -476,17 +1170,24 @@ const PathogenEvolutionVisualizer = () => {
                     max="100"
                     value={recombination}
                     onChange={(e) => setRecombination(Number(e.target.value))}
+                    disabled={locked.includes('recombination')}
                     className="w-full h-3 rounded-lg appearance-none cursor-pointer"
                     style={{
                       background: `linear-gradient(to right, #a855f7 0%, #a855f7 ${recombination}%, #e9d5ff ${recombination}%, #e9d5ff 100%)`
                     }}
                   />
-                  <div className="text-xs text-gray-600 mt-2 italic">Sexual reproduction / reassortment</div>
+                  <div className="text-xs text-gray-600 mt-2 italic">
+                    {activeModel === 'classroom'
+                      ? 'Sexual reproduction / reassortment'
+                      : multiLocus
+                        ? 'Breaks linkage between loci / reassorts segments'
+                        : 'No effect on a single locus — add loci to see linkage'}
+                  </div>
                 </div>
               </div>
 
               {/* Population Parameters */}
-              <div className="space-y-6">
+              <div className="space-y-6" {...lessonRegion('population')}>
                 <h3 className="text-2xl font-bold text-gray-800 mb-4">Population Parameters</h3>
                 
                 {/* Population Size */}
@@ -494,7 +1195,7 @@ const PathogenEvolutionVisualizer = () => {
                   <div className="flex justify-between mb-2">
                     <label className="text-sm font-bold text-orange-700">EFFECTIVE POPULATION SIZE (Nₑ)</label>
                     <span className="text-sm font-bold text-orange-600 bg-orange-100 px-3 py-1 rounded-full">
-                      {(effectivePopSize/1000).toFixed(1)}k
+                      {formatCount(epidemicNow ? epidemicNow.Ne : effectivePopSize(popSize, activeModel))}
                     </span>
                   </div>
                   <input
@@ -503,20 +1204,48 @@ const PathogenEvolutionVisualizer = () => {
                     max="100"
                     value={popSize}
                     onChange={(e) => setPopSize(Number(e.target.value))}
+                    disabled={locked.includes('popSize')}
                     className="w-full h-3 rounded-lg appearance-none cursor-pointer"
                     style={{
                       background: `linear-gradient(to right, #f97316 0%, #f97316 ${popSize}%, #fed7aa ${popSize}%, #fed7aa 100%)`
                     }}
                   />
-                  <div className="text-xs text-gray-600 mt-2 italic">Smaller Nₑ → stronger drift effect</div>
+                  <div className="text-xs text-gray-600 mt-2 italic">
+                    {epidemicNow ? 'Set by the infected hosts of the epidemic while it is coupled' : 'Smaller Nₑ → stronger drift effect'}
+                  </div>
                 </div>
 
+                {/* Migrant Pool Frequency */}
+                {activeModel !== 'classroom' && (simMode === 'single' || simMode === 'linkage') && (
+                  <div className="bg-sky-50 p-4 rounded-xl border-l-4 border-sky-500">
+                    <div className="flex justify-between mb-2">
+                      <label className="text-sm font-bold text-sky-700">MIGRANT POOL FREQUENCY (p<sub>m</sub>)</label>
+                      <span className="text-sm font-bold text-sky-600 bg-sky-100 px-3 py-1 rounded-full">
+                        {(sourceFreq / 100).toFixed(2)}
+                      </span>
+                    </div>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={sourceFreq}
+                      onChange={(e) => setSourceFreq(Number(e.target.value))}
+                      disabled={locked.includes('sourceFreq')}
+                      className="w-full h-3 rounded-lg appearance-none cursor-pointer"
+                      style={{
+                        background: `linear-gradient(to right, #0ea5e9 0%, #0ea5e9 ${sourceFreq}%, #bae6fd ${sourceFreq}%, #bae6fd 100%)`
+                      }}
+                    />
+                    <div className="text-xs text-gray-600 mt-2 italic">Allele frequency among incoming migrants</div>
+                  </div>
+                )}
+
                 {/* Generation Time */}
                 <div className="bg-teal-50 p-4 rounded-xl border-l-4 border-teal-500">
                   <div className="flex justify-between mb-2">
                     <label className="text-sm font-bold text-teal-700">REPLICATION SPEED</label>
                     <span className="text-sm font-bold text-teal-600 bg-teal-100 px-3 py-1 rounded-full">
-                      {generationTime}%
+                      {formatCount(generationsPerSecond(generationTime))} gen/s
                     </span>
                   </div>
                   <input
@@ -525,16 +1254,17 @@ const PathogenEvolutionVisualizer = () => {
                     max="100"
                     value={generationTime}
                     onChange={(e) => setGenerationTime(Number(e.target.value))}
+                    disabled={locked.includes('generationTime')}
                     className="w-full h-3 rounded-lg appearance-none cursor-pointer"
                     style={{
                       background: `linear-gradient(to right, #14b8a6 0%, #14b8a6 ${generationTime}%, #99f6e4 ${generationTime}%, #99f6e4 100%)`
                     }}
                   />
-                  <div className="text-xs text-gray-600 mt-2 italic">Higher speed → faster evolution</div>
+                  <div className="text-xs text-gray-600 mt-2 italic">Generations simulated per second, 1 to {formatCount(MAX_RATE)}</div>
                 </div>
 
                 {/* Force Balance Analysis */}
-                <div className="bg-gradient-to-br from-amber-50 to-orange-50 p-6 rounded-xl border-2 border-amber-300 shadow-md">
+                <div className="bg-gradient-to-br from-amber-50 to-orange-50 p-6 rounded-xl border-2 border-amber-300 shadow-md" {...lessonRegion('analysis')}>
                   <h4 className="font-bold text-lg mb-3 flex items-center gap-2 text-amber-900">
                     <Info className="w-5 h-5" />
                     Selection vs. Drift Analysis
@@ -545,7 +1275,7 @@ const PathogenEvolutionVisualizer = () => {
                       <span className="text-lg font-bold text-amber-900">{twoNeS.toFixed(1)}</span>
                     </div>
                     <div className="p-4 bg-amber-100 rounded-lg border-l-4 border-amber-500">
-                      <div className="font-bold text-amber-900 mb-1">{selectionRegime}</div>
+                      <div className="font-bold text-amber-900 mb-1">{regime}</div>
                       {twoNeS > 10 && (
                         <div className="text-sm text-gray-700">
                           Evolution is <strong>deterministic</strong> — beneficial alleles will spread predictably
@@ -566,7 +1296,7 @@ const PathogenEvolutionVisualizer = () => {
                 </div>
 
                 {/* Current Allele Frequency */}
-                <div className="bg-gradient-to-br from-blue-50 to-indigo-50 p-6 rounded-xl border-2 border-blue-300 shadow-md">
+                <div className="bg-gradient-to-br from-blue-50 to-indigo-50 p-6 rounded-xl border-2 border-blue-300 shadow-md" {...lessonRegion('state')}>
                   <h4 className="font-bold text-lg mb-3 text-blue-900">Population State</h4>
                   <div className="space-y-3">
                     <div className="flex justify-between items-center">
@@ -577,6 +1307,44 @@ const PathogenEvolutionVisualizer = () => {
                       <span className="text-sm font-medium text-gray-700">Wild-type allele:</span>
                       <span className="text-xl font-bold text-green-600">{((1-alleleFreq) * 100).toFixed(1)}%</span>
                     </div>
+                    <div className="flex justify-between items-center p-3 bg-white rounded-lg">
+                      <span className="text-sm font-medium text-gray-700">
+                        {absorbed ? (alleleFreq === 1 ? 'Fixed:' : 'Lost:') : 'Segregating:'}
+                      </span>
+                      <span className="text-sm font-bold text-gray-800">
+                        {absorbed && lastEvent
+                          ? `after ${lastEvent.duration} generations (gen ${lastEvent.generation})`
+                          : `for ${time - origin} generations`}
+                      </span>
+                    </div>
+                    {kimuraApplies && (
+                      <div className="grid grid-cols-2 gap-2 text-center">
+                        <div className="bg-white rounded-lg p-2" title="Kimura: (1 − e^(−2Nₑs·p)) / (1 − e^(−2Nₑs))">
+                          <div className="text-lg font-bold text-green-700">{fixationChance > 0 && fixationChance < 1e-5 ? '< 0.001%' : `${(fixationChance * 100).toFixed(fixationChance > 0.001 ? 1 : 3)}%`}</div>
+                          <div className="text-xs text-gray-500">Fixation probability (Kimura)</div>
+                        </div>
+                        <div className="bg-white rounded-lg p-2" title="Mean time to fixation, for the runs that fix (Kimura & Ohta)">
+                          <div className="text-lg font-bold text-gray-800">{fixationTime === null ? '—' : `${formatCount(Math.round(fixationTime))} gen`}</div>
+                          <div className="text-xs text-gray-500">Expected time to fixation</div>
+                        </div>
+                      </div>
+                    )}
+                    {activeModel !== 'classroom' && (
+                      <div className="grid grid-cols-5 gap-2 pt-2 text-center text-xs">
+                        {[
+                          ['μ', modelParams.mu.toExponential(1)],
+                          ['s', modelParams.s.toFixed(3)],
+                          ['m', modelParams.m.toFixed(3)],
+                          ['pₘ', modelParams.pm.toFixed(2)],
+                          ['Nₑ', formatCount(modelParams.Ne)]
+                        ].map(([symbol, value]) => (
+                          <div key={symbol} className="bg-white rounded-lg p-2">
+                            <div className="font-bold text-gray-500">{symbol}</div>
+                            <div className="font-mono font-semibold text-gray-800">{value}</div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     <div className="w-full bg-gray-200 rounded-full h-6 mt-3 overflow-hidden shadow-inner">
                       <div 
                         className="bg-gradient-to-r from-blue-500 via-indigo-500 to-purple-500 h-6 rounded-full transition-all duration-500 flex items-center justify-end pr-2"
@@ -592,6 +1360,31 @@ const PathogenEvolutionVisualizer = () => {
               </div>
             </div>
 
+            {/* Parameter Schedule */}
+            <SchedulePanel schedule={schedule} onChange={setSchedule} effective={scheduled} />
+
+            {/* Scenario Comparison */}
+            <ComparisonPanel presets={allPresets} base={currentParams} generationTime={generationTime} seed={seed} />
+
+            {/* Parameter Sweep */}
+            <SweepPanel base={currentParams} seed={seed} />
+
+            {/* Fit to Data */}
+            <InferencePanel
+              base={{ ...currentParams, recurrentMutation }}
+              seed={seed}
+              onFit={(fit) => {
+                setFitOverlay(fit);
+                // The data are drawn on the trajectory plot
+                if (fit && viewMode === 'color') setViewMode('both');
+              }}
+              onApply={(values) => {
+                if (values.selection !== undefined) setSelection(values.selection);
+                if (values.popSize !== undefined) setPopSize(values.popSize);
+                if (values.geneFlow !== undefined) setGeneFlow(values.geneFlow);
+              }}
+            />
+
             {/* Educational Panel */}
             <div className="bg-gradient-to-br from-indigo-100 via-purple-50 to-pink-50 rounded-2xl p-6 md:p-8 border-2 border-indigo-300 shadow-xl">
               <h3 className="text-2xl font-bold text-indigo-900 mb-6 flex items-center gap-3">
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MAX_AGENTS } from '../engine/agents';
+
+// Colours match the Population State readout: focal allele blue, wild type green
+export const ALLELE_COLORS = ['#16a34a', '#2563eb'];
+const ORIGIN_RINGS = { mutant: '#ef4444', migrant: '#f59e0b' };
+
+const LAYOUTS = {
+  swarm: 'Swarm',
+  grid: 'Grid (families together)'
+};
+
+const draw = (canvas, agents, layout) => {
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) return;
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const cols = Math.ceil(Math.sqrt((agents.length * width) / height));
+  const rows = Math.ceil(agents.length / cols);
+  const cell = Math.min(width / cols, height / rows);
+  const radius = layout === 'grid' ? cell * 0.4 : Math.max(2, Math.min(6, cell * 0.35));
+
+  agents.forEach((agent, i) => {
+    const x = layout === 'grid' ? ((i % cols) + 0.5) * cell : radius + agent.x * (width - 2 * radius);
+    const y = layout === 'grid' ? (Math.floor(i / cols) + 0.5) * cell : radius + agent.y * (height - 2 * radius);
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    ctx.fillStyle = ALLELE_COLORS[agent.allele];
+    ctx.fill();
+    if (ORIGIN_RINGS[agent.origin]) {
+      ctx.lineWidth = Math.max(1, radius / 3);
+      ctx.strokeStyle = ORIGIN_RINGS[agent.origin];
+      ctx.stroke();
+    }
+  });
+};
+
+// Canvas of individual pathogen particles for the individual-based mode,
+// redrawn whenever a new generation arrives
+const AgentPanel = ({ snapshot, generation }) => {
+  const [layout, setLayout] = useState('swarm');
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (canvasRef.current && snapshot) draw(canvasRef.current, snapshot.agents, layout);
+  }, [snapshot, layout]);
+
+  if (!snapshot) return null;
+  const { agents, counts } = snapshot;
+  const focal = agents.filter(agent => agent.allele === 1).length;
+
+  return (
+    <div className="mb-8 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-xl font-bold text-gray-800">
+          Individual Pathogens
+          <span className="ml-3 text-sm font-medium text-gray-500">
+            {agents.length} individuals • generation {generation}
+          </span>
+        </h3>
+        <div className="flex gap-2">
+          {Object.entries(LAYOUTS).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setLayout(key)}
+              className={`px-3 py-1 text-sm font-semibold rounded-lg border-2 ${layout === key ? 'border-blue-500 bg-blue-50 text-blue-800' : 'border-gray-200 bg-white text-gray-600 hover:border-blue-300'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 rounded-2xl border-2 border-gray-300 shadow-inner bg-slate-50 overflow-hidden" style={{ height: 320 }}>
+          <canvas ref={canvasRef} style={{ width: '100%', height: '100%', display: 'block' }} aria-label="Individual pathogen particles" />
+        </div>
+
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3 text-center">
+            {[
+              ['Focal allele', focal, 'text-blue-600'],
+              ['Wild type', agents.length - focal, 'text-green-600'],
+              ['Born', counts.births, 'text-gray-800'],
+              ['Died', counts.deaths, 'text-gray-800'],
+              ['Mutated', counts.mutations, 'text-red-600'],
+              ['Migrated in', counts.migrants, 'text-amber-600']
+            ].map(([label, value, color]) => (
+              <div key={label} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                <div className={`text-lg font-bold ${color}`}>{value}</div>
+                <div className="text-xs text-gray-500">{label}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-600 bg-white rounded-xl border border-gray-200 p-3 leading-relaxed">
+            Each generation every particle dies and is replaced by offspring of parents picked by fitness.
+            Rings mark <span className="font-semibold text-red-600">new mutants</span> and{' '}
+            <span className="font-semibold text-amber-600">migrants</span>, who enter from the left edge.
+            The population is the 2Nₑ gene copies of the frequency model, capped at {MAX_AGENTS} so drift at large Nₑ is stronger here.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgentPanel;
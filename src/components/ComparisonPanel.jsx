@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Columns, Play, Pause, RotateCcw, Plus, X } from 'lucide-react';
+import { MAX_SCENARIOS, COMPARISON_COLORS, createComparison, stepComparison, comparisonStats } from '../engine/comparison';
+import { effectivePopSize } from '../engine/simulation';
+import { generationsPerSecond } from '../engine/loop';
+import { formatCount } from '../format';
+import TrajectoryPlot from './TrajectoryPlot';
+
+const LABELS = 'ABCD';
+
+// Fastest tick (ms); higher rates step several generations per tick
+const MIN_DELAY = 33;
+
+// Sliders that matter for a single Wright–Fisher locus
+const SLIDERS = [
+  ['mutation', 'Mutation', '#ef4444'],
+  ['selection', 'Selection', '#22c55e'],
+  ['geneFlow', 'Gene flow', '#3b82f6'],
+  ['popSize', 'Nₑ', '#f97316'],
+  ['sourceFreq', 'pₘ', '#0ea5e9']
+];
+
+const signed = (v, digits) => `${v >= 0 ? '+' : ''}${v.toFixed(digits)}`;
+
+// Table rows: label, formatted value, and the difference from scenario A
+const STAT_ROWS = [
+  ['Nₑ', st => formatCount(st.Ne), (st, a) => `×${(st.Ne / a.Ne).toPrecision(2)}`],
+  ['s', st => st.s.toFixed(3), (st, a) => signed(st.s - a.s, 3)],
+  ['2Nₑs', st => st.twoNeS.toFixed(1), (st, a) => signed(st.twoNeS - a.twoNeS, 1)],
+  ['Regime', st => st.regime, (st, a) => (st.regime === a.regime ? 'same' : 'differs')],
+  ['μ', st => st.mu.toExponential(1), (st, a) => (a.mu ? `×${(st.mu / a.mu).toPrecision(2)}` : '—')],
+  ['m', st => st.m.toFixed(3), (st, a) => signed(st.m - a.m, 3)],
+  ['p now', st => st.p.toFixed(3), (st, a) => signed(st.p - a.p, 3)],
+  ['Status', st => (st.absorbed ? (st.absorbed === 'fixed' ? 'Fixed' : 'Lost') : 'Segregating'), () => '']
+];
+
+const sliderValues = (source) => SLIDERS.reduce((acc, [key]) => {
+  acc[key] = source[key] === undefined ? 50 : source[key];
+  return acc;
+}, {});
+
+// Two to four scenarios, each with its own sliders and preset, stepped by one
+// clock and drawn on one plot
+const ComparisonPanel = ({ presets, base, generationTime, seed: initialSeed }) => {
+  const [open, setOpen] = useState(false);
+  // Default contrast: the current setup at Nₑ = 1000 and Nₑ = 10⁶
+  const [scenarios, setScenarios] = useState(() => [
+    { preset: null, ...sliderValues(base), popSize: 40 },
+    { preset: null, ...sliderValues(base), popSize: 100 }
+  ]);
+  const [seed, setSeed] = useState(initialSeed);
+  const [sameSeed, setSameSeed] = useState(true);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const runsRef = useRef(null);
+  if (runsRef.current === null) runsRef.current = createComparison(scenarios.length, { seed, sameSeed });
+  // Trajectories grow in place and the panel re-renders at most once per
+  // animation frame, as the main run does
+  const historiesRef = useRef(null);
+  if (historiesRef.current === null) historiesRef.current = scenarios.map(() => [0.5]);
+  const dirtyRef = useRef(false);
+  const [, setFrame] = useState(0);
+  // Slider moves reach the running clock through this ref instead of restarting it
+  const scenariosRef = useRef(scenarios);
+  scenariosRef.current = scenarios;
+
+  const restart = (next = {}) => {
+    const count = (next.scenarios || scenarios).length;
+    runsRef.current = createComparison(count, { seed: next.seed ?? seed, sameSeed: next.sameSeed ?? sameSeed });
+    historiesRef.current = Array.from({ length: count }, () => [0.5]);
+    setFrame(f => f + 1);
+    setIsPlaying(false);
+  };
+
+  // Shared clock: every scenario advances the same generations per tick, at
+  // the rate of the Replication Speed slider
+  useEffect(() => {
+    if (!isPlaying) return;
+    const rate = generationsPerSecond(generationTime);
+    const delay = Math.max(MIN_DELAY, 1000 / rate);
+    const perTick = Math.max(1, Math.round((rate * delay) / 1000));
+    const interval = setInterval(() => {
+      for (let g = 0; g < perTick; g++) {
+        runsRef.current = stepComparison(runsRef.current, scenariosRef.current);
+        runsRef.current.forEach((run, i) => historiesRef.current[i].push(run.state.p));
+      }
+      dirtyRef.current = true;
+    }, delay);
+
+    let frame;
+    const render = () => {
+      if (dirtyRef.current) {
+        dirtyRef.current = false;
+        setFrame(f => f + 1);
+      }
+      frame = requestAnimationFrame(render);
+    };
+    frame = requestAnimationFrame(render);
+
+    return () => {
+      clearInterval(interval);
+      cancelAnimationFrame(frame);
+    };
+  }, [isPlaying, generationTime]);
+
+  const update = (i, changes) => setScenarios(list => list.map((sc, j) => (j === i ? { ...sc, ...changes } : sc)));
+
+  const addScenario = () => {
+    const next = [...scenarios, { ...scenarios[scenarios.length - 1] }];
+    setScenarios(next);
+    restart({ scenarios: next });
+  };
+
+  const removeScenario = (i) => {
+    const next = scenarios.filter((_, j) => j !== i);
+    setScenarios(next);
+    restart({ scenarios: next });
+  };
+
+  const histories = historiesRef.current;
+  const stats = scenarios.map((sc, i) => comparisonStats(sc, runsRef.current[i].state));
+  const generation = runsRef.current[0].state.generation;
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-cyan-50 to-sky-50 p-6 rounded-2xl border-2 border-sky-300 shadow-md">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Columns className="w-5 h-5 text-sky-600" />
+          Scenario Comparison
+        </h3>
+        <button
+          onClick={() => {
+            setOpen(!open);
+            setIsPlaying(false);
+          }}
+          className="px-4 py-2 text-sm font-semibold rounded-lg border-2 border-sky-300 bg-white hover:border-sky-500 text-sky-800"
+        >
+          {open ? 'Hide' : 'Compare scenarios'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-4 space-y-6">
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={() => setIsPlaying(!isPlaying)}
+              className={`px-4 py-2 rounded-lg font-bold text-white flex items-center gap-2 ${isPlaying ? 'bg-red-500 hover:bg-red-600' : 'bg-green-600 hover:bg-green-700'}`}
+            >
+              {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              {isPlaying ? 'Pause' : 'Run all'}
+            </button>
+            <button
+              onClick={() => restart()}
+              className="px-4 py-2 rounded-lg font-bold text-white bg-gray-600 hover:bg-gray-700 flex items-center gap-2"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Reset
+            </button>
+            <button
+              onClick={addScenario}
+              disabled={scenarios.length >= MAX_SCENARIOS}
+              className="px-3 py-2 text-sm font-semibold rounded-lg border-2 border-gray-200 bg-white hover:border-blue-300 flex items-center gap-1 disabled:text-gray-400"
+            >
+              <Plus className="w-4 h-4" /> Add scenario
+            </button>
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+              Seed
+              <input
+                type="number"
+                min="0"
+                value={seed}
+                onChange={(e) => {
+                  const nextSeed = Number(e.target.value) >>> 0;
+                  setSeed(nextSeed);
+                  restart({ seed: nextSeed });
+                }}
+                className="w-28 px-2 py-1 font-mono text-sm border-2 border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={sameSeed}
+                onChange={(e) => {
+                  setSameSeed(e.target.checked);
+                  restart({ sameSeed: e.target.checked });
+                }}
+              />
+              Same random seed for every scenario
+            </label>
+            <span className="text-sm text-gray-600">Generation {generation}</span>
+          </div>
+
+          <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${scenarios.length}, minmax(0, 1fr))` }}>
+            {scenarios.map((sc, i) => (
+              <div key={i} className="bg-white p-4 rounded-xl border-2 shadow-sm" style={{ borderColor: COMPARISON_COLORS[i] }}>
+                <div className="flex items-center justify-between mb-3">
+                  <span className="font-bold" style={{ color: COMPARISON_COLORS[i] }}>Scenario {LABELS[i]}</span>
+                  {scenarios.length > 2 && (
+                    <button onClick={() => removeScenario(i)} className="text-gray-400 hover:text-red-600" aria-label={`Remove scenario ${LABELS[i]}`}>
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                <select
+                  value={sc.preset || ''}
+                  onChange={(e) => {
+                    const preset = presets[e.target.value];
+                    update(i, preset ? { preset: e.target.value, ...sliderValues(preset) } : { preset: null });
+                  }}
+                  className="w-full mb-3 px-2 py-1 text-sm border-2 border-gray-300 rounded-lg bg-white"
+                  aria-label={`Preset for scenario ${LABELS[i]}`}
+                >
+                  <option value="">Custom</option>
+                  {Object.entries(presets).map(([key, preset]) => (
+                    <option key={key} value={key}>{preset.name}</option>
+                  ))}
+                </select>
+                {SLIDERS.map(([key, label, color]) => (
+                  <label key={key} className="block text-xs font-semibold text-gray-700 mb-2">
+                    <div className="flex justify-between">
+                      <span>{label}</span>
+                      <span className="font-mono">
+                        {key === 'popSize' ? formatCount(effectivePopSize(sc.popSize)) : key === 'sourceFreq' ? (sc.sourceFreq / 100).toFixed(2) : sc[key]}
+                      </span>
+                    </div>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={sc[key]}
+                      onChange={(e) => update(i, { preset: null, [key]: Number(e.target.value) })}
+                      className="w-full"
+                      style={{ accentColor: color }}
+                    />
+                  </label>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <TrajectoryPlot
+            history={histories[0]}
+            historyStart={0}
+            overlays={histories.map((values, i) => ({ key: i, label: LABELS[i], color: COMPARISON_COLORS[i], values }))}
+          />
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm bg-white rounded-xl border border-gray-200">
+              <thead>
+                <tr className="text-left">
+                  <th className="p-2 text-gray-500 font-semibold"></th>
+                  {scenarios.map((_, i) => (
+                    <th key={i} className="p-2 font-bold" style={{ color: COMPARISON_COLORS[i] }}>{LABELS[i]}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {STAT_ROWS.map(([label, format, diff]) => (
+                  <tr key={label} className="border-t border-gray-100">
+                    <td className="p-2 font-semibold text-gray-600">{label}</td>
+                    {stats.map((st, i) => (
+                      <td key={i} className="p-2 font-mono text-gray-800">
+                        {format(st)}
+                        {i > 0 && diff(st, stats[0]) && (
+                          <span className={`ml-2 text-xs ${diff(st, stats[0]) === 'differs' ? 'text-amber-700 font-bold' : 'text-gray-400'}`}>
+                            {diff(st, stats[0])} vs A
+                          </span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPanel;
@@ -0,0 +1,215 @@
+import React from 'react';
+import { EPIDEMIC_MODELS, EPIDEMIC_RANGES } from '../engine/epidemic';
+import { minMaxIndices, niceTicks } from '../plotScale';
+import { formatCount } from '../format';
+
+const MAX_POINTS = 300;
+
+const COMPARTMENTS = [
+  ['S', 'Susceptible', '#9ca3af'],
+  ['E', 'Exposed', '#f59e0b'],
+  ['I', 'Infected', '#dc2626'],
+  ['R', 'Recovered', '#16a34a']
+];
+
+const hostsOf = ({ S, E, I, R }) => S + E + I + R;
+
+const Slider = ({ label, hint, value, display, min, max, step, onChange }) => (
+  <label className="block text-xs font-semibold text-gray-700">
+    <div className="flex justify-between mb-1">
+      <span>{label}</span>
+      <span className="font-mono">{display}</span>
+    </div>
+    <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} className="w-full" />
+    <div className="text-gray-500 font-normal italic">{hint}</div>
+  </label>
+);
+
+// Host compartments with the focal allele frequency over the same
+// generations, and Nₑ on a log scale below
+const EpidemicChart = ({ history, frequencies, frequencyStart, seir }) => {
+  const infected = history.map(h => h.I);
+  const indices = minMaxIndices(infected, 0, history.length - 1, MAX_POINTS / 2);
+  const from = history[0].generation;
+  const to = history[history.length - 1].generation;
+  const span = Math.max(1, to - from);
+  const x = (generation) => ((generation - from) / span) * 100;
+  const line = (value) => indices.map(i => `${x(history[i].generation)},${(1 - value(history[i])) * 100}`).join(' ');
+  const maxLogNe = Math.max(1, ...indices.map(i => Math.log10(history[i].Ne)));
+  const neLine = indices.map(i => `${x(history[i].generation)},${(1 - Math.log10(history[i].Ne) / maxLogNe) * 100}`).join(' ');
+  const ticks = niceTicks(from, to, 5);
+
+  return (
+    <div className="space-y-2">
+      <div className="w-full h-40 rounded-xl border-2 border-gray-200 bg-white overflow-hidden">
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+          {COMPARTMENTS.filter(([key]) => seir || key !== 'E').map(([key, , color]) => (
+            <polyline key={key} points={line(h => h[key] / hostsOf(h))} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+          ))}
+          <polyline points={line(h => frequencies[h.generation - frequencyStart])} fill="none" stroke="#2563eb" strokeWidth="2.5" strokeDasharray="4,3" vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div className="relative w-full h-16 rounded-xl border-2 border-gray-200 bg-white overflow-hidden">
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+          <polyline points={neLine} fill="none" stroke="#f97316" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        </svg>
+        <span className="absolute top-1 left-2 text-xs text-gray-500">Nₑ (log scale, up to {formatCount(10 ** maxLogNe)})</span>
+      </div>
+      <div className="relative h-4 text-xs text-gray-500">
+        {ticks.map(t => (
+          <span key={t} className="absolute" style={{ left: `${x(t)}%`, transform: 'translateX(-50%)' }}>{t}</span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+        {COMPARTMENTS.filter(([key]) => seir || key !== 'E').map(([key, label, color]) => (
+          <span key={key}><span className="font-bold" style={{ color }}>—</span> {label}</span>
+        ))}
+        <span><span className="font-bold text-blue-600">- -</span> focal allele frequency</span>
+      </div>
+    </div>
+  );
+};
+
+// SIR/SEIR host epidemic whose infected hosts set Nₑ every generation.
+// `history` is the epidemic record of the run, `frequencies` its allele
+// frequency by generation from `frequencyStart`.
+const EpidemicPanel = ({ config, onChange, history, frequencies, frequencyStart = 0, supported, classroom }) => {
+  const set = (key) => (value) => onChange({ ...config, [key]: value });
+  const seir = config.model === 'SEIR';
+  const now = history.length > 0 ? history[history.length - 1] : null;
+  const note = !config.enabled
+    ? null
+    : !supported
+      ? 'The epidemic drives Nₑ in the single-population, ensemble and individual-based modes only.'
+      : classroom
+        ? 'The classroom model ignores Nₑ; switch to Wright–Fisher to see the epidemic change drift.'
+        : null;
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-rose-50 to-orange-50 p-6 rounded-2xl border-2 border-rose-300 shadow-md space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-xl font-bold text-gray-800">Epidemic Coupling</h3>
+        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+          <input type="checkbox" checked={config.enabled} onChange={(e) => onChange({ ...config, enabled: e.target.checked })} />
+          Infected hosts set Nₑ
+        </label>
+      </div>
+      <p className="text-sm text-gray-700">
+        Each pathogen generation, Nₑ is the number of infected hosts × the Nₑ each carries, replacing the Population Size slider.
+        Drift is weak at the epidemic peak and strong in its tail and in the troughs between waves, when few hosts carry the pathogen.
+        Durations are in pathogen generations; switching the coupling on starts a fresh epidemic.
+      </p>
+      {note && <p className="text-sm font-semibold text-amber-800">{note}</p>}
+
+      {config.enabled && (
+        <div className="grid lg:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            <div className="flex gap-2">
+              {Object.keys(EPIDEMIC_MODELS).map(key => (
+                <button
+                  key={key}
+                  onClick={() => onChange({ ...config, model: key })}
+                  className={`px-3 py-1 text-sm font-semibold rounded-lg border-2 ${config.model === key ? 'border-rose-600 bg-white text-rose-800 shadow' : 'border-gray-200 bg-white text-gray-600 hover:border-rose-300'}`}
+                >
+                  {key}
+                </button>
+              ))}
+            </div>
+            <Slider
+              label="R₀"
+              hint="Infections caused by one infected host in a fully susceptible population"
+              value={config.R0}
+              display={config.R0.toFixed(1)}
+              min={EPIDEMIC_RANGES.R0[0]}
+              max={EPIDEMIC_RANGES.R0[1]}
+              step="0.1"
+              onChange={set('R0')}
+            />
+            <Slider
+              label="Infectious period"
+              hint="Generations a host stays infected"
+              value={config.infectiousPeriod}
+              display={config.infectiousPeriod}
+              min="1"
+              max="200"
+              step="1"
+              onChange={set('infectiousPeriod')}
+            />
+            {seir && (
+              <Slider
+                label="Latent period"
+                hint="Generations between infection and infectiousness"
+                value={config.latentPeriod}
+                display={config.latentPeriod}
+                min="1"
+                max="200"
+                step="1"
+                onChange={set('latentPeriod')}
+              />
+            )}
+            <Slider
+              label="Immunity duration"
+              hint="Generations until recovered hosts are susceptible again, bringing later waves (0: lifelong, one wave)"
+              value={config.immunityDuration}
+              display={config.immunityDuration === 0 ? 'lifelong' : config.immunityDuration}
+              min="0"
+              max="10000"
+              step="100"
+              onChange={set('immunityDuration')}
+            />
+            <Slider
+              label="Host population"
+              hint="Takes effect when the epidemic restarts"
+              value={Math.log10(config.hosts)}
+              display={formatCount(config.hosts)}
+              min="2"
+              max="7"
+              step="0.1"
+              onChange={(value) => onChange({ ...config, hosts: Math.round(10 ** value) })}
+            />
+            <Slider
+              label="Nₑ per infected host"
+              hint="Pathogen effective size each infection contributes"
+              value={config.nePerHost}
+              display={config.nePerHost.toFixed(1)}
+              min="0.1"
+              max="10"
+              step="0.1"
+              onChange={set('nePerHost')}
+            />
+            <Slider
+              label="Imported infections"
+              hint="Infected hosts arriving from elsewhere each generation, reseeding the troughs"
+              value={config.imports}
+              display={config.imports.toFixed(2)}
+              min="0"
+              max="1"
+              step="0.01"
+              onChange={set('imports')}
+            />
+          </div>
+          <div className="lg:col-span-2 space-y-3">
+            {now && (
+              <div className="grid grid-cols-5 gap-3 text-center">
+                {[
+                  ...COMPARTMENTS.filter(([key]) => seir || key !== 'E').map(([key, label]) => [label, `${((now[key] / hostsOf(now)) * 100).toFixed(1)}%`]),
+                  ['Nₑ now', formatCount(now.Ne)]
+                ].map(([label, value]) => (
+                  <div key={label} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                    <div className="text-lg font-bold text-gray-800">{value}</div>
+                    <div className="text-xs text-gray-500">{label}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {history.length > 1
+              ? <EpidemicChart history={history} frequencies={frequencies} frequencyStart={frequencyStart} seir={seir} />
+              : <p className="text-sm text-gray-500 italic">Start the simulation to follow the epidemic.</p>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EpidemicPanel;
@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { FileDown } from 'lucide-react';
+import { genealogyStats } from '../engine/genealogy';
+import { niceTicks } from '../plotScale';
+import { ALLELE_COLORS } from './AgentPanel';
+
+// Branch pieces, mutation marks and leaf dots in percent coordinates: time
+// runs left (oldest kept generation) to right (now), samples top to bottom
+const layoutTree = ({ roots, to, leaves }) => {
+  const from = Math.min(...roots.map(root => root.start));
+  const xAt = (generation) => (to === from ? 100 : ((generation - from) / (to - from)) * 100);
+  const segments = [];
+  const marks = [];
+  const tips = [];
+  let order = 0;
+
+  const place = (n, parentGeneration) => {
+    let y;
+    if (n.children.length) {
+      const ys = n.children.map(child => place(child, n.generation));
+      y = (Math.min(...ys) + Math.max(...ys)) / 2;
+      segments.push({ key: `v${n.id}`, x1: xAt(n.generation), x2: xAt(n.generation), y1: Math.min(...ys), y2: Math.max(...ys), allele: n.allele });
+    } else {
+      y = ((order + 0.5) / leaves) * 100;
+      order++;
+      tips.push({ key: n.id, x: xAt(n.generation), y, allele: n.allele, sample: n.sample });
+    }
+    // Walk up the branch, switching colour at each mutation
+    let end = n.generation;
+    let allele = n.allele;
+    n.mutations.forEach((mutation, i) => {
+      segments.push({ key: `${n.id}-${i}`, x1: xAt(mutation.generation), x2: xAt(end), y1: y, y2: y, allele });
+      marks.push({ key: `${n.id}-${i}`, x: xAt(mutation.generation), y });
+      end = mutation.generation;
+      allele = mutation.from;
+    });
+    segments.push({ key: `${n.id}-top`, x1: xAt(parentGeneration), x2: xAt(end), y1: y, y2: y, allele });
+    return y;
+  };
+
+  roots.forEach(root => place(root.node, root.start));
+  return { from, segments, marks, tips };
+};
+
+// Sampled genealogy of the individual-based population, redrawn live
+const GenealogyTree = ({ genealogy, onExport }) => {
+  const layout = useMemo(() => layoutTree(genealogy), [genealogy]);
+  const stats = genealogyStats(genealogy);
+  const ticks = niceTicks(layout.from, genealogy.to, 5);
+  const span = Math.max(1, genealogy.to - layout.from);
+
+  return (
+    <div className="mb-8 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-xl font-bold text-gray-800">
+          Genealogy
+          <span className="ml-3 text-sm font-medium text-gray-500">
+            {genealogy.leaves} sampled individuals, traced back up to {genealogy.to - genealogy.from} generations
+          </span>
+        </h3>
+        <button
+          onClick={onExport}
+          className="px-3 py-1 text-sm font-semibold rounded-lg border border-gray-300 bg-white text-gray-600 hover:border-blue-400 hover:text-blue-700 flex items-center gap-1"
+        >
+          <FileDown className="w-4 h-4" /> Newick
+        </button>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <div className="relative w-full h-80 rounded-2xl border-2 border-gray-300 shadow-inner bg-white overflow-hidden">
+            <div className="absolute" style={{ left: '2%', right: '4%', top: '3%', bottom: '10%' }}>
+              <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%" className="absolute inset-0 overflow-visible">
+                {layout.segments.map(seg => (
+                  <line
+                    key={seg.key}
+                    x1={seg.x1}
+                    x2={seg.x2}
+                    y1={seg.y1}
+                    y2={seg.y2}
+                    stroke={ALLELE_COLORS[seg.allele]}
+                    strokeWidth="2"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                ))}
+              </svg>
+              {layout.marks.map(mark => (
+                <div
+                  key={mark.key}
+                  className="absolute w-2 h-2 bg-red-500"
+                  style={{ left: `${mark.x}%`, top: `${mark.y}%`, transform: 'translate(-50%, -50%) rotate(45deg)' }}
+                  title="Mutation"
+                />
+              ))}
+              {layout.tips.map(tip => (
+                <div
+                  key={tip.key}
+                  className="absolute w-2 h-2 rounded-full"
+                  style={{ left: `${tip.x}%`, top: `${tip.y}%`, transform: 'translate(-50%, -50%)', backgroundColor: ALLELE_COLORS[tip.allele] }}
+                  title={`Sample ${tip.sample}`}
+                />
+              ))}
+            </div>
+            {ticks.map(t => (
+              <div
+                key={t}
+                className="absolute bottom-1 text-xs text-gray-500"
+                style={{ left: `${2 + ((t - layout.from) / span) * 94}%`, transform: 'translateX(-50%)' }}
+              >
+                {t}
+              </div>
+            ))}
+          </div>
+          <div className="mt-1 text-xs text-gray-500 text-center">Generation</div>
+        </div>
+
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3 text-center">
+            {[
+              ['TMRCA', stats.tmrca === null ? '—' : `${stats.tmrca} gen`],
+              ['Imbalance (Colless)', stats.colless.toFixed(2)],
+              ['Separate roots', stats.roots],
+              ['Mutations shown', layout.marks.length]
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                <div className="text-lg font-bold text-gray-800">{value}</div>
+                <div className="text-xs text-gray-500">{label}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-600 bg-white rounded-xl border border-gray-200 p-3 leading-relaxed">
+            Branches are coloured by allele; red diamonds are mutations. Strong selection lets one lineage
+            after another take over, giving ladder-like trees like influenza's (imbalance near 1). A rapid
+            expansion (e.g. a scheduled rise in Nₑ) leaves star-like trees whose lineages all meet near the root.
+            Lineages that have not met within the window, or arrived as migrants, start separate trees.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GenealogyTree;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { haplotypeLabel } from '../engine/multilocus';
+
+const haplotypeColor = (h, k) => (
+  k === 2
+    ? ['#94a3b8', '#ef4444', '#3b82f6', '#a855f7'][h]
+    : `hsl(${Math.round((h * 360) / (1 << k))}, 70%, 55%)`
+);
+
+// y for the D / r² strip, which spans -0.25 (bottom) to 1 (top)
+const linkageY = (v) => ((1 - v) / 1.25) * 100;
+
+// `labels` optionally names each haplotype (defaults to AB / Ab / aB / ab ...)
+const HaplotypePlot = ({ history, k, labels = null }) => {
+  if (history.length < 2) return null;
+
+  const xAt = (i) => (i / (history.length - 1)) * 100;
+  const current = history[history.length - 1];
+  const legend = current.x
+    .map((freq, h) => ({ h, freq }))
+    .filter(({ freq }) => freq >= 0.02)
+    .sort((a, b) => b.freq - a.freq)
+    .slice(0, 8);
+
+  // Stacked bands: cumulative frequency below and above each haplotype
+  const bands = [];
+  const below = history.map(() => 0);
+  for (let h = 0; h < 1 << k; h++) {
+    const above = history.map((point, i) => below[i] + point.x[h]);
+    const upper = above.map((v, i) => `${xAt(i)},${(1 - v) * 100}`);
+    const lower = below.map((v, i) => `${xAt(i)},${(1 - v) * 100}`).reverse();
+    bands.push(<polygon key={h} points={`${upper.join(' ')} ${lower.join(' ')}`} fill={haplotypeColor(h, k)} />);
+    above.forEach((v, i) => { below[i] = v; });
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="w-full h-48 rounded-2xl border-2 border-gray-300 shadow-inner overflow-hidden bg-white">
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+          {bands}
+        </svg>
+      </div>
+      <div className="flex flex-wrap gap-3 text-xs font-medium">
+        {legend.map(({ h, freq }) => (
+          <div key={h} className="flex items-center gap-1">
+            <div className="w-3 h-3 rounded" style={{ backgroundColor: haplotypeColor(h, k) }}></div>
+            <span className="font-mono text-gray-700">{labels ? labels[h] : haplotypeLabel(h, k)}</span>
+            <span className="text-gray-500">{(freq * 100).toFixed(1)}%</span>
+          </div>
+        ))}
+      </div>
+      <div className="w-full h-32 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl border-2 border-gray-300 shadow-inner relative overflow-hidden">
+        <svg width="100%" height="100%" className="absolute inset-0">
+          {[0, 0.25, 1].map(v => (
+            <g key={v}>
+              <line x1="0" y1={`${linkageY(v)}%`} x2="100%" y2={`${linkageY(v)}%`} stroke="#d1d5db" strokeWidth="1" strokeDasharray="5,5" />
+              <text x="6" y={`${linkageY(v)}%`} dy={v === 1 ? 12 : -3} fontSize="10" fill="#6b7280">{v.toFixed(2)}</text>
+            </g>
+          ))}
+          <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+            <polyline
+              points={history.map((point, i) => `${xAt(i)},${linkageY(point.D)}`).join(' ')}
+              fill="none"
+              stroke="#f59e0b"
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+            <polyline
+              points={history.map((point, i) => `${xAt(i)},${linkageY(point.r2)}`).join(' ')}
+              fill="none"
+              stroke="#7c3aed"
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        </svg>
+      </div>
+      <div className="flex justify-between text-xs font-medium text-gray-600">
+        <span><span className="text-amber-600 font-bold">D</span> (A–B) = {current.D.toFixed(3)}</span>
+        <span><span className="text-violet-700 font-bold">r²</span> {k > 2 ? '(mean over pairs)' : '(A–B)'} = {current.r2.toFixed(3)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default HaplotypePlot;
@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { LineChart, Upload, Play, Square, X } from 'lucide-react';
+import {
+  FIT_PARAMS, defaultInference, parseTimeSeriesCSV, runDraws, summarizePosterior, posteriorPredictive, bestFit, INFERENCE_BATCH
+} from '../engine/inference';
+import { toModelParams } from '../engine/simulation';
+import { formatCount } from '../format';
+
+const SYMBOLS = { selection: 's', popSize: 'Nₑ', geneFlow: 'm' };
+
+// Slider value in the units of the parameter
+const paramValue = (param, value) => {
+  const mp = toModelParams({ mutation: 0, selection: 50, geneFlow: 0, popSize: 50, sourceFreq: 50, [param]: value });
+  if (param === 'selection') return mp.s.toFixed(3);
+  if (param === 'popSize') return formatCount(mp.Ne);
+  return mp.m.toFixed(3);
+};
+
+// Data and bands for the trajectory plot, shifted to start at generation 0
+// like a freshly reset run
+const plotted = (observations, bands) => {
+  const start = observations[0].generation;
+  return {
+    observations: observations.map(o => ({ ...o, generation: o.generation - start })),
+    bands: bands && bands.map(b => ({ ...b, generation: b.generation - start }))
+  };
+};
+
+// Fit s and Nₑ (and optionally m) to an uploaded allele-frequency time series
+// by approximate Bayesian computation. `onFit` receives the data and its
+// posterior-predictive bands for the trajectory plot (null to clear them),
+// `onApply` the fitted slider values.
+const InferencePanel = ({ base, seed, onFit, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [observations, setObservations] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [fitMigration, setFitMigration] = useState(false);
+  const [draws, setDraws] = useState(defaultInference.draws);
+  const [accepted, setAccepted] = useState(defaultInference.accepted);
+  const [done, setDone] = useState(0);
+  const [running, setRunning] = useState(false);
+  const [posterior, setPosterior] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const workerRef = useRef(null);
+  const timerRef = useRef(null);
+  // Bumped by every cancel, so a fit whose worker chunk is still loading
+  // knows it was cancelled (or the panel unmounted) when the chunk arrives
+  const runTokenRef = useRef(0);
+
+  const cancel = () => {
+    runTokenRef.current += 1;
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+    clearTimeout(timerRef.current);
+    setRunning(false);
+  };
+
+  useEffect(() => () => {
+    runTokenRef.current += 1;
+    if (workerRef.current) workerRef.current.terminate();
+    clearTimeout(timerRef.current);
+  }, []);
+
+  const load = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const points = parseTimeSeriesCSV(text);
+        cancel();
+        setObservations(points);
+        setFileName(file.name);
+        setPosterior(null);
+        setError(null);
+        onFit(plotted(points, null));
+      } catch (err) {
+        setError(err.message);
+      }
+    });
+  };
+
+  const clear = () => {
+    cancel();
+    setObservations(null);
+    setPosterior(null);
+    setFileName('');
+    onFit(null);
+  };
+
+  const finish = (config, { posterior: result, bands }) => {
+    setPosterior(result);
+    setRunning(false);
+    onFit(plotted(config.observations, bands));
+    onApply(bestFit(result));
+  };
+
+  const run = () => {
+    cancel();
+    const config = {
+      observations,
+      base,
+      seed,
+      draws,
+      accepted: Math.min(accepted, draws),
+      fit: fitMigration ? [...defaultInference.fit, 'geneFlow'] : defaultInference.fit
+    };
+    setPosterior(null);
+    setDone(0);
+    setError(null);
+    setRunning(true);
+
+    // Without Web Workers (old browsers, tests) run one batch per tick instead
+    if (typeof Worker === 'undefined') {
+      let results = [];
+      const runFrom = (from) => {
+        if (from >= config.draws) {
+          const result = summarizePosterior(config, results);
+          finish(config, { posterior: result, bands: posteriorPredictive(config, result) });
+          return;
+        }
+        results = results.concat(runDraws(config, from, Math.min(config.draws, from + INFERENCE_BATCH)));
+        setDone(results.length);
+        timerRef.current = setTimeout(() => runFrom(from + INFERENCE_BATCH), 0);
+      };
+      runFrom(0);
+      return;
+    }
+
+    const token = runTokenRef.current;
+    import('../engine/workers').then(({ createInferenceWorker }) => {
+      if (token !== runTokenRef.current) return;
+      const worker = createInferenceWorker();
+      workerRef.current = worker;
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          setDone(data.done);
+        } else {
+          worker.terminate();
+          workerRef.current = null;
+          finish(config, data.result);
+        }
+      };
+      worker.onerror = (event) => {
+        cancel();
+        setError(`The fit stopped: ${event.message || 'the worker failed'}`);
+      };
+      worker.postMessage(config);
+    }).catch(err => {
+      if (token !== runTokenRef.current) return;
+      cancel();
+      setError(`The fit could not start: ${err.message}`);
+    });
+  };
+
+  const span = observations ? observations[observations.length - 1].generation - observations[0].generation : 0;
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-purple-50 to-indigo-50 p-6 rounded-2xl border-2 border-purple-300 shadow-md">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <LineChart className="w-5 h-5 text-purple-600" />
+          Fit to Data
+        </h3>
+        <button
+          onClick={() => setOpen(!open)}
+          className="px-4 py-2 text-sm font-semibold rounded-lg border-2 border-purple-300 bg-white hover:border-purple-500 text-purple-800"
+        >
+          {open ? 'Hide' : 'Open fitting'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-4 grid lg:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                onClick={() => fileInputRef.current.click()}
+                className="px-3 py-2 text-sm font-semibold rounded-lg border-2 border-gray-300 bg-white hover:border-purple-400 flex items-center gap-1"
+              >
+                <Upload className="w-4 h-4" /> Upload CSV
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="text/csv,.csv,.txt"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  load(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+              {observations && (
+                <>
+                  <span className="text-sm text-gray-700">
+                    {fileName}: {observations.length} time points over {span} generations
+                  </span>
+                  <button onClick={clear} className="p-1 rounded hover:bg-purple-100" aria-label="Remove data">
+                    <X className="w-4 h-4 text-gray-600" />
+                  </button>
+                </>
+              )}
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <p className="text-xs text-gray-600 leading-relaxed">
+              Columns: generation, frequency of the focal variant (0–1) and, optionally, the number of genomes sequenced.
+              A header row may name them (generation, frequency, sample_size) in any order.
+            </p>
+
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <label className="font-semibold text-gray-700">
+                Prior draws
+                <input type="number" min="200" max="20000" step="100" value={draws} onChange={(e) => setDraws(Math.max(200, Math.min(20000, Number(e.target.value) || 200)))} className="ml-2 w-24 px-2 py-1 font-mono border-2 border-gray-300 rounded-lg" />
+              </label>
+              <label className="font-semibold text-gray-700">
+                Accepted
+                <input type="number" min="10" max="1000" value={accepted} onChange={(e) => setAccepted(Math.max(10, Math.min(1000, Number(e.target.value) || 10)))} className="ml-2 w-20 px-2 py-1 font-mono border-2 border-gray-300 rounded-lg" />
+              </label>
+              <label className="col-span-2 flex items-center gap-2 font-semibold text-gray-700">
+                <input type="checkbox" checked={fitMigration} onChange={(e) => setFitMigration(e.target.checked)} />
+                Also fit gene flow (m), towards the current migrant pool frequency
+              </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                onClick={running ? cancel : run}
+                disabled={!observations}
+                className={`px-4 py-2 rounded-lg font-bold text-white flex items-center gap-2 disabled:opacity-40 ${running ? 'bg-red-500 hover:bg-red-600' : 'bg-purple-600 hover:bg-purple-700'}`}
+              >
+                {running ? <Square className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                {running ? 'Cancel' : 'Fit'}
+              </button>
+              {(running || posterior) && <span className="text-sm text-gray-600">{done} / {draws} draws</span>}
+            </div>
+            {(running || posterior) && (
+              <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+                <div className="bg-purple-500 h-2 transition-all" style={{ width: `${(done / draws) * 100}%` }}></div>
+              </div>
+            )}
+            <p className="text-xs text-gray-600 leading-relaxed">
+              Approximate Bayesian computation: slider values are drawn uniformly (so Nₑ log-uniformly), the
+              Wright–Fisher model runs from the first observed frequency and each time point is sampled like the data.
+              The closest draws form the posterior; the sliders are set to its medians. Mutation and the other sliders
+              keep their current values.
+            </p>
+          </div>
+
+          <div className="space-y-3">
+            {posterior ? (
+              <>
+                <div className="grid grid-cols-3 gap-3 text-center">
+                  {Object.entries(posterior.estimates).map(([key, { median, lo, hi }]) => (
+                    <div key={key} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                      <div className="text-sm font-bold text-gray-800">{SYMBOLS[key]} = {paramValue(key, median)}</div>
+                      <div className="text-xs text-gray-500">{FIT_PARAMS[key]}</div>
+                      <div className="text-xs text-gray-500 mt-1">95%: {paramValue(key, lo)} – {paramValue(key, hi)}</div>
+                    </div>
+                  ))}
+                </div>
+                <div className="text-xs text-gray-600 bg-white rounded-xl border border-gray-200 p-3 leading-relaxed">
+                  {posterior.accepted.length} of {draws} draws accepted (RMS distance ≤ {posterior.tolerance.toFixed(3)}).
+                  The trajectory plot shows the data over the posterior-predictive 50% and 95% bands, starting at
+                  generation 0; wide intervals mean the data cannot tell those values apart.
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500 italic">
+                {observations ? 'Run the fit to estimate the forces behind the data.' : 'Upload a time series to begin.'}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InferencePanel;
@@ -0,0 +1,267 @@
+import React from 'react';
+import { haplotypeLabel, LOCUS_NAMES } from '../engine/multilocus';
+import {
+  LANDSCAPE_PRESETS, LANDSCAPE_KINDS, MIN_LANDSCAPE_LOCI, MAX_LANDSCAPE_LOCI, landscapeFitness, fitnessTable,
+  locusPairs, pairKey, mutationCount, globalPeak, localPeaks, accessiblePaths, pairEpistasis
+} from '../engine/landscape';
+
+const WIDTH = 480;
+const HEIGHT = 300;
+const MARGIN = { left: 44, right: 24, top: 24, bottom: 36 };
+const EPISTASIS_COLORS = { none: '#6b7280', magnitude: '#2563eb', sign: '#d97706', 'reciprocal sign': '#dc2626' };
+
+const signed = (v) => `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(2)}`;
+
+// Node positions: one column per number of mutations, height by fitness;
+// haplotypes sharing a column are spread across it
+const layout = (w, k) => {
+  const lo = Math.min(...w);
+  const hi = Math.max(...w);
+  const pad = Math.max(0.02, (hi - lo) * 0.12);
+  const plotW = WIDTH - MARGIN.left - MARGIN.right;
+  const plotH = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const columns = Array.from({ length: k + 1 }, () => []);
+  w.forEach((_, h) => columns[mutationCount(h)].push(h));
+  const positions = [];
+  columns.forEach((members, layer) => members.forEach((h, i) => {
+    const spread = members.length > 1 ? (i / (members.length - 1) - 0.5) * (plotW / (k + 1)) * 0.6 : 0;
+    positions[h] = {
+      x: MARGIN.left + ((layer + 0.5) / (k + 1)) * plotW + spread,
+      y: MARGIN.top + (1 - (w[h] - lo + pad) / (hi - lo + 2 * pad)) * plotH
+    };
+  }));
+  return { positions, lo: lo - pad, hi: hi + pad };
+};
+
+// The landscape as a hypercube: one node per genotype, edges between single
+// mutants coloured by whether the mutation raises (green) or lowers (red)
+// fitness. Node area follows the genotype's frequency; the grey trail is the
+// population's mean position over recent generations.
+const HypercubeGraph = ({ w, k, x, history }) => {
+  const { positions, lo, hi } = layout(w, k);
+  const peaks = localPeaks(w, k);
+  const centroid = (freqs) => freqs.reduce((acc, f, h) => ({ x: acc.x + f * positions[h].x, y: acc.y + f * positions[h].y }), { x: 0, y: 0 });
+  const trail = history.filter(freqs => freqs.length === w.length).map(centroid);
+  const edges = [];
+  w.forEach((_, h) => {
+    for (let i = 0; i < k; i++) {
+      if (!(h & (1 << i))) edges.push([h, h | (1 << i), i]);
+    }
+  });
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" className="bg-white rounded-xl border-2 border-gray-200" fontFamily="sans-serif">
+      {[lo, (lo + hi) / 2, hi].map(t => {
+        const y = MARGIN.top + (1 - (t - lo) / (hi - lo)) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+        return (
+          <g key={t}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y} y2={y} stroke="#f3f4f6" />
+            <text x={MARGIN.left - 4} y={y + 3} fontSize="9" textAnchor="end" fill="#9ca3af">{t.toFixed(2)}</text>
+          </g>
+        );
+      })}
+      <text x="10" y={HEIGHT / 2} fontSize="10" fill="#6b7280" transform={`rotate(-90 10 ${HEIGHT / 2})`} textAnchor="middle">fitness</text>
+      {Array.from({ length: k + 1 }, (_, layer) => (
+        <text key={layer} x={MARGIN.left + ((layer + 0.5) / (k + 1)) * (WIDTH - MARGIN.left - MARGIN.right)} y={HEIGHT - 10} fontSize="10" textAnchor="middle" fill="#6b7280">
+          {layer} {layer === 1 ? 'mutation' : 'mutations'}
+        </text>
+      ))}
+      {edges.map(([from, to, i]) => {
+        const change = w[to] - w[from];
+        const color = Math.abs(change) < 1e-9 ? '#d1d5db' : change > 0 ? '#16a34a' : '#dc2626';
+        return (
+          <line key={`${from}-${to}`} x1={positions[from].x} y1={positions[from].y} x2={positions[to].x} y2={positions[to].y} stroke={color} strokeWidth="1.5" opacity="0.7">
+            <title>{`${haplotypeLabel(from, k)} → ${haplotypeLabel(to, k)} (${LOCUS_NAMES[i]}): ${signed(change)}`}</title>
+          </line>
+        );
+      })}
+      {trail.length > 1 && (
+        <polyline points={trail.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')} fill="none" stroke="#6b7280" strokeWidth="1.5" strokeDasharray="3,2" />
+      )}
+      {w.map((wh, h) => {
+        const { x: cx, y: cy } = positions[h];
+        const freq = x[h] || 0;
+        return (
+          <g key={h}>
+            <circle cx={cx} cy={cy} r={4 + 16 * Math.sqrt(freq)} fill="#4f46e5" fillOpacity={0.15 + 0.6 * Math.sqrt(freq)} stroke={peaks.includes(h) ? '#f59e0b' : '#4f46e5'} strokeWidth={peaks.includes(h) ? 3 : 1} />
+            <text x={cx} y={cy - 8 - 16 * Math.sqrt(freq)} fontSize="10" fontFamily="monospace" fontWeight="bold" textAnchor="middle" fill="#1f2937">
+              {haplotypeLabel(h, k)}
+            </text>
+            <title>{`${haplotypeLabel(h, k)}: w = ${wh.toFixed(3)}, frequency ${(freq * 100).toFixed(1)}%`}</title>
+          </g>
+        );
+      })}
+      {trail.length > 0 && <circle cx={trail[trail.length - 1].x} cy={trail[trail.length - 1].y} r="4" fill="#111827" />}
+    </svg>
+  );
+};
+
+const Slider = ({ label, value, min, max, onChange }) => (
+  <label className="block text-xs font-semibold text-gray-700">
+    <div className="flex justify-between mb-1">
+      <span>{label}</span>
+      <span className="font-mono">{signed(value)}</span>
+    </div>
+    <input type="range" min={min} max={max} step="0.01" value={value} onChange={(e) => onChange(Number(e.target.value))} className="w-full" />
+  </label>
+);
+
+// Fitness landscape over 2–4 loci: editor, hypercube graph with the
+// population on it, and the landscape's peaks, paths and epistasis.
+// `history` holds recent genotype frequencies; `onChange(next, restart)`
+// restarts the run when the number of loci changes.
+const LandscapePanel = ({ config, onChange, history, meanFitness }) => {
+  const { k } = config;
+  const w = landscapeFitness(config);
+  const x = history.length > 0 ? history[history.length - 1] : [];
+  const peak = globalPeak(w);
+  const paths = accessiblePaths(w, k, 0, peak);
+  const peaks = localPeaks(w, k);
+
+  // Additive edits keep the table in step, ready for switching to it
+  const setAdditive = (changes) => {
+    const next = { ...config, ...changes };
+    onChange({ ...next, table: fitnessTable({ ...next, kind: 'additive' }) });
+  };
+  const setLoci = (n) => {
+    const next = { ...config, k: n };
+    onChange({ ...next, table: fitnessTable({ ...next, kind: 'additive' }) }, true);
+  };
+  const setKind = (kind) => onChange({ ...config, kind, table: fitnessTable(config) });
+  const setEntry = (h, value) => onChange({ ...config, table: config.table.map((wh, i) => (i === h ? Math.max(0, value) : wh)) });
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-violet-50 to-indigo-50 p-6 rounded-2xl border-2 border-violet-300 shadow-md space-y-4">
+      <h3 className="text-xl font-bold text-gray-800">Fitness Landscape</h3>
+      <p className="text-sm text-gray-700">
+        Each genotype over {k} loci has its own fitness, replacing the Selection slider. The population starts as the wild type
+        {` ${haplotypeLabel(0, k)} `}and climbs by mutation; drift, gene flow and recombination act as in the other modes.
+        The trajectory follows the global peak genotype, {haplotypeLabel(peak, k)}.
+      </p>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="space-y-3 text-sm">
+          <label className="block font-semibold text-gray-700">
+            Example
+            <select
+              value=""
+              onChange={(e) => e.target.value && onChange(LANDSCAPE_PRESETS[e.target.value].config, true)}
+              className="mt-1 w-full px-2 py-1 border-2 border-gray-200 rounded-lg bg-white font-normal"
+            >
+              <option value="">Load an example…</option>
+              {Object.entries(LANDSCAPE_PRESETS).map(([key, preset]) => <option key={key} value={key} title={preset.description}>{preset.name}</option>)}
+            </select>
+          </label>
+          <div className="flex items-center gap-2">
+            <span className="font-semibold text-gray-700">Loci</span>
+            {Array.from({ length: MAX_LANDSCAPE_LOCI - MIN_LANDSCAPE_LOCI + 1 }, (_, i) => MIN_LANDSCAPE_LOCI + i).map(n => (
+              <button
+                key={n}
+                onClick={() => n !== k && setLoci(n)}
+                className={`px-3 py-1 text-sm font-semibold rounded-lg border-2 ${n === k ? 'border-violet-600 bg-white text-violet-800 shadow' : 'border-gray-200 bg-white text-gray-600 hover:border-violet-300'}`}
+              >
+                {n}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            {Object.entries(LANDSCAPE_KINDS).map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => key !== config.kind && setKind(key)}
+                className={`px-3 py-1 text-xs font-semibold rounded-lg border-2 ${config.kind === key ? 'border-violet-600 bg-white text-violet-800 shadow' : 'border-gray-200 bg-white text-gray-600 hover:border-violet-300'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {config.kind === 'additive' ? (
+            <div className="space-y-2">
+              {Array.from({ length: k }, (_, i) => (
+                <Slider
+                  key={i}
+                  label={`s${LOCUS_NAMES[i]} (mutation ${LOCUS_NAMES[i]} alone)`}
+                  value={config.effects[i]}
+                  min="-0.3"
+                  max="0.3"
+                  onChange={(value) => setAdditive({ effects: config.effects.map((e, j) => (j === i ? value : e)) })}
+                />
+              ))}
+              {locusPairs(k).map(([i, j]) => (
+                <Slider
+                  key={pairKey(i, j)}
+                  label={`ε${pairKey(i, j)} (epistasis)`}
+                  value={config.epistasis[pairKey(i, j)] || 0}
+                  min="-0.5"
+                  max="0.5"
+                  onChange={(value) => setAdditive({ epistasis: { ...config.epistasis, [pairKey(i, j)]: value } })}
+                />
+              ))}
+              <p className="text-xs text-gray-500 italic">w = 1 + Σ s + Σ ε over the mutations a genotype carries (at least 0).</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-2">
+              {config.table.map((wh, h) => (
+                <label key={h} className="flex items-center justify-between gap-2 text-xs">
+                  <span className="font-mono font-bold text-gray-700">{haplotypeLabel(h, k)}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={wh}
+                    onChange={(e) => e.target.value !== '' && setEntry(h, Number(e.target.value))}
+                    className="w-20 px-2 py-1 border-2 border-gray-200 rounded-lg"
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 space-y-3">
+          <HypercubeGraph w={w} k={k} x={x} history={history} />
+          <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+            <span><span className="font-bold text-green-600">—</span> mutation raises fitness</span>
+            <span><span className="font-bold text-red-600">—</span> mutation lowers fitness</span>
+            <span><span className="font-bold text-amber-500">○</span> local peak</span>
+            <span><span className="font-bold text-gray-500">- -</span> population mean, recent generations</span>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+            {[
+              ['Global peak', `${haplotypeLabel(peak, k)} (w = ${w[peak].toFixed(2)})`],
+              ['Local peaks', peaks.map(h => haplotypeLabel(h, k)).join(', ')],
+              [`Uphill paths from ${haplotypeLabel(0, k)}`, paths.total ? `${paths.accessible} of ${paths.total}` : '—'],
+              ['Mean fitness w̄', meanFitness === undefined ? '—' : meanFitness.toFixed(4)]
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                <div className="text-sm font-bold text-gray-800">{value}</div>
+                <div className="text-xs text-gray-500">{label}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-700 space-y-1">
+            <div className="font-semibold">Pairwise epistasis on the wild-type background</div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {locusPairs(k).map(([i, j]) => {
+                const { epsilon, type } = pairEpistasis(w, i, j);
+                return (
+                  <span key={pairKey(i, j)}>
+                    <span className="font-mono font-bold">{pairKey(i, j)}</span>{' '}
+                    <span style={{ color: EPISTASIS_COLORS[type] }}>{type === 'none' ? 'none' : `${type} (ε ${signed(epsilon)})`}</span>
+                  </span>
+                );
+              })}
+            </div>
+            <p className="text-gray-500 italic">
+              Sign epistasis makes a mutation harmful on one background and helpful on another, so only some orders of
+              mutations are uphill; with reciprocal sign epistasis every single step away from a peak is downhill.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LandscapePanel;
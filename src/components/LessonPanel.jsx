@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { GraduationCap, ChevronLeft, ChevronRight, Play, X, Lock, CheckCircle2 } from 'lucide-react';
+import { fetchLessonIndex, fetchLesson, loadLessonProgress, saveLessonProgress } from '../lessons';
+
+// Guided lessons: a picker, then one step at a time. `onStep` receives the
+// step being shown (null when the lesson ends) so the app can load its setup,
+// lock sliders and highlight regions; `onRun` starts the reveal run, which
+// the app pauses at the step's generation.
+const LessonPanel = ({ generation, playing, onStep, onRun }) => {
+  const [index, setIndex] = useState([]);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(loadLessonProgress);
+  const [lesson, setLesson] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [phase, setPhase] = useState('ask');
+
+  useEffect(() => {
+    fetchLessonIndex().then(setIndex, err => setError(err.message));
+  }, []);
+
+  const step = lesson ? lesson.steps[stepIndex] : null;
+  const entry = lesson ? progress[lesson.id] || { step: 0, answers: {}, completed: false } : null;
+  const choice = entry && entry.answers[stepIndex] !== undefined ? entry.answers[stepIndex] : null;
+
+  // The reveal run has reached its generation and the app has paused it
+  useEffect(() => {
+    if (phase === 'running' && !playing && step && generation >= step.run.generations) setPhase('revealed');
+  }, [phase, playing, generation, step]);
+
+  const record = (id, changes) => {
+    setProgress(current => {
+      const next = { ...current, [id]: { step: 0, answers: {}, completed: false, ...current[id], ...changes } };
+      saveLessonProgress(next);
+      return next;
+    });
+  };
+
+  const show = (target, i) => {
+    setLesson(target);
+    setStepIndex(i);
+    setPhase('ask');
+    record(target.id, { step: i });
+    onStep(target.steps[i]);
+  };
+
+  const start = (item) => {
+    fetchLesson(item.file).then(loaded => {
+      const saved = progress[loaded.id];
+      setError(null);
+      show(loaded, saved && !saved.completed ? Math.min(saved.step, loaded.steps.length - 1) : 0);
+    }, err => setError(err.message));
+  };
+
+  const exit = () => {
+    setLesson(null);
+    onStep(null);
+  };
+
+  const finish = () => {
+    record(lesson.id, { step: 0, completed: true });
+    exit();
+  };
+
+  const answer = (k) => {
+    record(lesson.id, { answers: { ...entry.answers, [stepIndex]: k } });
+    if (!step.run) setPhase('revealed');
+  };
+
+  const runStep = () => {
+    setPhase('running');
+    onRun(step.run.generations);
+  };
+
+  if (!lesson) {
+    return (
+      <div className="mb-8 bg-gradient-to-br from-amber-50 to-yellow-50 p-6 rounded-2xl border-2 border-amber-300 shadow-md">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <GraduationCap className="w-6 h-6 text-amber-600" />
+          Guided Lessons
+        </h2>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+        <div className="grid md:grid-cols-3 gap-4">
+          {index.map(item => {
+            const saved = progress[item.id];
+            return (
+              <button
+                key={item.id}
+                onClick={() => start(item)}
+                className="p-4 rounded-xl border-2 border-amber-200 bg-white hover:border-amber-400 hover:shadow-md text-left"
+              >
+                <div className="font-bold text-gray-800 mb-1 flex items-center gap-2">
+                  {saved && saved.completed && <CheckCircle2 className="w-4 h-4 text-green-600" />}
+                  {item.title}
+                </div>
+                <div className="text-xs text-gray-500 leading-relaxed">{item.description}</div>
+                {saved && !saved.completed && saved.step > 0 && (
+                  <div className="mt-2 text-xs font-semibold text-amber-700">Resume at step {saved.step + 1}</div>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  const revealed = phase === 'revealed';
+  const canAdvance = !step.question || revealed;
+  const last = stepIndex === lesson.steps.length - 1;
+
+  return (
+    <div
+      className="mb-8 bg-amber-50 p-6 rounded-2xl border-2 border-amber-400 shadow-xl space-y-4"
+      style={{ position: 'sticky', top: 8, zIndex: 20 }}
+    >
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 text-sm font-semibold text-amber-800">
+          <GraduationCap className="w-5 h-5" />
+          {lesson.title} · step {stepIndex + 1} of {lesson.steps.length}
+        </div>
+        <button onClick={exit} className="p-1 rounded hover:bg-amber-100" aria-label="Leave lesson">
+          <X className="w-5 h-5 text-gray-600" />
+        </button>
+      </div>
+
+      <div>
+        <h3 className="text-xl font-bold text-gray-800 mb-2">{step.title}</h3>
+        <p className="text-sm text-gray-700 leading-relaxed">{step.text}</p>
+        {step.lock.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500 flex items-center gap-1">
+            <Lock className="w-3 h-3" /> Locked for this step: {step.lock.join(', ')}
+          </p>
+        )}
+      </div>
+
+      {step.question && (
+        <div className="space-y-2">
+          <div className="font-semibold text-gray-800">{step.question.prompt}</div>
+          <div className="flex flex-wrap gap-2">
+            {step.question.choices.map((text, k) => {
+              const picked = choice === k;
+              const verdict = revealed && (k === step.question.answer ? 'border-green-600 bg-green-50' : picked ? 'border-red-500 bg-red-50' : '');
+              return (
+                <button
+                  key={text}
+                  onClick={() => answer(k)}
+                  disabled={phase !== 'ask'}
+                  className={`px-3 py-2 text-sm rounded-lg border-2 text-left ${verdict || (picked ? 'border-amber-600 bg-white font-semibold' : 'border-gray-200 bg-white hover:border-amber-400')}`}
+                >
+                  {text}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {step.run && phase !== 'revealed' && (
+        <div className="flex items-center gap-3">
+          <button
+            onClick={runStep}
+            disabled={(step.question && choice === null) || phase === 'running'}
+            className="px-4 py-2 rounded-lg font-bold text-white bg-amber-600 hover:bg-amber-700 disabled:opacity-40 flex items-center gap-2"
+          >
+            <Play className="w-4 h-4" /> Run {step.run.generations} generations to find out
+          </button>
+          {phase === 'running' && (
+            <span className="text-sm text-gray-600">
+              generation {Math.min(generation, step.run.generations)} / {step.run.generations}
+              {!playing && ' — paused; run again to restart'}
+            </span>
+          )}
+          {step.question && choice === null && <span className="text-sm text-gray-500 italic">Make your prediction first.</span>}
+        </div>
+      )}
+      {phase === 'running' && !playing && generation < step.run.generations && (
+        <button onClick={runStep} className="text-sm font-semibold text-amber-700 underline">Restart the run</button>
+      )}
+
+      {revealed && step.question && (
+        <div className={`p-3 rounded-xl border-2 text-sm ${choice === step.question.answer ? 'border-green-400 bg-green-50' : 'border-red-300 bg-red-50'}`}>
+          <div className="font-bold mb-1">{choice === step.question.answer ? 'Correct!' : `Not quite — the answer is "${step.question.choices[step.question.answer]}".`}</div>
+          {step.question.explanation}
+        </div>
+      )}
+
+      <div className="flex justify-between">
+        <button
+          onClick={() => show(lesson, stepIndex - 1)}
+          disabled={stepIndex === 0}
+          className="px-3 py-2 text-sm font-semibold rounded-lg border-2 border-gray-300 bg-white disabled:opacity-40 flex items-center gap-1"
+        >
+          <ChevronLeft className="w-4 h-4" /> Back
+        </button>
+        <button
+          onClick={() => (last ? finish() : show(lesson, stepIndex + 1))}
+          disabled={!canAdvance}
+          className="px-3 py-2 text-sm font-semibold rounded-lg border-2 border-amber-500 bg-white text-amber-800 disabled:opacity-40 flex items-center gap-1"
+        >
+          {last ? 'Finish lesson' : 'Next'} <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LessonPanel;
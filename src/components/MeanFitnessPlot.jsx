@@ -0,0 +1,49 @@
+import React from 'react';
+import { minMaxIndices, niceTicks } from '../plotScale';
+
+const WIDTH = 560;
+const HEIGHT = 320;
+const MARGIN = { left: 52, right: 16, top: 16, bottom: 32 };
+const MAX_POINTS = 400;
+
+// Mean fitness w̄ by generation (`history[i]` is generation `start + i`), the
+// palette's alternative view
+const MeanFitnessPlot = ({ history, start = 0, svgRef = null }) => {
+  const last = history.length - 1;
+  const indices = minMaxIndices(history, 0, last, MAX_POINTS / 2);
+  // The downsampling keeps each bucket's extremes, so the drawn points span the range
+  const lo = Math.min(...indices.map(g => history[g]));
+  const hi = Math.max(...indices.map(g => history[g]));
+  const pad = Math.max(0.01, (hi - lo) * 0.1);
+  const y0 = lo - pad;
+  const y1 = hi + pad;
+  const plotW = WIDTH - MARGIN.left - MARGIN.right;
+  const plotH = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const x = (g) => MARGIN.left + (g / Math.max(1, last)) * plotW;
+  const y = (w) => MARGIN.top + (1 - (w - y0) / (y1 - y0)) * plotH;
+  const line = indices.map(g => `${x(g).toFixed(1)},${y(history[g]).toFixed(1)}`).join(' ');
+
+  return (
+    <div className="w-full h-80 rounded-2xl shadow-2xl border-4 border-white bg-white">
+      <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" height="100%" fontFamily="sans-serif">
+        {[0, 0.25, 0.5, 0.75, 1].map(f => y0 + f * (y1 - y0)).map(t => (
+          <g key={t}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(t)} y2={y(t)} stroke="#e5e7eb" />
+            <text x={MARGIN.left - 6} y={y(t) + 4} fontSize="11" textAnchor="end" fill="#6b7280">{t.toFixed(3)}</text>
+          </g>
+        ))}
+        {niceTicks(start, start + last, 6).map(t => (
+          <text key={t} x={x(t - start)} y={HEIGHT - 12} fontSize="11" textAnchor="middle" fill="#6b7280">{t}</text>
+        ))}
+        <line x1={MARGIN.left} x2={MARGIN.left} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#9ca3af" />
+        <polyline points={line} fill="none" stroke="#059669" strokeWidth="2.5" />
+        <circle cx={x(last)} cy={y(history[last])} r="4" fill="#059669" />
+        <text x={MARGIN.left + 8} y={MARGIN.top + 14} fontSize="13" fontWeight="bold" fill="#065f46">
+          w̄ = {history[last].toFixed(4)}
+        </text>
+      </svg>
+    </div>
+  );
+};
+
+export default MeanFitnessPlot;
@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import { TOPOLOGIES, MAX_DEMES, metapopulationPresets, migrationWeights } from '../engine/metapopulation';
+import { effectivePopSize, toModelParams } from '../engine/simulation';
+
+export const DEME_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+// Light grey (p = 0) to indigo (p = 1)
+const frequencyColor = (p) => {
+  const mix = (a, b) => Math.round(a + (b - a) * p);
+  return `rgb(${mix(229, 79)}, ${mix(231, 70)}, ${mix(235, 229)})`;
+};
+
+// Resize a square weight matrix, keeping existing entries
+const resizeWeights = (weights, n) => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (
+  weights && weights[i] && weights[i][j] !== undefined ? weights[i][j] : 0
+)));
+
+const DemeTrajectories = ({ history, demes }) => (
+  <div className="w-full h-80 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl border-2 border-gray-300 shadow-inner relative overflow-hidden">
+    <svg width="100%" height="100%" className="absolute inset-0">
+      {[0.25, 0.5, 0.75].map(y => (
+        <g key={y}>
+          <line x1="0" y1={`${(1-y)*100}%`} x2="100%" y2={`${(1-y)*100}%`} stroke="#d1d5db" strokeWidth="1" strokeDasharray="5,5" />
+          <text x="10" y={`${(1-y)*100}%`} dy="4" fontSize="11" fill="#6b7280" fontWeight="500">{y.toFixed(2)}</text>
+        </g>
+      ))}
+      {history.length > 1 && (
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+          {demes.map((deme, d) => (
+            <polyline
+              key={d}
+              points={history.map((p, i) => `${(i / (history.length - 1)) * 100},${(1 - p[d]) * 100}`).join(' ')}
+              fill="none"
+              stroke={DEME_COLORS[d % DEME_COLORS.length]}
+              strokeWidth="2.5"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
+      )}
+    </svg>
+  </div>
+);
+
+const DemeNetwork = ({ current, config }) => {
+  const { demes } = config;
+  const weights = migrationWeights(config);
+  const n = demes.length;
+  const size = 320;
+  const radius = n > 1 ? 115 : 0;
+  const nodes = demes.map((_, i) => {
+    const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+    return { x: size / 2 + radius * Math.cos(angle), y: size / 2 + radius * Math.sin(angle) };
+  });
+  const maxWeight = Math.max(...weights.flat(), 1e-9);
+
+  return (
+    <div className="w-full h-80 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl border-2 border-gray-300 shadow-inner overflow-hidden">
+      <svg viewBox={`0 0 ${size} ${size}`} width="100%" height="100%">
+        <defs>
+          <marker id="demeArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+            <path d="M0,0 L10,5 L0,10 z" fill="#64748b" />
+          </marker>
+        </defs>
+        {/* Edges point along the direction of gene flow (source j → recipient i) */}
+        {weights.map((row, i) => row.map((w, j) => {
+          if (i === j || w <= 0) return null;
+          const from = nodes[j];
+          const to = nodes[i];
+          const len = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+          const ux = (to.x - from.x) / len;
+          const uy = (to.y - from.y) / len;
+          return (
+            <line
+              key={`${i}-${j}`}
+              x1={from.x + ux * 24 - uy * 3}
+              y1={from.y + uy * 24 + ux * 3}
+              x2={to.x - ux * 26 - uy * 3}
+              y2={to.y - uy * 26 + ux * 3}
+              stroke="#64748b"
+              strokeOpacity={0.2 + 0.6 * (w / maxWeight)}
+              strokeWidth={0.5 + 3 * (w / maxWeight)}
+              markerEnd="url(#demeArrow)"
+            />
+          );
+        }))}
+        {demes.map((deme, i) => (
+          <g key={i}>
+            <circle cx={nodes[i].x} cy={nodes[i].y} r="22" fill={frequencyColor(current[i])} stroke={DEME_COLORS[i % DEME_COLORS.length]} strokeWidth="3" />
+            <text x={nodes[i].x} y={nodes[i].y} dy="4" textAnchor="middle" fontSize="10" fontWeight="700" fill={current[i] > 0.5 ? '#fff' : '#1f2937'}>
+              {current[i].toFixed(2)}
+            </text>
+            <text x={nodes[i].x} y={nodes[i].y + 36} textAnchor="middle" fontSize="10" fontWeight="600" fill="#374151">
+              {deme.name}
+            </text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// `onChange(config, restart)` - restart is set when the demes themselves change
+const MetapopulationPanel = ({ config, onChange, history, params }) => {
+  const [view, setView] = useState('network');
+  const { demes, topology } = config;
+  const current = history[history.length - 1];
+  const weights = config.weights || migrationWeights({ ...config, topology: 'island' });
+
+  const updateDeme = (i, changes) => onChange({
+    ...config,
+    demes: demes.map((deme, d) => (d === i ? { ...deme, ...changes } : deme))
+  });
+
+  const setDemeCount = (n) => {
+    const next = Array.from({ length: n }, (_, i) => demes[i] || { name: `Deme ${i + 1}`, popSize: 30, selection: 50, p0: 0.5 });
+    onChange({ ...config, demes: next, weights: config.weights && resizeWeights(config.weights, n) }, true);
+  };
+
+  const setWeight = (i, j, value) => onChange({
+    ...config,
+    weights: weights.map((row, r) => row.map((w, c) => (r === i && c === j ? value : w)))
+  });
+
+  return (
+    <div className="mb-8 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-xl font-bold text-gray-800">Metapopulation</h3>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(metapopulationPresets).map(([key, preset]) => (
+            <button
+              key={key}
+              onClick={() => onChange({ topology: preset.topology, demes: preset.demes, weights: preset.weights }, true)}
+              className="px-3 py-2 text-xs font-semibold rounded-lg border-2 border-gray-200 bg-white hover:border-blue-300"
+            >
+              {preset.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            {[['network', '🕸️ Network'], ['trajectories', '📈 Trajectories']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                className={`px-3 py-1 text-sm font-semibold rounded-lg ${view === key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {view === 'network'
+            ? <DemeNetwork current={current} config={config} />
+            : <DemeTrajectories history={history} demes={demes} />}
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-3 items-center">
+            <select
+              value={topology}
+              onChange={(e) => onChange({ ...config, topology: e.target.value, weights })}
+              className="px-4 py-2 border-2 border-gray-300 rounded-xl font-semibold bg-white text-sm"
+              aria-label="Topology"
+            >
+              {Object.entries(TOPOLOGIES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <label className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+              Demes
+              <input
+                type="number"
+                min="2"
+                max={MAX_DEMES}
+                value={demes.length}
+                onChange={(e) => setDemeCount(Math.max(2, Math.min(MAX_DEMES, Number(e.target.value) || 2)))}
+                className="w-16 px-2 py-1 border-2 border-gray-300 rounded-lg font-mono"
+              />
+            </label>
+            <span className="text-xs text-gray-500">m = {toModelParams(params).m.toFixed(3)} (Gene Flow slider)</span>
+          </div>
+
+          <div className="space-y-2 max-h-64 overflow-y-auto pr-1">
+            {demes.map((deme, i) => (
+              <div key={i} className="grid grid-cols-12 gap-2 items-center p-2 bg-gray-50 rounded-lg border-l-4" style={{ borderColor: DEME_COLORS[i % DEME_COLORS.length] }}>
+                <input
+                  value={deme.name}
+                  onChange={(e) => updateDeme(i, { name: e.target.value })}
+                  className="col-span-4 px-2 py-1 text-sm border border-gray-300 rounded"
+                  aria-label={`Deme ${i + 1} name`}
+                />
+                <label className="col-span-4 text-xs text-gray-600">
+                  Nₑ {Math.round(effectivePopSize(deme.popSize)).toLocaleString()}
+                  <input type="range" min="0" max="100" value={deme.popSize} onChange={(e) => updateDeme(i, { popSize: Number(e.target.value) })} className="w-full" />
+                </label>
+                <label className="col-span-4 text-xs text-gray-600">
+                  s {toModelParams({ ...params, selection: deme.selection }).s.toFixed(3)}
+                  <input type="range" min="0" max="100" value={deme.selection} onChange={(e) => updateDeme(i, { selection: Number(e.target.value) })} className="w-full" />
+                </label>
+              </div>
+            ))}
+          </div>
+
+          {topology === 'custom' && (
+            <div className="overflow-x-auto">
+              <div className="text-xs text-gray-600 mb-1">Relative migration weights (row receives from column, scaled by m)</div>
+              <table className="text-xs">
+                <tbody>
+                  {weights.map((row, i) => (
+                    <tr key={i}>
+                      <td className="pr-2 font-semibold" style={{ color: DEME_COLORS[i % DEME_COLORS.length] }}>{demes[i].name}</td>
+                      {row.map((w, j) => (
+                        <td key={j}>
+                          <input
+                            type="number"
+                            min="0"
+                            max="1"
+                            step="0.05"
+                            value={w}
+                            disabled={i === j}
+                            onChange={(e) => setWeight(i, j, Math.max(0, Math.min(1, Number(e.target.value) || 0)))}
+                            className="w-14 px-1 py-0.5 border border-gray-300 rounded font-mono disabled:bg-gray-100"
+                            aria-label={`Weight ${i + 1} from ${j + 1}`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetapopulationPanel;
@@ -0,0 +1,157 @@
+import React, { useState, useRef } from 'react';
+import { Plus, Copy, Pencil, Trash2, Download, Upload } from 'lucide-react';
+import { PRESET_SLIDERS, isBuiltIn, blankPreset, validatePreset, presetId, presetsToJSON, parsePresetsJSON } from '../presetStore';
+import { downloadFile } from '../download';
+
+const buttonClass = 'px-3 py-2 text-xs font-semibold rounded-lg border-2 border-gray-200 bg-white hover:border-blue-300 flex items-center gap-1 disabled:text-gray-400 disabled:hover:border-gray-200';
+
+// Create, clone, edit, delete, import and export user-defined presets.
+// Built-ins can be cloned but not changed.
+const PresetEditor = ({ presets, userPresets, selected, onChange }) => {
+  // { id, preset } while the form is open; id is null for a new preset
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const editable = Boolean(userPresets[selected]);
+
+  const open = (id, preset) => {
+    setError(null);
+    setDraft({ id, preset: { ...blankPreset(), ...preset } });
+  };
+
+  const update = (key, value) => setDraft(d => ({ ...d, preset: { ...d.preset, [key]: value } }));
+
+  const save = () => {
+    try {
+      const preset = validatePreset(draft.preset);
+      const id = draft.id || presetId(preset.name, userPresets);
+      onChange({ ...userPresets, [id]: preset }, id);
+      setDraft(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = () => {
+    if (!editable || !window.confirm(`Delete preset "${userPresets[selected].name}"?`)) return;
+    const next = { ...userPresets };
+    delete next[selected];
+    onChange(next, null);
+    setDraft(null);
+  };
+
+  const importPresets = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const imported = parsePresetsJSON(text, userPresets);
+        onChange({ ...userPresets, ...imported }, null);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    });
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap gap-2 items-center">
+        <button onClick={() => open(null, {})} className={buttonClass}>
+          <Plus className="w-4 h-4" /> New preset
+        </button>
+        <button
+          onClick={() => open(null, { ...presets[selected], name: `${presets[selected].name} (copy)` })}
+          disabled={!presets[selected]}
+          className={buttonClass}
+        >
+          <Copy className="w-4 h-4" /> Clone selected
+        </button>
+        <button onClick={() => open(selected, userPresets[selected])} disabled={!editable} className={buttonClass}>
+          <Pencil className="w-4 h-4" /> Edit
+        </button>
+        <button onClick={remove} disabled={!editable} className={`${buttonClass} text-red-700`}>
+          <Trash2 className="w-4 h-4" /> Delete
+        </button>
+        <button
+          onClick={() => downloadFile('pathogen-presets.json', presetsToJSON(userPresets))}
+          disabled={Object.keys(userPresets).length === 0}
+          className={buttonClass}
+        >
+          <Download className="w-4 h-4" /> Export my presets
+        </button>
+        <button onClick={() => fileInputRef.current.click()} className={buttonClass}>
+          <Upload className="w-4 h-4" /> Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            importPresets(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {isBuiltIn(selected) && !draft && (
+          <span className="text-xs text-gray-500 italic">Built-in presets are read-only — clone one to customise it.</span>
+        )}
+        {error && !draft && <span className="text-xs text-red-600">{error}</span>}
+      </div>
+
+      {draft && (
+        <div className="mt-4 p-5 bg-gray-50 rounded-xl border-2 border-blue-200">
+          <div className="grid md:grid-cols-2 gap-4 mb-4">
+            <label className="text-sm font-semibold text-gray-700">
+              Name
+              <input
+                type="text"
+                value={draft.preset.name}
+                onChange={(e) => update('name', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+            <label className="text-sm font-semibold text-gray-700">
+              Description
+              <input
+                type="text"
+                value={draft.preset.description}
+                onChange={(e) => update('description', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+          </div>
+          <div className="grid md:grid-cols-2 gap-x-6 gap-y-3">
+            {PRESET_SLIDERS.map(([key, label]) => (
+              <label key={key} className="text-xs font-semibold text-gray-700">
+                <div className="flex justify-between">
+                  <span>{label}</span>
+                  <span className="font-mono">{draft.preset[key]}</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={draft.preset[key]}
+                  onChange={(e) => update(key, Number(e.target.value))}
+                  className="w-full"
+                />
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-3 mt-4">
+            <button onClick={save} className="px-4 py-2 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg">
+              Save preset
+            </button>
+            <button onClick={() => setDraft(null)} className="px-4 py-2 text-sm font-semibold text-gray-700 hover:text-gray-900">
+              Cancel
+            </button>
+            {error && <span className="text-xs text-red-600">{error}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresetEditor;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { RESISTANCE_LABELS } from '../engine/resistance';
+import HaplotypePlot from './HaplotypePlot';
+
+const SLIDERS = [
+  { key: 'benefit', label: 'DRUG KILLING OF SUSCEPTIBLES', max: 0.9, hint: 'Fitness loss of wild type under drug' },
+  { key: 'cost', label: 'RESISTANCE COST', max: 0.5, hint: 'Fitness cost of R when the drug is absent' },
+  { key: 'compensation', label: 'COMPENSATION', max: 1, hint: 'Fraction of the cost removed by C' }
+];
+
+// Resistance scenario settings plus genotype frequencies over time
+const ResistancePanel = ({ config, onChange, history, drugOn }) => {
+  const current = history[history.length - 1];
+  const resistant = current.x[1] + current.x[3];
+
+  return (
+    <div className="mb-8 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-xl font-bold text-gray-800">Drug Resistance</h3>
+        <div className={`px-4 py-2 rounded-full text-sm font-bold ${drugOn ? 'bg-rose-600 text-white' : 'bg-gray-200 text-gray-700'}`}>
+          {drugOn ? '💊 Drug on' : 'Drug off'}
+        </div>
+      </div>
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          {SLIDERS.map(({ key, label, max, hint }) => (
+            <div key={key} className="bg-rose-50 p-4 rounded-xl border-l-4 border-rose-500">
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-bold text-rose-700">{label}</label>
+                <span className="text-sm font-bold text-rose-600 bg-rose-100 px-3 py-1 rounded-full">{config[key].toFixed(2)}</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max={max}
+                step="0.01"
+                value={config[key]}
+                onChange={(e) => onChange({ ...config, [key]: Number(e.target.value) })}
+                className="w-full"
+              />
+              <div className="text-xs text-gray-600 mt-2 italic">{hint}</div>
+            </div>
+          ))}
+          <div className="flex flex-wrap gap-4 text-sm font-medium text-gray-700">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={config.drug} onChange={(e) => onChange({ ...config, drug: e.target.checked })} />
+              Drug on by default (schedule entries override)
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={config.compensatory} onChange={(e) => onChange({ ...config, compensatory: e.target.checked })} />
+              Compensatory mutation C
+            </label>
+          </div>
+        </div>
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3 text-center">
+            <div className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+              <div className="text-lg font-bold text-rose-700">{(resistant * 100).toFixed(2)}%</div>
+              <div className="text-xs text-gray-500">Resistant (R, R + C)</div>
+            </div>
+            <div className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+              <div className="text-lg font-bold text-violet-700">{(current.x[3] * 100).toFixed(2)}%</div>
+              <div className="text-xs text-gray-500">Compensated (R + C)</div>
+            </div>
+          </div>
+          <HaplotypePlot history={history} k={2} labels={RESISTANCE_LABELS} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResistancePanel;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+import { SCHEDULE_COLORS, schedulePresets, parseSchedule } from '../engine/schedule';
+
+const describe = (entry) => {
+  const window = entry.end === undefined || entry.end === null ? `from t=${entry.start}` : `t=${entry.start}–${entry.end}`;
+  return entry.type === 'sine'
+    ? `${entry.param} ± ${entry.amplitude}, period ${entry.period} (${window})`
+    : `${entry.param} → ${entry.value} (${window})`;
+};
+
+// JSON editor for time-varying parameter schedules
+const SchedulePanel = ({ schedule, onChange, effective }) => {
+  const [text, setText] = useState(() => JSON.stringify(schedule, null, 2));
+  const [error, setError] = useState(null);
+
+  // Keep the editor in step with schedules loaded from elsewhere (presets)
+  useEffect(() => {
+    setText(JSON.stringify(schedule, null, 2));
+  }, [schedule]);
+
+  const load = (next) => {
+    setError(null);
+    onChange(next);
+  };
+
+  const apply = () => {
+    try {
+      onChange(parseSchedule(text));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-slate-50 to-gray-100 p-6 rounded-2xl border-2 border-slate-300 shadow-md">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <Clock className="w-5 h-5 text-slate-600" />
+        Parameter Schedule
+      </h3>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(schedulePresets).map(([key, preset]) => (
+          <button
+            key={key}
+            onClick={() => load(preset.schedule)}
+            className="px-3 py-2 text-xs font-semibold rounded-lg border-2 border-gray-200 bg-white hover:border-blue-300"
+          >
+            {preset.name}
+          </button>
+        ))}
+        <button
+          onClick={() => load([])}
+          className="px-3 py-2 text-xs font-semibold rounded-lg border-2 border-gray-200 bg-white hover:border-red-300 text-red-700"
+        >
+          Clear
+        </button>
+      </div>
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={10}
+            spellCheck={false}
+            className="w-full p-3 font-mono text-xs border-2 border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Schedule JSON"
+          />
+          <div className="flex items-center gap-3 mt-2">
+            <button
+              onClick={apply}
+              className="px-4 py-2 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
+            >
+              Apply
+            </button>
+            {error && <span className="text-xs text-red-600">{error}</span>}
+          </div>
+        </div>
+        <div className="space-y-2">
+          {schedule.length === 0 && (
+            <div className="text-sm text-gray-500 italic">
+              No schedule — every force keeps its slider value for the whole run.
+            </div>
+          )}
+          {schedule.map((entry, i) => (
+            <div key={i} className="flex items-center gap-2 text-sm bg-white p-2 rounded-lg border border-gray-200">
+              <div className="w-3 h-3 rounded" style={{ backgroundColor: SCHEDULE_COLORS[entry.param] }}></div>
+              <span className="font-semibold text-gray-800">{entry.label || entry.param}</span>
+              <span className="text-xs text-gray-500">{describe(entry)}</span>
+            </div>
+          ))}
+          {schedule.length > 0 && (
+            <div className="text-xs text-gray-600 pt-2">
+              Now in effect: {[...new Set(schedule.map(entry => entry.param))]
+                .map(param => `${param} ${Math.round(effective[param])}`).join(' • ')}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchedulePanel;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { SELECTION_MODELS } from '../engine/selection';
+
+const DESCRIPTIONS = {
+  directional: 'A constant advantage s: the favoured allele sweeps towards fixation.',
+  balancing: 'Heterozygotes are fitter than either homozygote, holding both alleles near p̂. A negative Selection slider gives underdominance, where p̂ becomes unstable. Mean fitness below 1 is the genetic load.',
+  frequency: 'Rare types have the edge (e.g. escaping recognition by hosts or vaccines), so the frequency returns to p̂ from either side.',
+  immunity: 'Hosts infected by a strain become immune to it. As a variant spreads, immunity to it builds and its advantage collapses; a rare variant escapes and the cycle repeats — the oscillations of antigenic drift.'
+};
+
+const IMMUNITY_SLIDERS = [
+  ['strength', 'Immune pressure', 'Advantage lost per unit of immunity difference'],
+  ['buildup', 'Immunity build-up', 'Share of susceptible hosts immunised per generation of infection'],
+  ['waning', 'Waning', 'Share of immunity lost per generation'],
+  ['cross', 'Cross-immunity', 'Protection against the other strain, relative to its own']
+];
+
+// Modes whose models track host immunity; the others fall back to directional
+const IMMUNITY_MODES = ['single', 'agents'];
+const DIRECTIONAL_ONLY = ['linkage', 'resistance', 'sequences'];
+
+const Slider = ({ label, hint, value, onChange }) => (
+  <label className="block text-xs font-semibold text-gray-700">
+    <div className="flex justify-between mb-1">
+      <span>{label}</span>
+      <span className="font-mono">{value.toFixed(2)}</span>
+    </div>
+    <input type="range" min="0" max="1" step="0.01" value={value} onChange={(e) => onChange(Number(e.target.value))} className="w-full" />
+    <div className="text-gray-500 font-normal italic">{hint}</div>
+  </label>
+);
+
+// Frequency and host immunity over the recent generations
+const ImmunityChart = ({ history }) => {
+  const from = history[0].generation;
+  const span = Math.max(1, history[history.length - 1].generation - from);
+  const line = (key) => history.map(h => `${((h.generation - from) / span) * 100},${(1 - h[key]) * 100}`).join(' ');
+  return (
+    <div className="space-y-2">
+      <div className="w-full h-40 rounded-xl border-2 border-gray-200 bg-white overflow-hidden">
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+          <polyline points={line('p')} fill="none" stroke="#2563eb" strokeWidth="2.5" vectorEffect="non-scaling-stroke" />
+          <polyline points={line('focal')} fill="none" stroke="#dc2626" strokeWidth="2" strokeDasharray="4,3" vectorEffect="non-scaling-stroke" />
+          <polyline points={line('wild')} fill="none" stroke="#16a34a" strokeWidth="2" strokeDasharray="4,3" vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+        <span><span className="font-bold text-blue-600">—</span> focal allele frequency</span>
+        <span><span className="font-bold text-red-600">- -</span> host immunity to focal strain</span>
+        <span><span className="font-bold text-green-600">- -</span> host immunity to wild type</span>
+        <span className="text-gray-400">generations {from}–{from + span}</span>
+      </div>
+    </div>
+  );
+};
+
+// Selection model picker with its settings; `history` is the recent immunity record
+const SelectionPanel = ({ model, onChange, history, simMode, classroom }) => {
+  const note = classroom
+    ? 'The classroom model always uses directional selection.'
+    : simMode === 'landscape'
+      ? 'The fitness landscape sets every genotype\'s fitness in this mode; the selection model is not used.'
+      : DIRECTIONAL_ONLY.includes(simMode) && model.type !== 'directional'
+        ? 'This population structure uses directional selection only.'
+        : model.type === 'immunity' && !IMMUNITY_MODES.includes(simMode)
+          ? 'Host immunity is tracked in the single-population, ensemble and individual-based modes; here selection stays directional.'
+          : null;
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-green-50 to-emerald-50 p-6 rounded-2xl border-2 border-green-300 shadow-md space-y-4">
+      <h3 className="text-xl font-bold text-gray-800">Selection Model</h3>
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(SELECTION_MODELS).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => onChange({ ...model, type: key })}
+            className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 ${model.type === key ? 'border-green-600 bg-white text-green-800 shadow' : 'border-gray-200 bg-white text-gray-600 hover:border-green-300'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="text-sm text-gray-700">{DESCRIPTIONS[model.type]}</p>
+      {note && <p className="text-sm font-semibold text-amber-800">{note}</p>}
+
+      {(model.type === 'balancing' || model.type === 'frequency') && (
+        <div className="max-w-md">
+          <Slider
+            label="Equilibrium p̂"
+            hint="Frequency selection pulls the focal allele towards"
+            value={model.equilibrium}
+            onChange={(equilibrium) => onChange({ ...model, equilibrium })}
+          />
+        </div>
+      )}
+
+      {model.type === 'immunity' && (
+        <div className="grid lg:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            {IMMUNITY_SLIDERS.map(([key, label, hint]) => (
+              <Slider
+                key={key}
+                label={label}
+                hint={hint}
+                value={model.immunity[key]}
+                onChange={(value) => onChange({ ...model, immunity: { ...model.immunity, [key]: value } })}
+              />
+            ))}
+          </div>
+          <div className="lg:col-span-2">
+            {history.length > 1
+              ? <ImmunityChart history={history} />
+              : <p className="text-sm text-gray-500 italic">Start the simulation to follow host immunity.</p>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SelectionPanel;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+
+// Amino acids coloured by chemistry, as in WebLogo
+const RESIDUE_COLORS = [
+  ['GSTYC', '#16a34a'],
+  ['QN', '#7c3aed'],
+  ['KRH', '#2563eb'],
+  ['DE', '#dc2626'],
+  ['AVLIPWFM', '#111827']
+];
+const colorOf = (aa) => (RESIDUE_COLORS.find(([group]) => group.includes(aa)) || [null, '#9ca3af'])[1];
+
+const MAX_BITS = Math.log2(20);
+const COLUMN = 24;
+const HEIGHT = 100;
+// Cap height of a bold monospace letter, as a fraction of its font size
+const CAP = 0.72;
+const FONT = 20;
+
+// Letters of one column, smallest at the bottom: each is its frequency times
+// the column's information content, log₂20 − H bits
+const stackOf = (freqs) => {
+  const entries = Object.entries(freqs).filter(([, f]) => f > 0);
+  const entropy = -entries.reduce((sum, [, f]) => sum + f * Math.log2(f), 0);
+  const bits = Math.max(0, MAX_BITS - entropy);
+  return entries.sort((a, b) => b[1] - a[1]).map(([aa, f]) => ({ aa, height: (f * bits) / MAX_BITS }));
+};
+
+// Sequence logo of the designated codons at a generation chosen from
+// `history` (the run's per-generation sequence summaries)
+const SequenceLogo = ({ history }) => {
+  const [picked, setPicked] = useState(null);
+  if (history.length === 0) return null;
+  // Follow the newest generation unless one has been picked; the history is
+  // a sliding window, so the pick is kept as a generation
+  const found = picked === null ? -1 : history.findIndex(point => point.generation >= picked);
+  const index = found < 0 ? history.length - 1 : found;
+  const { generation, sites } = history[index];
+  const width = Math.max(1, sites.length) * COLUMN;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+        <span className="font-semibold text-gray-700">Designated codons at generation {generation}</span>
+        {picked !== null && (
+          <button onClick={() => setPicked(null)} className="text-xs font-semibold text-indigo-700 underline">Follow latest</button>
+        )}
+      </div>
+      {sites.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">No designated codons: selection acts on none of the sequence.</p>
+      ) : (
+        <div className="rounded-xl border-2 border-gray-200 bg-white p-2">
+          <svg viewBox={`0 0 ${width} ${HEIGHT + 14}`} width="100%" style={{ maxHeight: 220 }}>
+            {sites.map((site, i) => {
+              let y = HEIGHT;
+              return (
+                <g key={site.codon}>
+                  {stackOf(site.freqs).map(({ aa, height }) => {
+                    const h = height * HEIGHT;
+                    y -= h;
+                    if (h < 0.5) return null;
+                    return (
+                      <text
+                        key={aa}
+                        x="0"
+                        y="0"
+                        fontSize={FONT}
+                        fontFamily="monospace"
+                        fontWeight="bold"
+                        textAnchor="middle"
+                        fill={colorOf(aa)}
+                        transform={`translate(${(i + 0.5) * COLUMN}, ${y + h}) scale(1, ${h / (CAP * FONT)})`}
+                      >
+                        {aa}
+                      </text>
+                    );
+                  })}
+                  <text x={(i + 0.5) * COLUMN} y={HEIGHT + 11} fontSize="8" textAnchor="middle" fill="#6b7280">
+                    {site.reference}{site.codon}
+                  </text>
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+      )}
+      <input
+        type="range"
+        min="0"
+        max={history.length - 1}
+        value={index}
+        onChange={(e) => setPicked(history[Number(e.target.value)].generation)}
+        className="w-full"
+        aria-label="Logo generation"
+      />
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>generation {history[0].generation}</span>
+        <span>letter height: frequency × information (up to log₂20 ≈ 4.32 bits)</span>
+        <span>{history[history.length - 1].generation}</span>
+      </div>
+    </div>
+  );
+};
+
+export default SequenceLogo;
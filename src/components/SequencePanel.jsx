@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import { Download } from 'lucide-react';
+import {
+  SEQUENCE_TEMPLATES, SUBSTITUTION_MODELS, NUCLEOTIDES, parseSequenceInput, referenceOf, translate
+} from '../engine/sequences';
+import { minMaxIndices, niceTicks } from '../plotScale';
+import SequenceLogo from './SequenceLogo';
+
+const MAX_POINTS = 300;
+const ROW = 60;
+
+const formatRate = (value) => (value === null ? '—' : value.toFixed(value < 0.01 ? 4 : 3));
+
+// Codon numbers typed as "145, 155 156", kept within the reference
+const parseSites = (text, firstCodon, codons) => [...new Set(
+  text.split(/[\s,;]+/).filter(Boolean).map(Number).filter(c => Number.isInteger(c) && c >= firstCodon && c < firstCodon + codons)
+)].sort((a, b) => a - b);
+
+// π and dN/dS over the recorded generations, each on its own axis
+const SequenceChart = ({ history }) => {
+  const pis = history.map(h => h.pi);
+  const indices = minMaxIndices(pis, 0, history.length - 1, MAX_POINTS / 2);
+  const from = history[0].generation;
+  const to = history[history.length - 1].generation;
+  const span = Math.max(1, to - from);
+  const x = (generation) => ((generation - from) / span) * 100;
+  const maxPi = Math.max(1e-4, ...pis);
+  const ratios = history.map(h => h.dNdS).filter(r => r !== null);
+  const maxRatio = Math.max(2, ...ratios);
+  const piLine = indices.map(i => `${x(history[i].generation)},${(1 - history[i].pi / maxPi) * 100}`).join(' ');
+  const ratioLine = indices
+    .filter(i => history[i].dNdS !== null)
+    .map(i => `${x(history[i].generation)},${(1 - history[i].dNdS / maxRatio) * 100}`)
+    .join(' ');
+  const ticks = niceTicks(from, to, 5);
+
+  return (
+    <div className="space-y-2">
+      <div className="relative w-full h-24 rounded-xl border-2 border-gray-200 bg-white overflow-hidden">
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+          <polyline points={piLine} fill="none" stroke="#4f46e5" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        </svg>
+        <span className="absolute top-1 left-2 text-xs text-gray-500">π per site (up to {maxPi.toPrecision(2)})</span>
+      </div>
+      <div className="relative w-full h-24 rounded-xl border-2 border-gray-200 bg-white overflow-hidden">
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+          <line x1="0" x2="100" y1={(1 - 1 / maxRatio) * 100} y2={(1 - 1 / maxRatio) * 100} stroke="#9ca3af" strokeDasharray="3,3" vectorEffect="non-scaling-stroke" />
+          <polyline points={ratioLine} fill="none" stroke="#db2777" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        </svg>
+        <span className="absolute top-1 left-2 text-xs text-gray-500">dN/dS (dashed: 1, neutral; up to {maxRatio.toFixed(1)})</span>
+      </div>
+      <div className="relative h-4 text-xs text-gray-500">
+        {ticks.map(t => (
+          <span key={t} className="absolute" style={{ left: `${x(t)}%`, transform: 'translateX(-50%)' }}>{t}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Consensus in rows of 60 nucleotides, differences from the reference in
+// red, with its translation below; designated codons are shaded
+const ConsensusView = ({ snapshot }) => {
+  const { reference, consensus, firstCodon, sites } = snapshot;
+  const protein = translate(consensus);
+  const referenceProtein = translate(reference);
+  const rows = [];
+  for (let start = 0; start < consensus.length; start += ROW) rows.push(start);
+
+  return (
+    <div className="font-mono text-xs leading-5 overflow-x-auto bg-white rounded-xl border-2 border-gray-200 p-3" style={{ maxHeight: 320, overflowY: 'auto' }}>
+      {rows.map(start => (
+        <div key={start} className="mb-2" style={{ whiteSpace: 'pre' }}>
+          <div>
+            <span className="text-gray-400">{String(firstCodon + start / 3).padStart(5)} </span>
+            {Array.from(consensus.slice(start, start + ROW), (base, k) => (
+              base === reference[start + k]
+                ? base
+                : <span key={k} className="font-bold text-red-600 bg-red-50">{base}</span>
+            ))}
+          </div>
+          <div>
+            <span>{'      '}</span>
+            {Array.from(protein.slice(start / 3, (start + ROW) / 3), (aa, k) => {
+              const i = start / 3 + k;
+              const designated = sites.includes(firstCodon + i);
+              const changed = aa !== referenceProtein[i];
+              return (
+                <span
+                  key={k}
+                  title={`codon ${firstCodon + i}${changed ? `: ${referenceProtein[i]} → ${aa}` : ''}`}
+                  className={`${designated ? 'bg-amber-100' : ''} ${changed ? 'font-bold text-red-600' : 'text-gray-500'}`}
+                >
+                  {` ${aa} `}
+                </span>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Sequence-level mode: reference and designated codons, substitution model,
+// summaries over time, consensus and logo. `onChange(next, restart)` restarts
+// the run when the reference or designated codons change.
+const SequencePanel = ({ config, onChange, history, snapshot, escaped, onExport }) => {
+  const { sequence: reference, firstCodon } = referenceOf(config);
+  const codons = reference.length / 3;
+  const [draft, setDraft] = useState(null);
+  const [draftFirst, setDraftFirst] = useState(firstCodon);
+  const [sitesText, setSitesText] = useState(config.sites.join(', '));
+  const [error, setError] = useState(null);
+  const hky = config.substitution === 'HKY';
+  const now = history.length > 0 ? history[history.length - 1] : null;
+
+  useEffect(() => {
+    setSitesText(config.sites.join(', '));
+  }, [config.sites]);
+
+  const chooseTemplate = (key) => {
+    setError(null);
+    if (key === 'custom') {
+      setDraft(reference);
+      setDraftFirst(firstCodon);
+      return;
+    }
+    setDraft(null);
+    onChange({ ...config, template: key, sites: SEQUENCE_TEMPLATES[key].sites }, true);
+  };
+
+  const loadCustom = () => {
+    try {
+      const sequence = parseSequenceInput(draft);
+      const first = Math.max(1, Math.round(Number(draftFirst)) || 1);
+      const sites = config.sites.filter(c => c >= first && c < first + sequence.length / 3);
+      setError(null);
+      setDraft(null);
+      onChange({ ...config, template: 'custom', sequence, firstCodon: first, sites }, true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const applySites = () => {
+    const sites = parseSites(sitesText, firstCodon, codons);
+    setSitesText(sites.join(', '));
+    if (sites.join() !== config.sites.join()) onChange({ ...config, sites }, true);
+  };
+
+  const setBase = (b, value) => {
+    const raw = config.baseFrequencies.map((f, k) => (k === b ? value : f));
+    const total = raw.reduce((a, c) => a + c, 0);
+    onChange({ ...config, baseFrequencies: raw.map(f => f / total) });
+  };
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-indigo-50 to-sky-50 p-6 rounded-2xl border-2 border-indigo-300 shadow-md space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-xl font-bold text-gray-800">Sequence Evolution</h3>
+        <button
+          onClick={onExport}
+          disabled={!snapshot}
+          className="px-3 py-1 text-sm font-semibold rounded-lg border-2 border-indigo-300 bg-white text-indigo-700 hover:border-indigo-500 disabled:opacity-40 flex items-center gap-1"
+        >
+          <Download className="w-4 h-4" /> FASTA
+        </button>
+      </div>
+      <p className="text-sm text-gray-700">
+        A population of up to 200 coding sequences (2Nₑ) evolves from the reference. Mutation, gene flow, recombination and
+        population size come from the sliders; amino-acid changes at the designated codons gain the selection coefficient,
+        changes elsewhere pay the constraint, and stop codons are lethal. The focal allele is any amino-acid change at a designated codon.
+      </p>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="space-y-3 text-sm">
+          <label className="block font-semibold text-gray-700">
+            Reference
+            <select
+              value={draft !== null ? 'custom' : config.template}
+              onChange={(e) => chooseTemplate(e.target.value)}
+              className="mt-1 w-full px-2 py-1 border-2 border-gray-200 rounded-lg bg-white font-normal"
+            >
+              {Object.entries(SEQUENCE_TEMPLATES).map(([key, template]) => <option key={key} value={key}>{template.name}</option>)}
+              <option value="custom">Custom sequence…</option>
+            </select>
+          </label>
+          {draft === null && SEQUENCE_TEMPLATES[config.template] && (
+            <p className="text-xs text-gray-500 italic">{SEQUENCE_TEMPLATES[config.template].source}</p>
+          )}
+          {draft !== null && (
+            <div className="space-y-2">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={5}
+                spellCheck={false}
+                placeholder="Paste a FASTA record or bare coding sequence"
+                className="w-full px-2 py-1 border-2 border-gray-200 rounded-lg font-mono text-xs"
+              />
+              <div className="flex items-center gap-2">
+                <label className="text-xs text-gray-600">First codon number</label>
+                <input type="number" min="1" value={draftFirst} onChange={(e) => setDraftFirst(e.target.value)} className="w-20 px-2 py-1 border-2 border-gray-200 rounded-lg" />
+                <button onClick={loadCustom} className="ml-auto px-3 py-1 text-sm font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Use sequence</button>
+              </div>
+              {error && <p className="text-xs text-red-600">{error}</p>}
+            </div>
+          )}
+          <label className="block font-semibold text-gray-700">
+            Designated codons ({firstCodon}–{firstCodon + codons - 1})
+            <input
+              value={sitesText}
+              onChange={(e) => setSitesText(e.target.value)}
+              onBlur={applySites}
+              onKeyDown={(e) => e.key === 'Enter' && applySites()}
+              className="mt-1 w-full px-2 py-1 border-2 border-gray-200 rounded-lg font-mono font-normal"
+            />
+          </label>
+          <label className="block font-semibold text-gray-700">
+            Substitution model
+            <select
+              value={config.substitution}
+              onChange={(e) => onChange({ ...config, substitution: e.target.value })}
+              className="mt-1 w-full px-2 py-1 border-2 border-gray-200 rounded-lg bg-white font-normal"
+            >
+              {Object.entries(SUBSTITUTION_MODELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          {hky && (
+            <div className="space-y-2">
+              <label className="block text-xs font-semibold text-gray-700">
+                <div className="flex justify-between"><span>κ (transition/transversion)</span><span className="font-mono">{config.kappa.toFixed(1)}</span></div>
+                <input type="range" min="0.5" max="20" step="0.5" value={config.kappa} onChange={(e) => onChange({ ...config, kappa: Number(e.target.value) })} className="w-full" />
+              </label>
+              <div className="grid grid-cols-4 gap-2">
+                {Array.from(NUCLEOTIDES, (base, b) => (
+                  <label key={base} className="text-xs font-semibold text-gray-700 text-center">
+                    π<sub>{base}</sub> {config.baseFrequencies[b].toFixed(2)}
+                    <input type="range" min="0.05" max="0.7" step="0.01" value={config.baseFrequencies[b]} onChange={(e) => setBase(b, Number(e.target.value))} className="w-full" />
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 italic">
+                dN and dS count sites as Nei–Gojobori do, ignoring κ, so with κ above 1 neutral dN/dS reads somewhat below 1.
+              </p>
+            </div>
+          )}
+          <label className="block text-xs font-semibold text-gray-700">
+            <div className="flex justify-between"><span>Constraint on other codons</span><span className="font-mono">{config.constraint.toFixed(2)}</span></div>
+            <input type="range" min="0" max="1" step="0.01" value={config.constraint} onChange={(e) => onChange({ ...config, constraint: Number(e.target.value) })} className="w-full" />
+            <div className="text-gray-500 font-normal italic">Fitness cost of each amino-acid change outside the designated codons</div>
+          </label>
+        </div>
+
+        <div className="lg:col-span-2 space-y-3">
+          {now && (
+            <div className="grid grid-cols-3 md:grid-cols-6 gap-3 text-center">
+              {[
+                ['π per site', formatRate(now.pi)],
+                ['dN/dS', now.dNdS === null ? '—' : now.dNdS.toFixed(2)],
+                ['dN', formatRate(now.dN)],
+                ['dS', formatRate(now.dS)],
+                ['Segregating sites', now.segregating],
+                ['Escape variants', `${(escaped * 100).toFixed(1)}%`]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                  <div className="text-lg font-bold text-gray-800">{value}</div>
+                  <div className="text-xs text-gray-500">{label}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          {history.length > 1
+            ? <SequenceChart history={history} />
+            : <p className="text-sm text-gray-500 italic">Start the simulation to follow diversity and dN/dS.</p>}
+          <SequenceLogo history={history} />
+        </div>
+      </div>
+
+      {snapshot && (
+        <div className="space-y-2">
+          <div className="text-sm font-semibold text-gray-700">
+            Consensus at generation {snapshot.generation} <span className="font-normal text-gray-500">(red: differs from the reference; shaded: designated codons)</span>
+          </div>
+          <ConsensusView snapshot={snapshot} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SequencePanel;
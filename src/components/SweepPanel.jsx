@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Grid, Play, Square } from 'lucide-react';
+import { SWEEP_PARAMS, SWEEP_METRICS, sweepCells, sweepValues, runSweepCell, analyticGrid, kimuraSurface } from '../engine/sweep';
+import { toModelParams, selectionRegime } from '../engine/simulation';
+import { contourSegments } from '../plotScale';
+import { formatCount } from '../format';
+
+const VIRIDIS = ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'];
+
+// Viridis-like colour for t in [0, 1]
+const heatColor = (t) => {
+  const x = Math.max(0, Math.min(1, t)) * (VIRIDIS.length - 1);
+  const i = Math.min(VIRIDIS.length - 2, Math.floor(x));
+  const mix = (a, b) => Math.round(parseInt(a, 16) + (parseInt(b, 16) - parseInt(a, 16)) * (x - i));
+  const [from, to] = [VIRIDIS[i], VIRIDIS[i + 1]];
+  return `rgb(${mix(from.slice(1, 3), to.slice(1, 3))}, ${mix(from.slice(3, 5), to.slice(3, 5))}, ${mix(from.slice(5, 7), to.slice(5, 7))})`;
+};
+
+// Slider value in the units of the parameter, for axis labels
+const describeValue = (param, value) => {
+  const mp = toModelParams({ mutation: 0, selection: 50, geneFlow: 0, popSize: 50, sourceFreq: 50, [param]: value });
+  if (param === 'selection') return `s=${mp.s.toFixed(3)}`;
+  if (param === 'popSize') return `Nₑ=${formatCount(mp.Ne)}`;
+  if (param === 'mutation') return `μ=${mp.mu.toExponential(0)}`;
+  if (param === 'geneFlow') return `m=${mp.m.toFixed(3)}`;
+  return `pₘ=${mp.pm.toFixed(2)}`;
+};
+
+const ANALYTIC_RESOLUTION = 40;
+const CONTOUR_FRACTIONS = [0.25, 0.5, 0.75];
+
+// Heatmap of fixation probability or time over two swept parameters, with
+// Kimura's analytic fixation probability and the 2Nₑs regime boundaries
+const SweepPanel = ({ base, seed }) => {
+  const [open, setOpen] = useState(false);
+  const [x, setX] = useState({ param: 'selection', min: 50, max: 100 });
+  const [y, setY] = useState({ param: 'popSize', min: 0, max: 60 });
+  const [steps, setSteps] = useState(8);
+  const [replicates, setReplicates] = useState(100);
+  const [maxGenerations, setMaxGenerations] = useState(2000);
+  const [start, setStart] = useState('mutant');
+  const [metric, setMetric] = useState('fixation');
+  const [results, setResults] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const timerRef = useRef(null);
+  // Bumped by every cancel, so a sweep whose worker chunk is still loading
+  // never starts once it was cancelled, replaced by a new run or unmounted
+  const runTokenRef = useRef(0);
+
+  const cancel = () => {
+    runTokenRef.current += 1;
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+    clearTimeout(timerRef.current);
+    setRunning(false);
+  };
+
+  useEffect(() => () => {
+    runTokenRef.current += 1;
+    if (workerRef.current) workerRef.current.terminate();
+    clearTimeout(timerRef.current);
+  }, []);
+
+  const run = () => {
+    cancel();
+    const next = {
+      base, x, y, steps, replicates, maxGenerations, seed,
+      p0: start === 'mutant' ? 'mutant' : Number(start)
+    };
+    setConfig(next);
+    setResults([]);
+    setError(null);
+    setRunning(true);
+
+    // Without Web Workers (old browsers, tests) run one cell per tick instead
+    if (typeof Worker === 'undefined') {
+      const cells = sweepCells(next);
+      const runFrom = (index) => {
+        if (index >= cells.length) {
+          setRunning(false);
+          return;
+        }
+        const result = runSweepCell(next, cells[index], index);
+        setResults(r => [...r, result]);
+        timerRef.current = setTimeout(() => runFrom(index + 1), 0);
+      };
+      runFrom(0);
+      return;
+    }
+
+    const token = runTokenRef.current;
+    import('../engine/workers').then(({ createSweepWorker }) => {
+      if (token !== runTokenRef.current) return;
+      const worker = createSweepWorker();
+      workerRef.current = worker;
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'cell') {
+          setResults(r => [...r, data.result]);
+        } else {
+          worker.terminate();
+          workerRef.current = null;
+          setRunning(false);
+        }
+      };
+      worker.onerror = (event) => {
+        cancel();
+        setError(`The sweep stopped: ${event.message || 'the worker failed'}`);
+      };
+      worker.postMessage(next);
+    }).catch(err => {
+      if (token !== runTokenRef.current) return;
+      cancel();
+      setError(`The sweep could not start: ${err.message}`);
+    });
+  };
+
+  const total = config ? config.steps * config.steps : 0;
+  const valueOf = (cell) => (metric === 'fixation' ? cell.fixation : cell.time);
+  const measured = results.map(valueOf).filter(v => v !== null);
+  const maxValue = Math.max(1e-12, ...measured);
+
+  // Cell centres sit at (k + 0.5) / steps; analytic grids span centre to centre
+  const cellSize = config ? 100 / config.steps : 0;
+  const gridToPlot = (gx, gy) => [
+    ((gx / (ANALYTIC_RESOLUTION - 1)) * (config.steps - 1) + 0.5) * cellSize,
+    100 - ((gy / (ANALYTIC_RESOLUTION - 1)) * (config.steps - 1) + 0.5) * cellSize
+  ];
+  const [kimura, regime] = useMemo(() => (config ? [
+    analyticGrid(config, kimuraSurface, ANALYTIC_RESOLUTION),
+    analyticGrid(config, params => selectionRegime(params).twoNeS, ANALYTIC_RESOLUTION)
+  ] : [null, null]), [config]);
+  const kimuraMax = kimura ? Math.max(...kimura.flat()) : 0;
+  const contours = config ? [
+    ...CONTOUR_FRACTIONS.map(f => ({ key: `u${f}`, level: f * kimuraMax, grid: kimura, color: '#ffffff', dash: null, label: `u = ${(f * kimuraMax).toPrecision(2)}` })),
+    { key: 'r1', level: 1, grid: regime, color: '#f97316', dash: '4,3', label: '|2Nₑs| = 1' },
+    { key: 'r10', level: 10, grid: regime, color: '#ef4444', dash: '4,3', label: '|2Nₑs| = 10' }
+  ] : [];
+
+  const axisControl = (axis, value, onChange) => (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-semibold text-gray-700 w-4">{axis}</span>
+      <select
+        value={value.param}
+        onChange={(e) => onChange({ ...value, param: e.target.value })}
+        className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white"
+        aria-label={`${axis} parameter`}
+      >
+        {Object.entries(SWEEP_PARAMS).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {['min', 'max'].map(bound => (
+        <input
+          key={bound}
+          type="number"
+          min="0"
+          max="100"
+          value={value[bound]}
+          onChange={(e) => onChange({ ...value, [bound]: Math.max(0, Math.min(100, Number(e.target.value))) })}
+          className="w-16 px-2 py-1 font-mono border-2 border-gray-300 rounded-lg"
+          aria-label={`${axis} ${bound}`}
+        />
+      ))}
+      <span className="text-xs text-gray-500">{describeValue(value.param, value.min)} … {describeValue(value.param, value.max)}</span>
+    </div>
+  );
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-violet-50 to-fuchsia-50 p-6 rounded-2xl border-2 border-violet-300 shadow-md">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Grid className="w-5 h-5 text-violet-600" />
+          Parameter Sweep
+        </h3>
+        <button
+          onClick={() => setOpen(!open)}
+          className="px-4 py-2 text-sm font-semibold rounded-lg border-2 border-violet-300 bg-white hover:border-violet-500 text-violet-800"
+        >
+          {open ? 'Hide' : 'Open sweep'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-4 grid lg:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            {axisControl('x', x, setX)}
+            {axisControl('y', y, setY)}
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <label className="font-semibold text-gray-700">
+                Grid size
+                <input type="number" min="2" max="16" value={steps} onChange={(e) => setSteps(Math.max(2, Math.min(16, Number(e.target.value) || 2)))} className="ml-2 w-16 px-2 py-1 font-mono border-2 border-gray-300 rounded-lg" />
+              </label>
+              <label className="font-semibold text-gray-700">
+                Replicates
+                <input type="number" min="10" max="2000" value={replicates} onChange={(e) => setReplicates(Math.max(10, Math.min(2000, Number(e.target.value) || 10)))} className="ml-2 w-20 px-2 py-1 font-mono border-2 border-gray-300 rounded-lg" />
+              </label>
+              <label className="font-semibold text-gray-700">
+                Max generations
+                <input type="number" min="100" max="100000" value={maxGenerations} onChange={(e) => setMaxGenerations(Math.max(100, Math.min(100000, Number(e.target.value) || 100)))} className="ml-2 w-24 px-2 py-1 font-mono border-2 border-gray-300 rounded-lg" />
+              </label>
+              <label className="font-semibold text-gray-700">
+                Start
+                <select value={start} onChange={(e) => setStart(e.target.value)} className="ml-2 px-2 py-1 border-2 border-gray-300 rounded-lg bg-white">
+                  <option value="mutant">Single mutant (1/2Nₑ)</option>
+                  <option value="0.05">p₀ = 0.05</option>
+                  <option value="0.1">p₀ = 0.1</option>
+                  <option value="0.5">p₀ = 0.5</option>
+                </select>
+              </label>
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                onClick={running ? cancel : run}
+                className={`px-4 py-2 rounded-lg font-bold text-white flex items-center gap-2 ${running ? 'bg-red-500 hover:bg-red-600' : 'bg-violet-600 hover:bg-violet-700'}`}
+              >
+                {running ? <Square className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                {running ? 'Cancel' : 'Run sweep'}
+              </button>
+              <select value={metric} onChange={(e) => setMetric(e.target.value)} className="px-2 py-2 text-sm border-2 border-gray-300 rounded-lg bg-white" aria-label="Metric">
+                {Object.entries(SWEEP_METRICS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              {config && (
+                <span className="text-sm text-gray-600">{results.length} / {total} cells</span>
+              )}
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            {config && (
+              <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+                <div className="bg-violet-500 h-2 transition-all" style={{ width: `${(results.length / total) * 100}%` }}></div>
+              </div>
+            )}
+            <p className="text-xs text-gray-600 leading-relaxed">
+              Other sliders keep their current values. Each cell runs its replicates until fixation, loss or the
+              generation limit; white lines are Kimura's analytic fixation probability u, dashed lines the
+              |2Nₑs| = 1 and 10 boundaries between the drift and selection regimes.
+            </p>
+          </div>
+
+          {config && (
+            <div>
+              <div className="flex">
+                <div className="flex flex-col justify-between text-xs text-gray-600 pr-2 py-1 text-right">
+                  <span>{describeValue(config.y.param, config.y.max)}</span>
+                  <span className="font-semibold">{SWEEP_PARAMS[config.y.param]}</span>
+                  <span>{describeValue(config.y.param, config.y.min)}</span>
+                </div>
+                <div className="flex-1 relative bg-gray-100 rounded-lg overflow-hidden border border-gray-300" style={{ aspectRatio: '1 / 1' }}>
+                  <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%" className="absolute inset-0">
+                    {results.map(cell => {
+                      const value = valueOf(cell);
+                      return (
+                        <rect
+                          key={`${cell.ix}-${cell.iy}`}
+                          x={cell.ix * cellSize}
+                          y={100 - (cell.iy + 1) * cellSize}
+                          width={cellSize}
+                          height={cellSize}
+                          fill={value === null ? '#d1d5db' : heatColor(value / maxValue)}
+                        >
+                          <title>
+                            {`${describeValue(config.x.param, cell.xValue)}, ${describeValue(config.y.param, cell.yValue)}: ` +
+                              `P(fix) ${cell.fixation.toFixed(3)} (Kimura ${cell.kimura.toPrecision(3)}), ` +
+                              `T(fix) ${cell.time === null ? '—' : cell.time.toFixed(0)}, unresolved ${(cell.unresolved * 100).toFixed(0)}%`}
+                          </title>
+                        </rect>
+                      );
+                    })}
+                    {contours.map(contour => contourSegments(contour.grid, contour.level).map(([a, b], k) => {
+                      const [x1, y1] = gridToPlot(...a);
+                      const [x2, y2] = gridToPlot(...b);
+                      return (
+                        <line
+                          key={`${contour.key}-${k}`}
+                          x1={x1}
+                          y1={y1}
+                          x2={x2}
+                          y2={y2}
+                          stroke={contour.color}
+                          strokeWidth="2"
+                          strokeDasharray={contour.dash || undefined}
+                          vectorEffect="non-scaling-stroke"
+                        />
+                      );
+                    }))}
+                  </svg>
+                </div>
+              </div>
+              <div className="flex justify-between text-xs text-gray-600 mt-1 pl-20">
+                <span>{describeValue(config.x.param, config.x.min)}</span>
+                <span className="font-semibold">{SWEEP_PARAMS[config.x.param]}</span>
+                <span>{describeValue(config.x.param, config.x.max)}</span>
+              </div>
+              <div className="flex items-center gap-2 mt-3 text-xs text-gray-700">
+                <span>{SWEEP_METRICS[metric]}: 0</span>
+                <div className="flex-1 h-3 rounded" style={{ background: `linear-gradient(to right, ${VIRIDIS.join(', ')})` }}></div>
+                <span>{metric === 'fixation' ? maxValue.toPrecision(2) : `${maxValue.toFixed(0)} gen`}</span>
+              </div>
+              <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+                {contours.map(c => (
+                  <span key={c.key} className="flex items-center gap-1">
+                    <svg width="18" height="6"><line x1="0" y1="3" x2="18" y2="3" stroke={c.color === '#ffffff' ? '#6b7280' : c.color} strokeWidth="2" strokeDasharray={c.dash || undefined} /></svg>
+                    {c.label}
+                  </span>
+                ))}
+              </div>
+              <div className="mt-1 text-xs text-gray-500">
+                Sweep values: {sweepValues(config.x, config.steps).map(v => Math.round(v)).join(', ')} × {sweepValues(config.y, config.steps).map(v => Math.round(v)).join(', ')} (slider scale)
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SweepPanel;
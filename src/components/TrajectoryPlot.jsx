@@ -0,0 +1,406 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { ZoomIn, ZoomOut, Maximize2 } from 'lucide-react';
+import { visibleRange, strideIndices, minMaxIndices, niceTicks } from '../plotScale';
+
+// Smallest zoom window, in generations
+const MIN_SPAN = 10;
+// Points drawn per series, whatever the run length
+const MAX_POINTS = 400;
+
+// Keep a zoom window inside the run and no narrower than MIN_SPAN
+const clampView = (view, full) => {
+  const span = Math.min(Math.max(view.to - view.from, MIN_SPAN), full.to - full.from);
+  const from = Math.max(full.from, Math.min(full.to - span, view.from));
+  return { from, to: from + span };
+};
+
+// Plot coordinates: x spans 0-100 over the visible window of generations,
+// y = (1 - p) * 100. The full history is kept; only the points in the window
+// are drawn, downsampled to at most MAX_POINTS per series. `overlays`
+// ([{ key, label, color, values }], all starting at historyStart) replaces the
+// single line with several coloured ones. `fit` ({ observations, bands })
+// draws observed data points over a fit's posterior-predictive envelope
+// (bands null before the fit has run). `theory` ({ expected, equilibria })
+// adds the deterministic trajectory (one value per generation from 0, possibly
+// running past the current generation) and stable equilibrium frequencies.
+const TrajectoryPlot = ({ history, historyStart, events = [], ensembleHistory = null, transmissions = [], regions = [], overlays = null, fit = null, theory = null, svgRef = null }) => {
+  // null follows the whole run; { from, to } is a zoomed window
+  const [view, setView] = useState(null);
+  const [hover, setHover] = useState(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const ensemble = ensembleHistory && ensembleHistory.length ? ensembleHistory : null;
+  const values = ensemble ? ensemble.map(h => h.mean) : overlays ? overlays[0].values : history;
+  const start = ensemble ? ensemble[0].generation : historyStart;
+  const last = start + values.length - 1;
+  // The axis reaches the end of fitted data the run has not caught up with
+  const fitEnd = fit ? fit.observations[fit.observations.length - 1].generation : start + 1;
+  const full = { from: start, to: Math.max(start + 1, last, fitEnd) };
+  const win = view ? clampView(view, full) : full;
+  const span = win.to - win.from;
+  const xOf = (generation) => ((generation - win.from) / span) * 100;
+  const inView = (generation) => generation >= win.from && generation <= win.to;
+  const [i0, i1] = visibleRange(values.length, start, win.from, win.to);
+  const point = (i, v) => `${xOf(start + i)},${(1 - v) * 100}`;
+
+  const zoomTo = (next) => {
+    const clamped = clampView(next, full);
+    setView(clamped.to - clamped.from >= full.to - full.from ? null : clamped);
+  };
+
+  // Scale the window about generation `center`, which stays under the cursor
+  const zoomAbout = (factor, fx) => {
+    const center = win.from + fx * span;
+    const nextSpan = span * factor;
+    zoomTo({ from: center - fx * nextSpan, to: center - fx * nextSpan + nextSpan });
+  };
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  const zoomRef = useRef(zoomAbout);
+  zoomRef.current = zoomAbout;
+  useEffect(() => {
+    const el = containerRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      zoomRef.current(e.deltaY > 0 ? 1.25 : 0.8, (e.clientX - rect.left) / rect.width);
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const fractionOf = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+  };
+
+  const onMouseMove = (e) => {
+    const fx = fractionOf(e);
+    if (dragRef.current) {
+      const shift = (dragRef.current.fx - fx) * (dragRef.current.win.to - dragRef.current.win.from);
+      zoomTo({ from: dragRef.current.win.from + shift, to: dragRef.current.win.to + shift });
+      setHover(null);
+      return;
+    }
+    setHover(Math.max(start, Math.min(last, Math.round(win.from + fx * span))));
+  };
+
+  const ticks = niceTicks(win.from, win.to);
+  const visibleEvents = ensemble ? [] : events.filter(e => inView(e.generation));
+  const visibleTransmissions = transmissions.filter(t => t.generation <= win.to);
+  const sampleCount = ensemble ? ensemble[0].samples.length : 0;
+  const lineIndices = ensemble ? strideIndices(i0, i1, MAX_POINTS) : minMaxIndices(values, i0, i1, MAX_POINTS / 2);
+  const linePoints = lineIndices.map(i => point(i, values[i])).join(' ');
+
+  const [t0, t1] = theory ? visibleRange(theory.expected.length, 0, win.from, win.to) : [0, 0];
+  const expectedPoints = theory
+    ? strideIndices(t0, t1, MAX_POINTS).map(i => `${xOf(i)},${(1 - theory.expected[i]) * 100}`).join(' ')
+    : '';
+  const hoverExpected = theory && hover !== null && hover < theory.expected.length ? theory.expected[hover] : null;
+
+  const hoverIndex = hover === null ? null : hover - start;
+  const hoverValue = hoverIndex === null ? null : values[hoverIndex];
+  const hoverX = hover === null ? 0 : xOf(hover);
+  const hoverLabel = hoverIndex === null
+    ? ''
+    : overlays
+      ? `gen ${hover} · ${overlays.map(o => `${o.label} ${o.values[hoverIndex].toFixed(3)}`).join(' · ')}`
+      : ensemble
+      ? `gen ${hover} · mean p = ${hoverValue.toFixed(4)} (5–95%: ${ensemble[hoverIndex].lo.toFixed(3)}–${ensemble[hoverIndex].hi.toFixed(3)})`
+      : `gen ${hover} · p = ${hoverValue.toFixed(4)}${hoverExpected === null ? '' : ` · deterministic ${hoverExpected.toFixed(4)}`}`;
+
+  return (
+    <div
+      ref={containerRef}
+      className="w-full h-80 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl border-2 border-gray-300 shadow-inner relative overflow-hidden select-none"
+      style={{ cursor: view ? 'grab' : 'crosshair' }}
+      onMouseMove={onMouseMove}
+      onMouseDown={(e) => {
+        if (view) dragRef.current = { fx: fractionOf(e), win };
+      }}
+      onMouseUp={() => { dragRef.current = null; }}
+      onMouseLeave={() => {
+        dragRef.current = null;
+        setHover(null);
+      }}
+      onDoubleClick={() => setView(null)}
+    >
+      <svg ref={svgRef} width="100%" height="100%" className="absolute inset-0">
+        {/* Grid lines */}
+        {[0.25, 0.5, 0.75].map(y => (
+          <g key={y}>
+            <line
+              x1="0"
+              y1={`${(1-y)*100}%`}
+              x2="100%"
+              y2={`${(1-y)*100}%`}
+              stroke="#d1d5db"
+              strokeWidth="1"
+              strokeDasharray="5,5"
+            />
+            <text x="10" y={`${(1-y)*100}%`} dy="4" fontSize="11" fill="#6b7280" fontWeight="500">
+              {y.toFixed(2)}
+            </text>
+          </g>
+        ))}
+
+        {/* Generation axis */}
+        {ticks.map(t => (
+          <g key={t}>
+            <line x1={`${xOf(t)}%`} y1="0" x2={`${xOf(t)}%`} y2="100%" stroke="#e5e7eb" strokeWidth="1" />
+            <text x={`${xOf(t)}%`} y="100%" dy="-4" fontSize="10" fill="#6b7280" textAnchor="middle">
+              {t}
+            </text>
+          </g>
+        ))}
+
+        {/* Scheduled parameter changes */}
+        {regions.map((region, i) => {
+          const from = Math.max(win.from, region.start);
+          const to = Math.min(win.to, region.end);
+          if (to <= from) return null;
+          return (
+            <g key={region.key}>
+              <rect
+                x={`${xOf(from)}%`}
+                y="0"
+                width={`${xOf(to) - xOf(from)}%`}
+                height="100%"
+                fill={region.color}
+                fillOpacity="0.12"
+              />
+              <text x={`${xOf(from)}%`} y={14 + (i % 3) * 12} dx="4" fontSize="10" fill={region.color} fontWeight="600">
+                {region.label}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Transmission chain: alternate shading per host, bottleneck lines */}
+        {visibleTransmissions.map((t, i) => {
+          const next = visibleTransmissions[i + 1];
+          const from = Math.max(win.from, t.generation);
+          const to = next ? Math.min(win.to, next.generation) : win.to;
+          return (
+            <g key={t.generation}>
+              {t.host % 2 === 1 && to > from && (
+                <rect x={`${xOf(from)}%`} y="0" width={`${xOf(to) - xOf(from)}%`} height="100%" fill="#f59e0b" fillOpacity="0.08" />
+              )}
+              {inView(t.generation) && (
+                <>
+                  <line x1={`${xOf(t.generation)}%`} y1="0" x2={`${xOf(t.generation)}%`} y2="100%" stroke="#b45309" strokeWidth="1.5" strokeDasharray="2,4" />
+                  <text x={`${xOf(t.generation)}%`} y="100%" dx="4" dy="-18" fontSize="10" fill="#92400e" fontWeight="600">
+                    Host {t.host + 1}
+                  </text>
+                </>
+              )}
+            </g>
+          );
+        })}
+
+        {/* Fitted data: 95% and 50% posterior-predictive bands and median */}
+        {fit && fit.bands && (
+          <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+            {[['lo', 'hi', 0.12], ['q1', 'q3', 0.22]].map(([lower, upper, opacity]) => (
+              <polygon
+                key={lower}
+                points={`${fit.bands.map(b => `${xOf(b.generation)},${(1 - b[upper]) * 100}`).join(' ')} ${
+                  [...fit.bands].reverse().map(b => `${xOf(b.generation)},${(1 - b[lower]) * 100}`).join(' ')
+                }`}
+                fill="#a855f7"
+                fillOpacity={opacity}
+              />
+            ))}
+            <polyline
+              points={fit.bands.map(b => `${xOf(b.generation)},${(1 - b.median) * 100}`).join(' ')}
+              fill="none"
+              stroke="#7e22ce"
+              strokeWidth="1.5"
+              strokeDasharray="4,3"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        )}
+        {/* Ensemble: 5-95% envelope, faint replicates and mean */}
+        {ensemble && ensemble.length > 1 && (
+          <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+            <polygon
+              points={`${lineIndices.map(i => point(i, ensemble[i].hi)).join(' ')} ${
+                [...lineIndices].reverse().map(i => point(i, ensemble[i].lo)).join(' ')
+              }`}
+              fill="#3b82f6"
+              fillOpacity="0.18"
+            />
+            {Array.from({ length: sampleCount }, (_, k) => (
+              <polyline
+                key={k}
+                points={lineIndices.map(i => point(i, ensemble[i].samples[k])).join(' ')}
+                fill="none"
+                stroke="#6366f1"
+                strokeOpacity="0.3"
+                strokeWidth="1"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            <polyline
+              points={linePoints}
+              fill="none"
+              stroke="#1d4ed8"
+              strokeWidth="3"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        )}
+
+        {/* Compared scenarios */}
+        {overlays && values.length > 1 && (
+          <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+            {overlays.map(o => (
+              <polyline
+                key={o.key}
+                points={minMaxIndices(o.values, i0, i1, MAX_POINTS / 2).map(i => point(i, o.values[i])).join(' ')}
+                fill="none"
+                stroke={o.color}
+                strokeWidth="2.5"
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+          </svg>
+        )}
+
+        {/* Plot line */}
+        {!ensemble && !overlays && history.length > 1 && (
+          <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+            <defs>
+              <linearGradient id="lineGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+                <stop offset="0%" stopColor="#3b82f6" stopOpacity="0.3" />
+                <stop offset="100%" stopColor="#3b82f6" stopOpacity="0.05" />
+              </linearGradient>
+            </defs>
+            <polygon
+              points={`${xOf(start + lineIndices[0])},100 ${linePoints} ${xOf(start + lineIndices[lineIndices.length - 1])},100`}
+              fill="url(#lineGradient)"
+            />
+            <polyline
+              points={linePoints}
+              fill="none"
+              stroke="#3b82f6"
+              strokeWidth="3"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        )}
+
+        {/* Theory: deterministic expectation and stable equilibria */}
+        {theory && theory.equilibria.map(q => (
+          <g key={q}>
+            <line x1="0" y1={`${(1 - q) * 100}%`} x2="100%" y2={`${(1 - q) * 100}%`} stroke="#0f766e" strokeWidth="1.5" strokeDasharray="1,4" strokeLinecap="round" />
+            <text x="100%" y={`${(1 - q) * 100}%`} dx="-8" dy={q > 0.9 ? 14 : -4} textAnchor="end" fontSize="10" fill="#0f766e" fontWeight="600">
+              p̂ = {q.toFixed(3)}
+            </text>
+          </g>
+        ))}
+        {theory && expectedPoints && (
+          <svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%">
+            <polyline
+              points={expectedPoints}
+              fill="none"
+              stroke="#ea580c"
+              strokeWidth="2"
+              strokeDasharray="6,4"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        )}
+
+        {/* Observed data points */}
+        {fit && fit.observations.filter(o => inView(o.generation)).map(o => (
+          <circle
+            key={o.generation}
+            cx={`${xOf(o.generation)}%`}
+            cy={`${(1 - o.frequency) * 100}%`}
+            r="4"
+            fill="#ffffff"
+            stroke="#7e22ce"
+            strokeWidth="2"
+          >
+            <title>{`gen ${o.generation} · observed ${o.frequency.toFixed(3)}${o.sampleSize ? ` (n = ${o.sampleSize})` : ''}`}</title>
+          </circle>
+        ))}
+
+        {/* Fixation / loss markers */}
+        {values.length > 1 && visibleEvents.map(e => {
+          const x = `${xOf(e.generation)}%`;
+          const fixed = e.type === 'fixed';
+          return (
+            <g key={`${e.type}-${e.generation}`}>
+              <line x1={x} y1="0" x2={x} y2="100%" stroke={fixed ? '#16a34a' : '#dc2626'} strokeWidth="2" strokeDasharray="4,3" />
+              <circle cx={x} cy={fixed ? '0%' : '100%'} r="6" fill={fixed ? '#16a34a' : '#dc2626'} />
+              <text x={x} y={fixed ? '14%' : '92%'} dx="6" fontSize="11" fill={fixed ? '#166534' : '#991b1b'} fontWeight="600">
+                {fixed ? 'Fixed' : 'Lost'} @ {e.generation}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Hover crosshair */}
+        {hoverValue !== null && hoverValue !== undefined && (
+          <g pointerEvents="none">
+            <line x1={`${hoverX}%`} y1="0" x2={`${hoverX}%`} y2="100%" stroke="#111827" strokeWidth="1" strokeOpacity="0.5" />
+            {!overlays && (
+              <line x1="0" y1={`${(1 - hoverValue) * 100}%`} x2="100%" y2={`${(1 - hoverValue) * 100}%`} stroke="#111827" strokeWidth="1" strokeOpacity="0.3" strokeDasharray="3,3" />
+            )}
+            {(overlays || [{ key: 'p', color: '#111827', values }]).map(o => (
+              <circle key={o.key} cx={`${hoverX}%`} cy={`${(1 - o.values[hoverIndex]) * 100}%`} r="4" fill={o.color} />
+            ))}
+            <text
+              x={`${hoverX}%`}
+              y={`${(1 - hoverValue) * 100}%`}
+              dx={hoverX > 60 ? -8 : 8}
+              dy={hoverValue > 0.9 ? 16 : -8}
+              textAnchor={hoverX > 60 ? 'end' : 'start'}
+              fontSize="11"
+              fontWeight="600"
+              fill="#111827"
+              stroke="#ffffff"
+              strokeWidth="3"
+              paintOrder="stroke"
+            >
+              {hoverLabel}
+            </text>
+          </g>
+        )}
+
+        {/* Axis labels */}
+        <text x="10" y="20" fontSize="12" fill="#374151" fontWeight="600">1.0</text>
+        <text x="10" y="260" fontSize="12" fill="#374151" fontWeight="600">0.0</text>
+      </svg>
+
+      {/* Zoom controls */}
+      <div className="absolute top-2 right-2 flex items-center gap-1" onMouseDown={(e) => e.stopPropagation()}>
+        {view && (
+          <span className="text-xs font-mono text-gray-600 bg-white/80 px-2 py-1 rounded">
+            gen {Math.round(win.from)}–{Math.round(win.to)}
+          </span>
+        )}
+        <button onClick={() => zoomAbout(0.5, 0.5)} className="p-1 bg-white/80 rounded border border-gray-300 hover:border-blue-400" aria-label="Zoom in">
+          <ZoomIn className="w-4 h-4 text-gray-700" />
+        </button>
+        <button onClick={() => zoomAbout(2, 0.5)} className="p-1 bg-white/80 rounded border border-gray-300 hover:border-blue-400" aria-label="Zoom out">
+          <ZoomOut className="w-4 h-4 text-gray-700" />
+        </button>
+        <button onClick={() => setView(null)} disabled={!view} className="p-1 bg-white/80 rounded border border-gray-300 hover:border-blue-400 disabled:opacity-40" aria-label="Show whole run">
+          <Maximize2 className="w-4 h-4 text-gray-700" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TrajectoryPlot;
@@ -0,0 +1,98 @@
+import React from 'react';
+
+const hostColor = (p) => {
+  const mix = (a, b) => Math.round(a + (b - a) * p);
+  return `rgb(${mix(229, 79)}, ${mix(231, 70)}, ${mix(235, 229)})`;
+};
+
+// Transmission chain settings and a host-by-host summary of the bottlenecks
+const TransmissionPanel = ({ config, onChange, chain }) => {
+  const recent = chain.transmissions.slice(-10);
+  const lostAtBottleneck = chain.transmissions.filter(t => t.before > 0 && t.after === 0).length;
+
+  return (
+    <div className="mb-8 space-y-4">
+      <h3 className="text-xl font-bold text-gray-800">Transmission Chain</h3>
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="space-y-4">
+          <div className="bg-amber-50 p-4 rounded-xl border-l-4 border-amber-500">
+            <div className="flex justify-between mb-2">
+              <label className="text-sm font-bold text-amber-700">GENERATIONS PER HOST</label>
+              <span className="text-sm font-bold text-amber-600 bg-amber-100 px-3 py-1 rounded-full">{config.generationsPerHost}</span>
+            </div>
+            <input
+              type="range"
+              min="10"
+              max="500"
+              step="10"
+              value={config.generationsPerHost}
+              onChange={(e) => onChange({ ...config, generationsPerHost: Number(e.target.value) })}
+              className="w-full"
+            />
+            <div className="text-xs text-gray-600 mt-2 italic">Within-host evolution before the next transmission</div>
+          </div>
+          <div className="bg-rose-50 p-4 rounded-xl border-l-4 border-rose-500">
+            <div className="flex justify-between mb-2">
+              <label className="text-sm font-bold text-rose-700">BOTTLENECK SIZE</label>
+              <span className="text-sm font-bold text-rose-600 bg-rose-100 px-3 py-1 rounded-full">{config.bottleneck}</span>
+            </div>
+            <input
+              type="range"
+              min="1"
+              max="100"
+              value={config.bottleneck}
+              onChange={(e) => onChange({ ...config, bottleneck: Number(e.target.value) })}
+              className="w-full"
+            />
+            <div className="text-xs text-gray-600 mt-2 italic">Genomes founding each new infection (HIV: typically 1-5)</div>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 space-y-3">
+          <div className="grid grid-cols-3 gap-3 text-center">
+            {[
+              ['Current host', chain.host + 1],
+              ['Generations in host', chain.hostGeneration],
+              ['Lost at a bottleneck', `${lostAtBottleneck} / ${chain.transmissions.length}`]
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-xl border border-gray-200 p-3 shadow-sm">
+                <div className="text-lg font-bold text-gray-800">{value}</div>
+                <div className="text-xs text-gray-500">{label}</div>
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-1 overflow-x-auto p-3 bg-gray-50 rounded-xl border border-gray-200">
+            {recent.length === 0 && (
+              <div className="text-sm text-gray-500 italic">No transmissions yet — the first host is still infected.</div>
+            )}
+            {recent.map(t => (
+              <React.Fragment key={t.generation}>
+                <div className="flex flex-col items-center text-xs">
+                  <div className="w-10 h-10 rounded-full border-2 border-amber-600 flex items-center justify-center font-bold" style={{ backgroundColor: hostColor(t.before) }}>
+                    {t.before.toFixed(2)}
+                  </div>
+                  <span className="text-gray-500">host {t.host}</span>
+                </div>
+                <div className="flex flex-col items-center text-[10px] text-rose-700 font-semibold px-1">
+                  <span>→ {config.bottleneck} →</span>
+                </div>
+                <div className="flex flex-col items-center text-xs">
+                  <div className="w-8 h-8 rounded-full border-2 border-rose-500 flex items-center justify-center font-bold" style={{ backgroundColor: hostColor(t.after) }}>
+                    {t.after.toFixed(1)}
+                  </div>
+                  <span className="text-gray-500">founds {t.host + 1}</span>
+                </div>
+              </React.Fragment>
+            ))}
+          </div>
+          <div className="text-xs text-gray-600">
+            Each circle pair shows the allele frequency at the end of an infection and in the founders of the next host.
+            The trajectory plot shows the resulting within-host sawtooth.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransmissionPanel;
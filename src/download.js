@@ -0,0 +1,10 @@
+// Save generated content as a file via a temporary object URL
+export const downloadFile = (filename, content, type = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,98 @@
+import { normal } from './rng';
+import { toModelParams } from './simulation';
+import { selectionAdvantage, initialImmunity, updateImmunity, usesImmunity } from './selection';
+import { ANCESTRY_WINDOW } from './genealogy';
+
+// Individual-based version of the single-locus model: a swarm of haploid
+// pathogen particles, each carrying the focal allele (1) or the wild type (0).
+// Every generation the whole population dies and is replaced by offspring of
+// parents drawn by fitness (1 + advantage/2 for the focal allele, as in the
+// Δp model; see selection.js); offspring mutate with probability μ, and a
+// fraction m are migrants entering from the left edge with the focal allele
+// at frequency pₘ. Parent links for the last ANCESTRY_WINDOW generations are
+// kept for the genealogy view.
+
+// More particles than this would not be legible on the canvas
+export const MAX_AGENTS = 400;
+
+// Individuals drawn: the 2Nₑ gene copies of the frequency model, capped
+export const agentCount = (params) => Math.min(MAX_AGENTS, 2 * toModelParams(params).Ne);
+
+// How far offspring land from their parent, in canvas widths
+const SPREAD = 0.03;
+
+const clamp01 = (v) => (v < 0 ? -v : v > 1 ? 2 - v : v);
+
+const ancestryRecord = (generation, agents, parents) => ({
+  generation,
+  alleles: Uint8Array.from(agents, agent => agent.allele),
+  parents
+});
+
+// `origin` is how an individual arrived: 'born', 'mutant' or 'migrant'
+export const createAgents = (count, p0, rng) => {
+  const agents = Array.from({ length: count }, (_, i) => ({
+    x: rng(),
+    y: rng(),
+    allele: i < Math.round(count * p0) ? 1 : 0,
+    origin: 'born'
+  }));
+  return {
+    generation: 0,
+    agents,
+    counts: { births: 0, deaths: 0, mutations: 0, migrants: 0 },
+    ancestry: [ancestryRecord(0, agents, null)]
+  };
+};
+
+export const agentFrequency = ({ agents }) => (
+  agents.length ? agents.filter(agent => agent.allele === 1).length / agents.length : 0
+);
+
+export const stepAgents = (state, params, rng) => {
+  const { mu, s, m, pm, selectionModel } = toModelParams(params);
+  const count = agentCount(params);
+  const parents = state.agents;
+  const carriers = parents.map((agent, i) => i).filter(i => parents[i].allele === 1);
+  const others = parents.map((agent, i) => i).filter(i => parents[i].allele === 0);
+  const p = carriers.length / parents.length;
+  const immune = usesImmunity(selectionModel);
+  const immunity = immune ? state.immunity || initialImmunity() : null;
+  const w = Math.max(0, 1 + selectionAdvantage(p, s, selectionModel, immunity) / 2);
+  const focalShare = (p * w) / (p * w + (1 - p));
+
+  // Parents by fitness; sorted so siblings sit together in the grid layout
+  const picks = Array.from({ length: count }, () => {
+    const pool = others.length === 0 || (carriers.length > 0 && rng() < focalShare) ? carriers : others;
+    return pool[Math.floor(rng() * pool.length)];
+  }).sort((a, b) => a - b);
+
+  let mutations = 0;
+  let migrants = 0;
+  const parentOf = new Int16Array(count);
+  const agents = picks.map((index, i) => {
+    parentOf[i] = index;
+    if (rng() < m) {
+      migrants++;
+      parentOf[i] = -1;
+      return { x: rng() * SPREAD, y: rng(), allele: rng() < pm ? 1 : 0, origin: 'migrant' };
+    }
+    const parent = parents[index];
+    const x = clamp01(parent.x + normal(rng) * SPREAD);
+    const y = clamp01(parent.y + normal(rng) * SPREAD);
+    if (rng() < mu) {
+      mutations++;
+      return { x, y, allele: 1 - parent.allele, origin: 'mutant' };
+    }
+    return { x, y, allele: parent.allele, origin: 'born' };
+  });
+
+  const generation = state.generation + 1;
+  const next = {
+    generation,
+    agents,
+    counts: { births: count - migrants, deaths: parents.length, mutations, migrants },
+    ancestry: [...state.ancestry.slice(1 - ANCESTRY_WINDOW), ancestryRecord(generation, agents, parentOf)]
+  };
+  return immune ? { ...next, immunity: updateImmunity(immunity, agentFrequency(next), selectionModel.immunity) } : next;
+};
@@ -0,0 +1,47 @@
+import { createAgents, stepAgents, agentFrequency, agentCount, MAX_AGENTS } from './agents';
+import { createRng } from './rng';
+
+const params = { model: 'wright-fisher', mutation: 0, selection: 50, geneFlow: 0, drift: 25, recombination: 15, popSize: 20, sourceFreq: 50, drug: 0 };
+
+test('the population is 2Nₑ individuals, capped for the canvas', () => {
+  expect(agentCount({ ...params, popSize: 0 })).toBe(20);
+  expect(agentCount({ ...params, popSize: 100 })).toBe(MAX_AGENTS);
+});
+
+test('starts at the requested frequency with everyone on the canvas', () => {
+  const state = createAgents(100, 0.3, createRng(1));
+  expect(state.agents).toHaveLength(100);
+  expect(agentFrequency(state)).toBeCloseTo(0.3);
+  expect(state.agents.every(a => a.x >= 0 && a.x < 1 && a.y >= 0 && a.y < 1)).toBe(true);
+});
+
+test('each generation replaces the whole population', () => {
+  const rng = createRng(2);
+  const state = stepAgents(createAgents(50, 0.5, rng), params, rng);
+  expect(state.generation).toBe(1);
+  expect(state.agents).toHaveLength(agentCount(params));
+  expect(state.counts).toMatchObject({ deaths: 50, births: agentCount(params), mutations: 0, migrants: 0 });
+});
+
+test('selection favours the focal allele', () => {
+  const rng = createRng(3);
+  let state = createAgents(MAX_AGENTS, 0.5, rng);
+  for (let g = 0; g < 40; g++) state = stepAgents(state, { ...params, selection: 100, popSize: 100 }, rng);
+  expect(agentFrequency(state)).toBeGreaterThan(0.9);
+});
+
+test('migrants enter from the left edge carrying the source frequency', () => {
+  const rng = createRng(4);
+  const state = stepAgents(createAgents(100, 0, rng), { ...params, geneFlow: 100, sourceFreq: 100 }, rng);
+  const migrants = state.agents.filter(a => a.origin === 'migrant');
+  expect(migrants.length).toBe(state.counts.migrants);
+  expect(migrants.length).toBeGreaterThan(0);
+  expect(migrants.every(a => a.allele === 1 && a.x < 0.05)).toBe(true);
+});
+
+test('mutation flips alleles and is counted', () => {
+  const rng = createRng(5);
+  const state = stepAgents(createAgents(100, 0, rng), { ...params, mutation: 100 }, rng);
+  expect(state.counts.mutations).toBe(state.agents.filter(a => a.origin === 'mutant').length);
+  expect(state.agents.filter(a => a.allele === 1).length).toBe(state.counts.mutations);
+});
@@ -0,0 +1,28 @@
+import { createRng } from './rng';
+import { initialState, step, toModelParams, selectionRegime } from './simulation';
+
+// Side-by-side scenarios on one clock. Each scenario is a set of slider
+// values (0-100 scale) run as a single Wright–Fisher population.
+
+export const MAX_SCENARIOS = 4;
+export const COMPARISON_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea'];
+
+// With `sameSeed` every run draws from an identical random stream (common
+// random numbers), so differences come from the parameters alone
+export const createComparison = (count, { seed, sameSeed }) => Array.from({ length: count }, (_, i) => ({
+  state: initialState(),
+  rng: createRng(sameSeed ? seed : (seed + i) >>> 0)
+}));
+
+export const stepComparison = (runs, scenarios) => runs.map((run, i) => ({
+  ...run,
+  state: step(run.state, { ...scenarios[i], model: 'wright-fisher' }, run.rng)
+}));
+
+// Summary statistics shown in the comparison table
+export const comparisonStats = (scenario, state) => {
+  const params = { ...scenario, model: 'wright-fisher' };
+  const { mu, s, m, Ne } = toModelParams(params);
+  const { twoNeS, regime } = selectionRegime(params);
+  return { Ne, s, twoNeS, regime, mu, m, p: state.p, absorbed: state.absorbed };
+};
@@ -0,0 +1,30 @@
+import { createComparison, stepComparison, comparisonStats } from './comparison';
+
+const scenario = { mutation: 30, selection: 60, geneFlow: 0, drift: 25, recombination: 15, popSize: 30, sourceFreq: 50 };
+
+const run = (scenarios, options, generations) => {
+  let runs = createComparison(scenarios.length, options);
+  for (let i = 0; i < generations; i++) runs = stepComparison(runs, scenarios);
+  return runs.map(r => r.state);
+};
+
+test('identical scenarios on the same seed stay identical', () => {
+  const [a, b] = run([scenario, scenario], { seed: 42, sameSeed: true }, 50);
+  expect(a).toEqual(b);
+  expect(a.generation).toBe(50);
+});
+
+test('separate seeds give independent runs', () => {
+  const [a, b] = run([scenario, scenario], { seed: 42, sameSeed: false }, 50);
+  expect(a.p).not.toBe(b.p);
+});
+
+test('stats report 2Nes and the regime for each scenario', () => {
+  const small = comparisonStats({ ...scenario, popSize: 0 }, { p: 0.5, absorbed: null });
+  const large = comparisonStats({ ...scenario, popSize: 100 }, { p: 0.5, absorbed: null });
+  expect(small.Ne).toBe(10);
+  expect(large.Ne).toBe(1e6);
+  expect(large.twoNeS).toBeCloseTo(2 * 1e6 * large.s);
+  expect(small.regime).toBe('Drift dominates');
+  expect(large.regime).toBe('Selection dominates');
+});
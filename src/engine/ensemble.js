@@ -0,0 +1,49 @@
+import { initialState, step } from './simulation';
+
+// N replicates of the single-locus model, stepped together from one rng
+// so the same seed and replicate count replay exactly.
+
+export const createEnsemble = (replicates, p0 = 0.5) => ({
+  states: Array.from({ length: replicates }, () => initialState(p0)),
+  // Time to the most recent fixation or loss of each replicate
+  absorptionTimes: Array(replicates).fill(null)
+});
+
+export const stepEnsemble = (ensemble, params, rng) => {
+  const states = ensemble.states.map(state => step(state, params, rng));
+  const absorptionTimes = states.map((state, i) => (
+    state.event ? state.event.duration : ensemble.absorptionTimes[i]
+  ));
+  return { states, absorptionTimes };
+};
+
+// q-th quantile of an ascending array (linear interpolation)
+export const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// Mean, 5-95% envelope and the first `samples` replicates for the plot,
+// plus absorption statistics
+export const summarizeEnsemble = (ensemble, samples = 5) => {
+  const { states, absorptionTimes } = ensemble;
+  const freqs = states.map(state => state.p);
+  const sorted = [...freqs].sort((a, b) => a - b);
+  const n = states.length;
+  const absorbedTimes = absorptionTimes.filter((t, i) => t !== null && states[i].absorbed);
+
+  return {
+    generation: n ? states[0].generation : 0,
+    mean: freqs.reduce((sum, p) => sum + p, 0) / n,
+    lo: quantile(sorted, 0.05),
+    hi: quantile(sorted, 0.95),
+    samples: freqs.slice(0, samples),
+    fixed: states.filter(state => state.absorbed === 'fixed').length / n,
+    lost: states.filter(state => state.absorbed === 'lost').length / n,
+    meanAbsorptionTime: absorbedTimes.length
+      ? absorbedTimes.reduce((sum, t) => sum + t, 0) / absorbedTimes.length
+      : null
+  };
+};
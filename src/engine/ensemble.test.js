@@ -0,0 +1,32 @@
+import { createRng } from './rng';
+import { createEnsemble, stepEnsemble, summarizeEnsemble, quantile } from './ensemble';
+
+const run = (params, seed, replicates, generations) => {
+  const rng = createRng(seed);
+  let ensemble = createEnsemble(replicates);
+  for (let i = 0; i < generations; i++) ensemble = stepEnsemble(ensemble, params, rng);
+  return ensemble;
+};
+
+test('quantile interpolates between ranks', () => {
+  expect(quantile([0, 1, 2, 3, 4], 0.5)).toBe(2);
+  expect(quantile([0, 10], 0.05)).toBeCloseTo(0.5);
+});
+
+test('same seed replays the whole ensemble', () => {
+  const params = { mutation: 20, selection: 60, geneFlow: 10, popSize: 20 };
+  expect(run(params, 8, 20, 100)).toEqual(run(params, 8, 20, 100));
+});
+
+test('neutral drift in a tiny population absorbs every replicate', () => {
+  const params = { mutation: 0, selection: 50, geneFlow: 0, popSize: 0 };
+  const summary = summarizeEnsemble(run(params, 21, 200, 400), 3);
+  expect(summary.fixed + summary.lost).toBe(1);
+  // Neutral fixation probability equals the starting frequency
+  expect(summary.fixed).toBeGreaterThan(0.4);
+  expect(summary.fixed).toBeLessThan(0.6);
+  expect(summary.meanAbsorptionTime).toBeGreaterThan(0);
+  expect(summary.samples).toHaveLength(3);
+  expect(summary.lo).toBeLessThanOrEqual(summary.mean);
+  expect(summary.hi).toBeGreaterThanOrEqual(summary.mean);
+});
@@ -0,0 +1,71 @@
+// SIR / SEIR host epidemic coupled to the pathogen's population genetics:
+// the number of infected hosts sets Nₑ each pathogen generation, so drift is
+// weak at the epidemic peak and strong in its tail and in the troughs between
+// waves. Deterministic compartments (host counts), stepped once per pathogen
+// generation in a few Euler sub-steps; `hosts` sizes the epidemic when it
+// starts. Durations are in pathogen generations;
+// `immunityDuration` 0 means lifelong immunity (a single wave), and
+// `imports` infected hosts arrive from elsewhere every generation.
+
+export const EPIDEMIC_MODELS = { SIR: 'SIR', SEIR: 'SEIR' };
+
+export const defaultEpidemic = {
+  enabled: false,
+  model: 'SEIR',
+  hosts: 100000,
+  R0: 2.5,
+  infectiousPeriod: 20,
+  latentPeriod: 5,
+  immunityDuration: 1500,
+  initialInfected: 10,
+  imports: 0.05,
+  nePerHost: 1
+};
+
+// Accepted range of each numeric setting
+export const EPIDEMIC_RANGES = {
+  hosts: [100, 10000000],
+  R0: [0.5, 10],
+  infectiousPeriod: [1, 500],
+  latentPeriod: [1, 500],
+  immunityDuration: [0, 100000],
+  initialInfected: [1, 1000000],
+  imports: [0, 10],
+  nePerHost: [0.01, 100]
+};
+
+// Nₑ never drops below this, however few hosts are infected
+export const MIN_NE = 2;
+
+const SUBSTEPS = 4;
+
+export const createEpidemic = (config) => {
+  const I = Math.min(config.initialInfected, config.hosts);
+  return { S: config.hosts - I, E: 0, I, R: 0 };
+};
+
+export const stepEpidemic = (state, config) => {
+  const { R0, infectiousPeriod, latentPeriod, immunityDuration, imports } = config;
+  const gamma = 1 / infectiousPeriod;
+  const beta = R0 * gamma;
+  const sigma = 1 / Math.max(1, latentPeriod);
+  const omega = immunityDuration > 0 ? 1 / immunityDuration : 0;
+  const seir = config.model === 'SEIR';
+  const dt = 1 / SUBSTEPS;
+  let { S, E, I, R } = state;
+  const hosts = S + E + I + R;
+  for (let k = 0; k < SUBSTEPS; k++) {
+    const infections = Math.min(S, (beta * S * I) / hosts + imports) * dt;
+    const onset = seir ? sigma * E * dt : infections;
+    const recoveries = gamma * I * dt;
+    const waned = omega * R * dt;
+    S += waned - infections;
+    E = seir ? E + infections - onset : 0;
+    I += onset - recoveries;
+    R += recoveries - waned;
+  }
+  return { S, E, I, R };
+};
+
+// Effective size of the pathogen population carried by the infected hosts
+export const epidemicNe = (state, config) => Math.max(MIN_NE, Math.round(state.I * config.nePerHost));
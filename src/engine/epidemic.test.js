@@ -0,0 +1,56 @@
+import { defaultEpidemic, createEpidemic, stepEpidemic, epidemicNe, MIN_NE } from './epidemic';
+
+const run = (config, generations) => {
+  let state = createEpidemic(config);
+  const states = [state];
+  for (let g = 0; g < generations; g++) {
+    state = stepEpidemic(state, config);
+    states.push(state);
+  }
+  return states;
+};
+
+const total = ({ S, E, I, R }) => S + E + I + R;
+
+test('hosts are conserved', () => {
+  ['SIR', 'SEIR'].forEach(model => {
+    const config = { ...defaultEpidemic, model };
+    run(config, 500).forEach(state => expect(total(state)).toBeCloseTo(config.hosts, 6));
+  });
+});
+
+test('an epidemic rises, peaks and burns out with lifelong immunity', () => {
+  const config = { ...defaultEpidemic, immunityDuration: 0, imports: 0 };
+  const states = run(config, 2000);
+  const infected = states.map(state => state.I);
+  const peak = infected.indexOf(Math.max(...infected));
+  expect(peak).toBeGreaterThan(0);
+  expect(infected[peak]).toBeGreaterThan(1000);
+  expect(infected[2000]).toBeLessThan(infected[peak] / 100);
+  // Final size of an R₀ = 2.5 epidemic: about 89% of hosts infected
+  expect(states[2000].R / config.hosts).toBeCloseTo(0.89, 1);
+});
+
+test('below R₀ = 1 infections die away', () => {
+  const config = { ...defaultEpidemic, R0: 0.8, imports: 0 };
+  const states = run(config, 300);
+  expect(states[300].I).toBeLessThan(config.initialInfected);
+});
+
+test('the latent class only fills under SEIR', () => {
+  expect(run({ ...defaultEpidemic, model: 'SIR' }, 50).every(state => state.E === 0)).toBe(true);
+  expect(run({ ...defaultEpidemic, model: 'SEIR' }, 50)[50].E).toBeGreaterThan(0);
+});
+
+test('waning immunity brings later waves', () => {
+  const states = run(defaultEpidemic, 6000);
+  const infected = states.map(state => state.I);
+  const peaks = infected.filter((I, g) => g > 0 && g < 6000 && I > infected[g - 1] && I >= infected[g + 1] && I > 100);
+  expect(peaks.length).toBeGreaterThan(1);
+});
+
+test('Nₑ follows the infected hosts with a floor', () => {
+  expect(epidemicNe({ S: 0, E: 0, I: 1234.4, R: 0 }, defaultEpidemic)).toBe(1234);
+  expect(epidemicNe({ S: 0, E: 0, I: 100, R: 0 }, { ...defaultEpidemic, nePerHost: 0.1 })).toBe(10);
+  expect(epidemicNe({ S: 0, E: 0, I: 0.01, R: 0 }, defaultEpidemic)).toBe(MIN_NE);
+});
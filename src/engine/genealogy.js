@@ -0,0 +1,91 @@
+// Genealogy of a sample of the current individual-based population, traced
+// back through the recorded ancestry. `ancestry` lists the last generations
+// (oldest first) as { generation, alleles, parents }, `parents[i]` being the
+// index of individual i's parent one generation earlier, or -1 for a migrant;
+// the first generation kept has no parents.
+//
+// A node is { id, generation, allele, children, mutations } (sampled leaves
+// also carry their 1-based `sample` number); `mutations` are the allele
+// changes on the branch above it ({ generation, from, to }, newest first).
+// Lineages that have not met within the window, or that entered as
+// migrants, end in separate roots, so the result is a forest.
+
+export const SAMPLE_SIZE = 24;
+
+// Generations of ancestry kept by the individual-based model
+export const ANCESTRY_WINDOW = 1000;
+
+// Evenly spaced sample; offspring are sorted by parent, so this spreads
+// across families without drawing random numbers
+const sampleIndices = (n, count) => Array.from({ length: count }, (_, k) => Math.floor((k * n) / count));
+
+export const sampleGenealogy = (ancestry, sampleSize = SAMPLE_SIZE) => {
+  const latest = ancestry[ancestry.length - 1];
+  let nextId = 0;
+  const node = (generation, allele, children = []) => ({ id: nextId++, generation, allele, children, mutations: [] });
+
+  let lineages = sampleIndices(latest.alleles.length, Math.min(sampleSize, latest.alleles.length))
+    .map((index, k) => ({ index, node: { ...node(latest.generation, latest.alleles[index]), sample: k + 1 } }));
+  const roots = [];
+
+  for (let r = ancestry.length - 1; r > 0 && lineages.length > 1; r--) {
+    const record = ancestry[r];
+    const previous = ancestry[r - 1];
+    const byParent = new Map();
+    lineages.forEach(lineage => {
+      const parent = record.parents[lineage.index];
+      if (parent < 0) {
+        roots.push({ node: lineage.node, start: record.generation, migrant: true });
+        return;
+      }
+      const from = previous.alleles[parent];
+      const to = record.alleles[lineage.index];
+      if (from !== to) lineage.node.mutations.push({ generation: record.generation, from, to });
+      if (!byParent.has(parent)) byParent.set(parent, []);
+      byParent.get(parent).push(lineage);
+    });
+    lineages = [...byParent.entries()].map(([parent, group]) => (
+      group.length === 1
+        ? { index: parent, node: group[0].node }
+        : { index: parent, node: node(previous.generation, previous.alleles[parent], group.map(lineage => lineage.node)) }
+    ));
+  }
+
+  const truncated = lineages.length > 1;
+  lineages.forEach(lineage => {
+    roots.push({ node: lineage.node, start: truncated ? ancestry[0].generation : lineage.node.generation, truncated });
+  });
+  return { roots, from: ancestry[0].generation, to: latest.generation, leaves: Math.min(sampleSize, latest.alleles.length) };
+};
+
+const leafCount = (n) => (n.children.length ? n.children.reduce((sum, child) => sum + leafCount(child), 0) : 1);
+
+// Tree shape: time to the most recent common ancestor (null if the sample
+// has not coalesced within the window) and the Colless imbalance of the
+// bifurcations, normalised to 0 (balanced) - 1 (ladder)
+export const genealogyStats = ({ roots, to, leaves }) => {
+  let colless = 0;
+  const visit = (n) => {
+    if (n.children.length === 2) colless += Math.abs(leafCount(n.children[0]) - leafCount(n.children[1]));
+    n.children.forEach(visit);
+  };
+  roots.forEach(root => visit(root.node));
+  const maxColless = ((leaves - 1) * (leaves - 2)) / 2;
+  const coalesced = roots.length === 1 && !roots[0].migrant && !roots[0].truncated;
+  return {
+    tmrca: coalesced ? to - roots[0].node.generation : null,
+    colless: maxColless > 0 ? colless / maxColless : 0,
+    roots: roots.length
+  };
+};
+
+// Newick, one tree per root; branch lengths in generations and sampled
+// individuals labelled by allele
+export const toNewick = ({ roots }) => {
+  const write = (n, parentGeneration) => {
+    const length = `:${n.generation - parentGeneration}`;
+    if (!n.children.length) return `s${n.sample}_${n.allele ? 'focal' : 'wild'}${length}`;
+    return `(${n.children.map(child => write(child, n.generation)).join(',')})${length}`;
+  };
+  return roots.map(({ node, start }) => `${write(node, start)};`).join('\n');
+};
@@ -0,0 +1,48 @@
+import { sampleGenealogy, genealogyStats, toNewick } from './genealogy';
+
+const record = (generation, alleles, parents = null) => ({
+  generation,
+  alleles: Uint8Array.from(alleles),
+  parents: parents && Int16Array.from(parents)
+});
+
+test('lineages that have not met within the window end in separate roots', () => {
+  const genealogy = sampleGenealogy([
+    record(0, [0, 1, 0, 1]),
+    record(1, [0, 0, 1, 1], [0, 0, 1, 1]),
+    record(2, [0, 0, 1, 1], [0, 1, 2, 3])
+  ], 4);
+  expect(genealogy.roots).toHaveLength(2);
+  expect(genealogy.roots.every(root => root.truncated && root.start === 0)).toBe(true);
+  expect(genealogyStats(genealogy)).toMatchObject({ tmrca: null, roots: 2 });
+  expect(toNewick(genealogy)).toBe('(s1_wild:2,s2_wild:2):0;\n(s3_focal:2,s4_focal:2):0;');
+});
+
+test('records mutations on branches and roots migrant lineages where they arrived', () => {
+  const genealogy = sampleGenealogy([
+    record(4, [0, 0, 0]),
+    record(5, [0, 1, 1], [0, 0, -1])
+  ], 3);
+  const [migrant, tree] = genealogy.roots;
+  expect(migrant).toMatchObject({ migrant: true, start: 5 });
+  expect(tree.node.generation).toBe(4);
+  expect(tree.node.children[1].mutations).toEqual([{ generation: 5, from: 0, to: 1 }]);
+  expect(toNewick(genealogy)).toBe('s3_focal:0;\n(s1_wild:1,s2_focal:1):0;');
+});
+
+test('a fully coalesced sample has a TMRCA', () => {
+  const genealogy = sampleGenealogy([
+    record(0, [1, 0]),
+    record(1, [1, 1], [0, 0]),
+    record(2, [1, 1], [0, 1])
+  ], 2);
+  expect(genealogyStats(genealogy)).toEqual({ tmrca: 2, colless: 0, roots: 1 });
+});
+
+test('Colless imbalance runs from balanced to ladder', () => {
+  const leaf = () => ({ generation: 10, children: [] });
+  const join = (...children) => ({ generation: 0, children });
+  const stats = (node) => genealogyStats({ roots: [{ node, start: 0 }], to: 10, leaves: 4 }).colless;
+  expect(stats(join(join(leaf(), leaf()), join(leaf(), leaf())))).toBe(0);
+  expect(stats(join(join(join(leaf(), leaf()), leaf()), leaf()))).toBe(1);
+});
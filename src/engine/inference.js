@@ -0,0 +1,165 @@
+import { createRng, binomial } from './rng';
+import { initialState, step } from './simulation';
+import { quantile } from './ensemble';
+
+// Fitting forces to an observed allele-frequency time series by approximate
+// Bayesian computation (rejection): draw slider values from uniform priors,
+// run the Wright–Fisher engine from the first observed frequency, sample each
+// later time point the way the data were sampled (binomially, when a sample
+// size is given) and keep the draws that land closest to the data. Values are
+// on the slider scale (0-100; Nₑ is log-uniform), so a fit sets the sliders
+// directly. `config` is { observations, base, fit, draws, accepted, seed },
+// `fit` the sliders being fitted and `base` the current slider values.
+
+export const FIT_PARAMS = {
+  selection: 'Selection (s)',
+  popSize: 'Population size (Nₑ)',
+  geneFlow: 'Gene flow (m)'
+};
+
+export const defaultInference = { fit: ['selection', 'popSize'], draws: 2000, accepted: 100 };
+
+// Draws per progress report
+export const INFERENCE_BATCH = 100;
+// Longest series the fit will simulate
+export const MAX_SPAN = 10000;
+// Posterior-predictive trajectories and the points kept per band
+const PREDICTIVE_RUNS = 200;
+const BAND_POINTS = 200;
+
+const HEADER_NAMES = {
+  generation: ['generation', 'gen', 'time', 't'],
+  frequency: ['frequency', 'freq', 'p'],
+  sampleSize: ['sample_size', 'samplesize', 'n', 'depth']
+};
+
+const cellsOf = (line) => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+// (generation, frequency, optional sample size) rows, with or without a
+// header; throws with a readable message
+export const parseTimeSeriesCSV = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.length === 0) throw new Error('The file has no data');
+
+  let columns = { generation: 0, frequency: 1, sampleSize: 2 };
+  let rows = lines;
+  const first = cellsOf(lines[0]);
+  if (first.some(cell => cell !== '' && Number.isNaN(Number(cell)))) {
+    const names = first.map(cell => cell.toLowerCase().replace(/[\s-]+/g, '_'));
+    columns = Object.fromEntries(Object.entries(HEADER_NAMES).map(([key, aliases]) => [key, names.findIndex(n => aliases.includes(n))]));
+    if (columns.generation < 0 || columns.frequency < 0) throw new Error('The header needs "generation" and "frequency" columns');
+    rows = lines.slice(1);
+  }
+
+  const points = rows.map((line, i) => {
+    const cells = cellsOf(line);
+    const where = `Data row ${i + 1}`;
+    const at = (index) => (index >= 0 && cells[index] !== undefined && cells[index] !== '' ? Number(cells[index]) : null);
+    const generation = at(columns.generation);
+    const frequency = at(columns.frequency);
+    const sampleSize = at(columns.sampleSize);
+    if (!Number.isInteger(generation) || generation < 0) throw new Error(`${where}: generation must be a whole number ≥ 0`);
+    if (!Number.isFinite(frequency) || frequency < 0 || frequency > 1) throw new Error(`${where}: frequency must be between 0 and 1`);
+    if (sampleSize !== null && (!Number.isInteger(sampleSize) || sampleSize < 1)) throw new Error(`${where}: sample size must be a whole number ≥ 1`);
+    return sampleSize === null ? { generation, frequency } : { generation, frequency, sampleSize };
+  }).sort((a, b) => a.generation - b.generation);
+
+  if (points.length < 3) throw new Error('At least 3 time points are needed');
+  if (points.some((point, i) => i > 0 && point.generation === points[i - 1].generation)) {
+    throw new Error('Each generation may appear only once');
+  }
+  if (points[points.length - 1].generation - points[0].generation > MAX_SPAN) {
+    throw new Error(`The series may span at most ${MAX_SPAN} generations`);
+  }
+  return points;
+};
+
+// Slider values for a set of fitted values; the rest keep their base values
+export const fitParams = (config, values) => ({ ...config.base, model: 'wright-fisher', ...values });
+
+// Allele frequency at every generation from the first observation to the last
+export const simulateSeries = (params, observations, rng) => {
+  const span = observations[observations.length - 1].generation - observations[0].generation;
+  let state = initialState(observations[0].frequency);
+  const path = [state.p];
+  for (let g = 0; g < span; g++) {
+    state = step(state, params, rng);
+    path.push(state.p);
+  }
+  return path;
+};
+
+// Root-mean-square gap between the data and a trajectory sampled like the data
+export const seriesDistance = (path, observations, rng) => {
+  const start = observations[0].generation;
+  const later = observations.slice(1);
+  const squares = later.reduce((sum, { generation, frequency, sampleSize }) => {
+    const p = path[generation - start];
+    const seen = sampleSize ? binomial(rng, sampleSize, p) / sampleSize : p;
+    return sum + (seen - frequency) ** 2;
+  }, 0);
+  return Math.sqrt(squares / later.length);
+};
+
+// Draws [from, to) of the prior; each draw seeds its own stream, so the result
+// does not depend on how the draws are batched
+export const runDraws = (config, from, to) => {
+  const draws = [];
+  for (let index = from; index < to; index++) {
+    const rng = createRng((config.seed + index * 7919) >>> 0);
+    const values = Object.fromEntries(config.fit.map(key => [key, rng() * 100]));
+    const path = simulateSeries(fitParams(config, values), config.observations, rng);
+    draws.push({ values, distance: seriesDistance(path, config.observations, rng) });
+  }
+  return draws;
+};
+
+// The `accepted` closest draws, with each fitted slider's median and 95% interval
+export const summarizePosterior = (config, draws) => {
+  const accepted = [...draws].sort((a, b) => a.distance - b.distance).slice(0, config.accepted);
+  const estimates = Object.fromEntries(config.fit.map(key => {
+    const sorted = accepted.map(draw => draw.values[key]).sort((a, b) => a - b);
+    return [key, { median: quantile(sorted, 0.5), lo: quantile(sorted, 0.025), hi: quantile(sorted, 0.975) }];
+  }));
+  return { accepted, estimates, tolerance: accepted[accepted.length - 1].distance };
+};
+
+// Slider settings of the fit: the posterior medians
+export const bestFit = (posterior) => (
+  Object.fromEntries(Object.entries(posterior.estimates).map(([key, { median }]) => [key, Math.round(median)]))
+);
+
+// Posterior-predictive envelope: trajectories from accepted draws, with their
+// 2.5/25/50/75/97.5% quantiles at up to BAND_POINTS generations
+export const posteriorPredictive = (config, posterior, runs = PREDICTIVE_RUNS) => {
+  const rng = createRng((config.seed ^ 0x5bd1e995) >>> 0);
+  const paths = Array.from({ length: runs }, (_, r) => (
+    simulateSeries(fitParams(config, posterior.accepted[r % posterior.accepted.length].values), config.observations, rng)
+  ));
+  const start = config.observations[0].generation;
+  const length = paths[0].length;
+  const count = Math.min(length, BAND_POINTS);
+  return Array.from({ length: count }, (_, k) => {
+    const i = count === 1 ? 0 : Math.round((k * (length - 1)) / (count - 1));
+    const sorted = paths.map(path => path[i]).sort((a, b) => a - b);
+    return {
+      generation: start + i,
+      lo: quantile(sorted, 0.025),
+      q1: quantile(sorted, 0.25),
+      median: quantile(sorted, 0.5),
+      q3: quantile(sorted, 0.75),
+      hi: quantile(sorted, 0.975)
+    };
+  });
+};
+
+// Whole fit in one go, for the worker: progress after every batch of draws
+export const runInference = (config, onProgress = () => {}) => {
+  let draws = [];
+  for (let from = 0; from < config.draws; from += INFERENCE_BATCH) {
+    draws = draws.concat(runDraws(config, from, Math.min(config.draws, from + INFERENCE_BATCH)));
+    onProgress(draws.length);
+  }
+  const posterior = summarizePosterior(config, draws);
+  return { posterior, bands: posteriorPredictive(config, posterior) };
+};
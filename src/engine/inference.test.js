@@ -0,0 +1,69 @@
+import {
+  parseTimeSeriesCSV, simulateSeries, runDraws, runInference, summarizePosterior, bestFit, fitParams, defaultInference
+} from './inference';
+import { createRng, binomial } from './rng';
+
+const base = { mutation: 0, selection: 50, geneFlow: 0, drift: 25, recombination: 15, popSize: 50, sourceFreq: 50 };
+
+// Sampled every 10 generations from a run with s = 0.09, Nₑ = 10⁴
+const syntheticData = () => {
+  const rng = createRng(3);
+  const generations = Array.from({ length: 21 }, (_, k) => 10 * k);
+  const start = [{ generation: 0, frequency: 0.05 }, { generation: 200, frequency: 0 }];
+  const path = simulateSeries({ ...base, model: 'wright-fisher', selection: 80, popSize: 60 }, start, rng);
+  return generations.map(generation => ({
+    generation,
+    frequency: generation === 0 ? 0.05 : binomial(rng, 200, path[generation]) / 200,
+    sampleSize: 200
+  }));
+};
+
+test('CSV time series parse with or without a header', () => {
+  expect(parseTimeSeriesCSV('0,0.1\n10,0.2\n20,0.4\n')).toEqual([
+    { generation: 0, frequency: 0.1 }, { generation: 10, frequency: 0.2 }, { generation: 20, frequency: 0.4 }
+  ]);
+  const withHeader = parseTimeSeriesCSV('# patient 7\nN,Gen,Freq\n40,20,0.5\n30,0,0.1\n35,10,0.3');
+  expect(withHeader.map(point => point.generation)).toEqual([0, 10, 20]);
+  expect(withHeader[0]).toEqual({ generation: 0, frequency: 0.1, sampleSize: 30 });
+});
+
+test('malformed series are rejected with a reason', () => {
+  expect(() => parseTimeSeriesCSV('')).toThrow(/no data/);
+  expect(() => parseTimeSeriesCSV('0,0.1\n10,0.2')).toThrow(/3 time points/);
+  expect(() => parseTimeSeriesCSV('0,0.1\n10,1.2\n20,0.3')).toThrow(/Data row 2: frequency/);
+  expect(() => parseTimeSeriesCSV('0,0.1\n10,0.2\n10,0.3')).toThrow(/only once/);
+  expect(() => parseTimeSeriesCSV('time,value\n0,0.1')).toThrow(/"frequency"/);
+  expect(() => parseTimeSeriesCSV('0,0.1,0\n10,0.2\n20,0.3')).toThrow(/sample size/);
+});
+
+test('draws are reproducible however they are batched', () => {
+  const config = { ...defaultInference, observations: syntheticData(), base, seed: 5 };
+  expect([...runDraws(config, 0, 5), ...runDraws(config, 5, 10)]).toEqual(runDraws(config, 0, 10));
+});
+
+test('the fit recovers the selection that made the data', () => {
+  const observations = syntheticData();
+  const config = { ...defaultInference, draws: 1000, accepted: 50, observations, base, seed: 11 };
+  const progress = [];
+  const { posterior, bands } = runInference(config, done => progress.push(done));
+  expect(progress[progress.length - 1]).toBe(1000);
+  expect(posterior.accepted).toHaveLength(50);
+  const { selection } = posterior.estimates;
+  expect(selection.lo).toBeLessThan(80);
+  expect(selection.hi).toBeGreaterThan(80);
+  expect(Math.abs(bestFit(posterior).selection - 80)).toBeLessThan(8);
+  // The envelope spans the data and is ordered
+  expect(bands[0].generation).toBe(0);
+  expect(bands[bands.length - 1].generation).toBe(200);
+  bands.forEach(band => {
+    expect(band.lo).toBeLessThanOrEqual(band.median);
+    expect(band.median).toBeLessThanOrEqual(band.hi);
+  });
+});
+
+test('unfitted sliders keep their values', () => {
+  const draws = [{ values: { selection: 70 }, distance: 0.1 }, { values: { selection: 30 }, distance: 0.5 }];
+  const posterior = summarizePosterior({ fit: ['selection'], accepted: 1 }, draws);
+  expect(bestFit(posterior)).toEqual({ selection: 70 });
+  expect(fitParams({ base }, bestFit(posterior))).toMatchObject({ geneFlow: 0, popSize: 50, selection: 70 });
+});
@@ -0,0 +1,7 @@
+import { runInference } from './inference';
+
+// Fits a time series off the main thread, reporting progress as draws finish
+onmessage = ({ data: config }) => {
+  const result = runInference(config, done => postMessage({ type: 'progress', done }));
+  postMessage({ type: 'done', result });
+};
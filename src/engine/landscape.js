@@ -0,0 +1,170 @@
+import { stepHaplotypes, haplotypeLabel, LOCUS_NAMES } from './multilocus';
+
+// Fitness landscape over 2–4 biallelic loci on the haplotype model. Fitness
+// is either additive effects plus pairwise epistasis,
+// w = 1 + Σ sᵢ + Σ εᵢⱼ (floored at 0), or a table with one entry per
+// haplotype. The population starts as the all-wild-type haplotype and
+// climbs the landscape by mutation; its focal frequency p is the share of
+// the global peak genotype.
+
+export const MIN_LANDSCAPE_LOCI = 2;
+export const MAX_LANDSCAPE_LOCI = 4;
+
+export const LANDSCAPE_KINDS = {
+  additive: 'Additive + pairwise epistasis',
+  table: 'Fitness table'
+};
+
+// Pair of loci i < j, as in the `epistasis` keys: "AB", "AC", …
+export const pairKey = (i, j) => LOCUS_NAMES[i] + LOCUS_NAMES[j];
+
+export const locusPairs = (k) => {
+  const pairs = [];
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) pairs.push([i, j]);
+  }
+  return pairs;
+};
+
+const additiveFitness = ({ k, effects, epistasis }) => Array.from({ length: 1 << k }, (_, h) => {
+  let w = 1;
+  for (let i = 0; i < k; i++) {
+    if (h & (1 << i)) w += effects[i];
+  }
+  locusPairs(k).forEach(([i, j]) => {
+    if (h & (1 << i) && h & (1 << j)) w += epistasis[pairKey(i, j)] || 0;
+  });
+  return Math.max(0, w);
+});
+
+// Relative fitness of every haplotype
+export const landscapeFitness = (config) => (config.kind === 'table' ? config.table : additiveFitness(config));
+
+// The same landscape as a table, e.g. to start editing one
+export const fitnessTable = (config) => landscapeFitness(config).map(w => Math.round(w * 1000) / 1000);
+
+const landscape = (k, effects, epistasis) => {
+  const config = { k, kind: 'additive', effects, epistasis };
+  return { ...config, table: additiveFitness(config) };
+};
+
+// Worked examples; `effects` always holds all four loci and `table` the
+// additive landscape, ready to edit
+export const LANDSCAPE_PRESETS = {
+  additive: {
+    name: 'Additive (no epistasis)',
+    description: 'Each mutation adds the same to fitness on every background: every path to the peak is uphill.',
+    config: landscape(2, [0.05, 0.03, 0, 0], {})
+  },
+  magnitude: {
+    name: 'Diminishing returns',
+    description: 'Both mutations help, but less together than their sum (magnitude epistasis).',
+    config: landscape(2, [0.1, 0.1, 0, 0], { AB: -0.08 })
+  },
+  sign: {
+    name: 'Compensatory mutation (sign epistasis)',
+    description: 'B costs fitness alone but helps once A is present, so only the path through A is uphill.',
+    config: landscape(2, [0.1, -0.05, 0, 0], { AB: 0.15 })
+  },
+  valley: {
+    name: 'Fitness valley (reciprocal sign epistasis)',
+    description: 'Each mutation is deleterious alone and the double mutant is best: the population must cross a valley by drift.',
+    config: landscape(2, [-0.05, -0.05, 0, 0], { AB: 0.3 })
+  },
+  resistance: {
+    name: 'Drug-resistance pathway (4 loci)',
+    description: 'A is the primary resistance mutation and B compensates its cost, a lower peak; C helps alone but hurts '
+      + 'with A, and D helps only with C. Only 3 of the 24 orders of the four mutations climb all the way to ABCD.',
+    config: landscape(4, [0.08, -0.03, 0.04, -0.02], { AB: 0.08, AC: -0.1, BC: 0.05, CD: 0.07 })
+  }
+};
+
+export const defaultLandscape = LANDSCAPE_PRESETS.sign.config;
+
+// Haplotypes one mutation away
+export const neighbours = (h, k) => Array.from({ length: k }, (_, i) => h ^ (1 << i));
+
+export const mutationCount = (h) => {
+  let n = 0;
+  for (let rest = h; rest; rest >>= 1) n += rest & 1;
+  return n;
+};
+
+// Index of the fittest haplotype (the fewest mutations on ties)
+export const globalPeak = (w) => w.reduce((best, wh, h) => (
+  wh > w[best] || (wh === w[best] && mutationCount(h) < mutationCount(best)) ? h : best
+), 0);
+
+// Haplotypes fitter than every single-mutant neighbour
+export const localPeaks = (w, k) => w
+  .map((wh, h) => (neighbours(h, k).every(n => wh > w[n]) ? h : null))
+  .filter(h => h !== null);
+
+const permutations = (items) => (
+  items.length <= 1
+    ? [items]
+    : items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]))
+);
+
+// Shortest mutational paths from `from` to `to`, and how many of them
+// increase fitness at every step (Weinreich et al. 2006)
+export const accessiblePaths = (w, k, from, to) => {
+  const loci = Array.from({ length: k }, (_, i) => i).filter(i => (from ^ to) & (1 << i));
+  const paths = permutations(loci);
+  const accessible = paths.filter(order => {
+    let h = from;
+    return order.every(i => {
+      const next = h ^ (1 << i);
+      const uphill = w[next] > w[h];
+      h = next;
+      return uphill;
+    });
+  });
+  return { total: loci.length ? paths.length : 0, accessible: loci.length ? accessible.length : 0 };
+};
+
+const TOLERANCE = 1e-9;
+const sign = (v) => (Math.abs(v) < TOLERANCE ? 0 : Math.sign(v));
+
+// Epistasis between loci i and j on a background haplotype: ε and whether
+// it changes the size (magnitude), the sign of one (sign) or of both
+// mutations' effects (reciprocal sign)
+export const pairEpistasis = (w, i, j, background = 0) => {
+  const base = background & ~(1 << i) & ~(1 << j);
+  const w00 = w[base];
+  const w10 = w[base | (1 << i)];
+  const w01 = w[base | (1 << j)];
+  const w11 = w[base | (1 << i) | (1 << j)];
+  const epsilon = w11 - w10 - w01 + w00;
+  const flipsI = sign(w10 - w00) !== sign(w11 - w01);
+  const flipsJ = sign(w01 - w00) !== sign(w11 - w10);
+  let type = 'none';
+  if (flipsI && flipsJ) type = 'reciprocal sign';
+  else if (flipsI || flipsJ) type = 'sign';
+  else if (Math.abs(epsilon) > TOLERANCE) type = 'magnitude';
+  return { epsilon, type };
+};
+
+export const meanFitness = (x, w) => x.reduce((sum, freq, h) => sum + freq * w[h], 0);
+
+export const createLandscapeState = (config) => {
+  const x = Array(1 << config.k).fill(0);
+  x[0] = 1;
+  return { k: config.k, x, generation: 0 };
+};
+
+// Migrants come from a wild-type source, so only mutation and drift (never
+// immigration) bring the population across a valley
+export const stepLandscape = (state, params, config, rng) => stepHaplotypes(
+  state,
+  params,
+  rng,
+  { fitness: landscapeFitness(config), migrantFrequency: 0 }
+);
+
+// Frequency of the global peak genotype, and the mean fitness
+export const landscapeSummary = (state, config) => {
+  const w = landscapeFitness(config);
+  const peak = globalPeak(w);
+  return { p: state.x[peak], peak, label: haplotypeLabel(peak, state.k), meanFitness: meanFitness(state.x, w) };
+};
@@ -0,0 +1,81 @@
+import {
+  LANDSCAPE_PRESETS, landscapeFitness, fitnessTable, globalPeak, localPeaks, accessiblePaths, pairEpistasis,
+  meanFitness, createLandscapeState, stepLandscape, landscapeSummary, locusPairs
+} from './landscape';
+import { createRng } from './rng';
+
+const sliders = { mutation: 40, selection: 50, geneFlow: 0, drift: 10, recombination: 0, popSize: 60, sourceFreq: 0 };
+
+const run = (config, generations, seed = 3, params = sliders) => {
+  const rng = createRng(seed);
+  let state = createLandscapeState(config);
+  for (let g = 0; g < generations; g++) state = stepLandscape(state, params, config, rng);
+  return state;
+};
+
+test('additive effects and pairwise epistasis give one fitness per haplotype', () => {
+  // ab, Ab, aB, AB
+  expect(landscapeFitness(LANDSCAPE_PRESETS.sign.config)).toEqual([1, 1.1, 0.95, 1.2]);
+  const threeLoci = { k: 3, kind: 'additive', effects: [0.1, 0.2, -2, 0], epistasis: { AB: 0.05, BC: 0.5 } };
+  expect(fitnessTable(threeLoci)).toEqual([1, 1.1, 1.2, 1.35, 0, 0, 0, 0]);
+  expect(landscapeFitness({ ...threeLoci, kind: 'table', table: [1, 2, 3, 4, 5, 6, 7, 8] })[7]).toBe(8);
+  expect(locusPairs(4)).toHaveLength(6);
+});
+
+test('pairwise epistasis is classified by what it does to each mutation', () => {
+  const types = ['additive', 'magnitude', 'sign', 'valley'].map(key => pairEpistasis(landscapeFitness(LANDSCAPE_PRESETS[key].config), 0, 1).type);
+  expect(types).toEqual(['none', 'magnitude', 'sign', 'reciprocal sign']);
+  expect(pairEpistasis(landscapeFitness(LANDSCAPE_PRESETS.valley.config), 0, 1).epsilon).toBeCloseTo(0.3);
+});
+
+test('peaks and accessible paths', () => {
+  const valley = landscapeFitness(LANDSCAPE_PRESETS.valley.config);
+  expect(globalPeak(valley)).toBe(3);
+  expect(localPeaks(valley, 2)).toEqual([0, 3]);
+  expect(accessiblePaths(valley, 2, 0, 3)).toEqual({ total: 2, accessible: 0 });
+  expect(accessiblePaths(landscapeFitness(LANDSCAPE_PRESETS.sign.config), 2, 0, 3)).toEqual({ total: 2, accessible: 1 });
+  expect(accessiblePaths(landscapeFitness(LANDSCAPE_PRESETS.additive.config), 2, 0, 3)).toEqual({ total: 2, accessible: 2 });
+
+  const pathway = landscapeFitness(LANDSCAPE_PRESETS.resistance.config);
+  const peak = globalPeak(pathway);
+  expect(peak).toBe(15);
+  expect(localPeaks(pathway, 4)).toEqual([3, 15]);
+  expect(accessiblePaths(pathway, 4, 0, peak)).toEqual({ total: 24, accessible: 3 });
+});
+
+test('the population climbs to the peak along the accessible path', () => {
+  const config = LANDSCAPE_PRESETS.sign.config;
+  const w = landscapeFitness(config);
+  const start = createLandscapeState(config);
+  expect(landscapeSummary(start, config)).toMatchObject({ p: 0, peak: 3, label: 'AB', meanFitness: 1 });
+  const end = run(config, 400);
+  const summary = landscapeSummary(end, config);
+  expect(summary.p).toBeGreaterThan(0.8);
+  expect(summary.meanFitness).toBeCloseTo(meanFitness(end.x, w));
+  expect(summary.meanFitness).toBeGreaterThan(1.15);
+});
+
+test('a fitness valley holds a large population at the wild type', () => {
+  const config = LANDSCAPE_PRESETS.valley.config;
+  const stuck = run(config, 300, 5, { ...sliders, mutation: 10, popSize: 90 });
+  expect(landscapeSummary(stuck, config).p).toBeLessThan(0.05);
+  expect(stuck.x[0]).toBeGreaterThan(0.8);
+});
+
+test('migrants come from a wild-type source and never carry the population across a valley', () => {
+  // The app's default sliders, gene flow and pₘ included
+  const defaults = { mutation: 30, selection: 40, geneFlow: 20, drift: 25, recombination: 15, popSize: 50, sourceFreq: 50 };
+  const config = LANDSCAPE_PRESETS.valley.config;
+  const state = run(config, 300, 3, defaults);
+  expect(landscapeSummary(state, config).p).toBeLessThan(0.05);
+  expect(state.x[0]).toBeGreaterThan(0.8);
+});
+
+test('a lethal wild type in an entered table leaves frequencies finite', () => {
+  const config = { ...LANDSCAPE_PRESETS.sign.config, kind: 'table', table: [0, 1, 1, 1] };
+  const state = run(config, 50);
+  state.x.forEach(freq => expect(Number.isFinite(freq)).toBe(true));
+  expect(state.x.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+  // Mutants escape the lethal genotype as soon as they arise
+  expect(state.x[0]).toBeLessThan(0.5);
+});
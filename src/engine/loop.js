@@ -0,0 +1,83 @@
+import { createRun, stepRun, snapshotOf } from './runner';
+
+// Simulation clock, driven by messages so the same code runs in the Web
+// Worker and, where Worker is unavailable, on the main thread.
+//   in:  { type: 'reset', id, config } | { type: 'settings', settings }
+//        | { type: 'play' } | { type: 'pause' }
+//   out: { type: 'batch', id, updates }
+// `settings.rate` is in generations per second; each tick steps the
+// generations owed since the last one and posts them as a single batch.
+
+export const MAX_RATE = 5000;
+
+// Replication Speed slider (0-100) on a log scale: 1 to 5000 generations/s
+export const generationsPerSecond = (speed) => Math.max(1, Math.round(MAX_RATE ** (speed / 100)));
+
+const TICK_MS = 16;
+// Stop stepping within a tick after this long so a slow model cannot flood
+// the thread; the shortfall is dropped rather than caught up later
+const BUDGET_MS = 12;
+
+const systemClock = {
+  now: () => (typeof performance === 'undefined' ? Date.now() : performance.now()),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+export const createEngine = (post, clock = systemClock) => {
+  let run = null;
+  let id = 0;
+  let settings = null;
+  let timer = null;
+  let last = 0;
+  let owed = 0;
+
+  const tick = () => {
+    const started = clock.now();
+    // At most a quarter second of backlog
+    owed = Math.min(owed + ((started - last) / 1000) * settings.rate, settings.rate / 4 + 1);
+    last = started;
+    const updates = [];
+    while (owed >= 1 && clock.now() - started < BUDGET_MS) {
+      const next = stepRun(run, settings);
+      run = next.run;
+      updates.push(next.update);
+      owed -= 1;
+    }
+    if (owed >= 1) owed = 0;
+    if (updates.length) {
+      updates[updates.length - 1].snapshot = snapshotOf(run);
+      post({ type: 'batch', id, updates });
+    }
+    timer = clock.setTimeout(tick, TICK_MS);
+  };
+
+  const stop = () => {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = null;
+  };
+
+  return (message) => {
+    switch (message.type) {
+      case 'reset':
+        stop();
+        run = createRun(message.config);
+        id = message.id;
+        break;
+      case 'settings':
+        settings = message.settings;
+        break;
+      case 'play':
+        if (timer !== null || !run || !settings) break;
+        last = clock.now();
+        owed = 0;
+        timer = clock.setTimeout(tick, TICK_MS);
+        break;
+      case 'pause':
+        stop();
+        break;
+      default:
+        break;
+    }
+  };
+};
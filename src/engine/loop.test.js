@@ -0,0 +1,67 @@
+import { createEngine, generationsPerSecond, MAX_RATE } from './loop';
+
+const params = { model: 'wright-fisher', mutation: 30, selection: 40, geneFlow: 20, drift: 25, recombination: 15, popSize: 20, sourceFreq: 50, drug: 0 };
+
+// Manual clock: time only moves when the test says so
+const manualClock = () => {
+  const clock = { time: 0, pending: null };
+  clock.now = () => clock.time;
+  clock.setTimeout = (fn) => {
+    clock.pending = fn;
+    return fn;
+  };
+  clock.clearTimeout = () => {
+    clock.pending = null;
+  };
+  clock.advance = (ms) => {
+    clock.time += ms;
+    if (clock.pending) clock.pending();
+  };
+  return clock;
+};
+
+const start = (rate) => {
+  const clock = manualClock();
+  const batches = [];
+  const handle = createEngine(message => batches.push(message), clock);
+  handle({ type: 'reset', id: 1, config: { kind: 'single', seed: 3 } });
+  handle({ type: 'settings', settings: { params, schedule: [], rate } });
+  handle({ type: 'play' });
+  return { clock, batches, handle };
+};
+
+test('the speed slider spans 1 to MAX_RATE generations per second', () => {
+  expect(generationsPerSecond(0)).toBe(1);
+  expect(generationsPerSecond(100)).toBe(MAX_RATE);
+  expect(generationsPerSecond(60)).toBeGreaterThan(generationsPerSecond(50));
+});
+
+test('steps the generations owed by elapsed time, batched per tick', () => {
+  const { clock, batches } = start(1000);
+  clock.advance(10);
+  clock.advance(10);
+  expect(batches).toHaveLength(2);
+  expect(batches.every(batch => batch.id === 1 && batch.updates.length === 10)).toBe(true);
+  expect(batches[1].updates.map(u => u.generation)).toEqual(Array.from({ length: 10 }, (_, i) => i + 11));
+});
+
+test('slow rates wait until a whole generation is owed', () => {
+  const { clock, batches } = start(10);
+  for (let i = 0; i < 9; i++) clock.advance(10);
+  expect(batches).toHaveLength(0);
+  clock.advance(20);
+  expect(batches).toHaveLength(1);
+});
+
+test('pause stops the clock and reset starts a new run id', () => {
+  const { clock, batches, handle } = start(1000);
+  handle({ type: 'pause' });
+  clock.advance(100);
+  expect(batches).toHaveLength(0);
+
+  handle({ type: 'reset', id: 2, config: { kind: 'single', seed: 3 } });
+  handle({ type: 'play' });
+  clock.advance(5);
+  expect(batches[0]).toMatchObject({ id: 2 });
+  expect(batches[0].updates[0].generation).toBe(1);
+});
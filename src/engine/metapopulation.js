@@ -0,0 +1,119 @@
+import { binomial } from './rng';
+import { toModelParams, deterministicDeltaP } from './simulation';
+
+// Metapopulation of demes (hosts, cities, wards) linked by migration.
+// Each deme has its own Nₑ and selection slider (0-100, same scale as the
+// main sliders); the Gene Flow slider sets the overall migration rate m.
+
+export const TOPOLOGIES = {
+  island: 'Island',
+  'stepping-stone': 'Stepping-stone (ring)',
+  custom: 'Custom matrix'
+};
+
+export const MAX_DEMES = 8;
+
+export const metapopulationPresets = {
+  influenza: {
+    name: 'Influenza A global circulation',
+    topology: 'custom',
+    demes: [
+      { name: 'E/SE Asia', popSize: 80, selection: 70, p0: 0.3 },
+      { name: 'Europe', popSize: 60, selection: 70, p0: 0 },
+      { name: 'N America', popSize: 60, selection: 70, p0: 0 },
+      { name: 'S America', popSize: 50, selection: 70, p0: 0 },
+      { name: 'Oceania', popSize: 40, selection: 70, p0: 0 },
+      { name: 'Africa', popSize: 50, selection: 70, p0: 0 }
+    ],
+    // Rows receive from columns: Asia seeds the other regions, little flows back
+    weights: [
+      [0, 0.05, 0.05, 0.02, 0.05, 0.02],
+      [0.6, 0, 0.3, 0.05, 0.05, 0.1],
+      [0.6, 0.3, 0, 0.2, 0.05, 0.02],
+      [0.4, 0.2, 0.4, 0, 0.05, 0.05],
+      [0.7, 0.1, 0.1, 0.05, 0, 0.02],
+      [0.4, 0.4, 0.1, 0.05, 0.02, 0]
+    ]
+  },
+  hospital: {
+    name: 'Hospital-acquired bacterial spread',
+    topology: 'custom',
+    demes: [
+      { name: 'Community', popSize: 90, selection: 45, p0: 0 },
+      { name: 'Emergency', popSize: 40, selection: 55, p0: 0 },
+      { name: 'Medical ward', popSize: 35, selection: 65, p0: 0 },
+      { name: 'Surgical ward', popSize: 35, selection: 65, p0: 0 },
+      { name: 'ICU', popSize: 20, selection: 90, p0: 0.2 }
+    ],
+    // Patient transfers: ICU exports to wards, wards discharge to the community
+    weights: [
+      [0, 0.05, 0.05, 0.05, 0],
+      [0.8, 0, 0.1, 0.1, 0.1],
+      [0.2, 0.5, 0, 0.2, 0.6],
+      [0.2, 0.3, 0.2, 0, 0.6],
+      [0, 0.4, 0.5, 0.5, 0]
+    ]
+  },
+  islands: {
+    name: 'Symmetric island model',
+    topology: 'island',
+    demes: [1, 2, 3, 4, 5].map(i => ({ name: `Deme ${i}`, popSize: 30, selection: 50, p0: 0.5 }))
+  }
+};
+
+// Relative migration weights w[i][j] (gene pool of deme i drawn from deme j).
+// `config` is { demes, topology, weights }, `weights` only used when custom.
+export const migrationWeights = ({ topology, demes, weights }) => {
+  const n = demes.length;
+  if (topology === 'custom' && weights) return weights;
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+    if (i === j || n < 2) return 0;
+    if (topology === 'stepping-stone') {
+      if (n === 2) return 1;
+      const neighbour = j === (i + 1) % n || j === (i + n - 1) % n;
+      return neighbour ? 0.5 : 0;
+    }
+    return 1 / (n - 1);
+  }));
+};
+
+// Row-stochastic backward migration matrix: M[i][j] = m·w[i][j] off the diagonal
+export const migrationMatrix = (weights, m) => weights.map((row, i) => {
+  const out = row.map((w, j) => (i === j ? 0 : m * w));
+  const total = out.reduce((sum, v) => sum + v, 0);
+  const scale = total > 1 ? 1 / total : 1;
+  return out.map((v, j) => (j === i ? 1 - Math.min(1, total) : v * scale));
+});
+
+export const createMetapopulation = ({ demes }) => ({
+  p: demes.map(d => (d.p0 === undefined ? 0.5 : d.p0)),
+  generation: 0
+});
+
+// Nₑ-weighted mean frequency across demes
+export const globalFrequency = (state, { demes }, params) => {
+  let total = 0;
+  let weight = 0;
+  state.p.forEach((p, i) => {
+    const { Ne } = toModelParams({ ...params, popSize: demes[i].popSize });
+    total += p * Ne;
+    weight += Ne;
+  });
+  return weight ? total / weight : 0;
+};
+
+// One generation: migration, then selection and mutation within each deme,
+// then binomial sampling of 2Nₑ alleles per deme
+export const stepMetapopulation = (state, params, config, rng) => {
+  const { demes } = config;
+  const { m } = toModelParams(params);
+  const M = migrationMatrix(migrationWeights(config), m);
+  const p = state.p.map((_, i) => {
+    const mixed = M[i].reduce((sum, rate, j) => sum + rate * state.p[j], 0);
+    const local = toModelParams({ ...params, popSize: demes[i].popSize, selection: demes[i].selection });
+    const expected = Math.max(0, Math.min(1, mixed + deterministicDeltaP(mixed, { ...local, m: 0 })));
+    const alleles = 2 * local.Ne;
+    return binomial(rng, alleles, expected) / alleles;
+  });
+  return { p, generation: state.generation + 1 };
+};
@@ -0,0 +1,49 @@
+import { createRng } from './rng';
+import {
+  metapopulationPresets, migrationWeights, migrationMatrix,
+  createMetapopulation, stepMetapopulation, globalFrequency
+} from './metapopulation';
+
+const demes = (n, p0 = 0.5) => Array.from({ length: n }, (_, i) => ({ name: `D${i}`, popSize: 100, selection: 50, p0 }));
+
+test('island and stepping-stone weights', () => {
+  const island = migrationWeights({ topology: 'island', demes: demes(5) });
+  expect(island[0]).toEqual([0, 0.25, 0.25, 0.25, 0.25]);
+  const ring = migrationWeights({ topology: 'stepping-stone', demes: demes(5) });
+  expect(ring[0]).toEqual([0, 0.5, 0, 0, 0.5]);
+  expect(ring[2]).toEqual([0, 0.5, 0, 0.5, 0]);
+});
+
+test('migration matrix rows sum to one', () => {
+  const { weights } = metapopulationPresets.hospital;
+  migrationMatrix(weights, 0.1).forEach(row => {
+    expect(row.reduce((sum, v) => sum + v, 0)).toBeCloseTo(1);
+    row.forEach(v => expect(v).toBeGreaterThanOrEqual(0));
+  });
+});
+
+test('gene flow homogenises deme frequencies', () => {
+  const config = {
+    topology: 'island',
+    demes: demes(4).map((d, i) => ({ ...d, p0: i === 0 ? 1 : 0 }))
+  };
+  const params = { mutation: 0, selection: 50, geneFlow: 100 };
+  const rng = createRng(2);
+  let state = createMetapopulation(config);
+  for (let i = 0; i < 300; i++) state = stepMetapopulation(state, params, config, rng);
+  const spread = Math.max(...state.p) - Math.min(...state.p);
+  expect(spread).toBeLessThan(0.02);
+  expect(globalFrequency(state, config, params)).toBeCloseTo(0.25, 1);
+});
+
+test('without migration a deme under selection diverges from neutral ones', () => {
+  const config = {
+    topology: 'island',
+    demes: [{ name: 'Treated', popSize: 100, selection: 100, p0: 0.1 }, { name: 'Untreated', popSize: 100, selection: 50, p0: 0.1 }]
+  };
+  const rng = createRng(4);
+  let state = createMetapopulation(config);
+  for (let i = 0; i < 300; i++) state = stepMetapopulation(state, { mutation: 0, selection: 50, geneFlow: 0 }, config, rng);
+  expect(state.p[0]).toBeGreaterThan(0.95);
+  expect(state.p[1]).toBeCloseTo(0.1, 2);
+});
@@ -0,0 +1,11 @@
+// Population structures the simulator can run
+export const SIMULATION_MODES = {
+  single: '🧬 Single population',
+  linkage: '🔗 Linked loci / segments',
+  metapopulation: '🗺️ Metapopulation',
+  transmission: '🔁 Transmission chain',
+  resistance: '💊 Drug resistance',
+  agents: '🦠 Individual-based',
+  sequences: '🧾 Sequence evolution',
+  landscape: '⛰️ Fitness landscape'
+};
@@ -0,0 +1,109 @@
+import { multinomial } from './rng';
+import { toModelParams } from './simulation';
+
+// Multi-locus haploid genotype model. A haplotype is a bitmask over k loci
+// (or genome segments), bit i set = derived allele at locus i. Selection acts
+// on the first (focal) locus; the others hitchhike through linkage.
+
+export const LOCUS_NAMES = 'ABCDEFGH';
+export const MAX_LOCI = LOCUS_NAMES.length;
+
+// "AB", "Ab", "aB", "ab" ... (upper case = derived allele)
+export const haplotypeLabel = (h, k) => LOCUS_NAMES.slice(0, k).split('').map((name, i) => (
+  h & (1 << i) ? name : name.toLowerCase()
+)).join('');
+
+// Start with two complementary haplotypes at equal frequency (D = 0.25, r² = 1)
+export const createHaplotypeState = (k, p0 = 0.5) => {
+  const x = Array(1 << k).fill(0);
+  x[(1 << k) - 1] = p0;
+  x[0] = 1 - p0;
+  return { k, x, generation: 0 };
+};
+
+// Reassortment / recombination rate from the 0-100 slider (0 to free recombination)
+export const recombinationRate = (recombination) => (recombination / 100) * 0.5;
+
+// Derived-allele frequency at each locus
+export const marginals = (x, k) => {
+  const p = Array(k).fill(0);
+  x.forEach((freq, h) => {
+    for (let i = 0; i < k; i++) {
+      if (h & (1 << i)) p[i] += freq;
+    }
+  });
+  return p;
+};
+
+// Haplotype frequencies under linkage equilibrium with the given marginals
+const productOfMarginals = (p, k) => Array.from({ length: 1 << k }, (_, h) => {
+  let freq = 1;
+  for (let i = 0; i < k; i++) freq *= h & (1 << i) ? p[i] : 1 - p[i];
+  return freq;
+});
+
+// D and r² between loci i and j
+export const linkage = (x, k, i = 0, j = 1) => {
+  const p = marginals(x, k);
+  const both = x.reduce((sum, freq, h) => (h & (1 << i) && h & (1 << j) ? sum + freq : sum), 0);
+  const D = both - p[i] * p[j];
+  const denom = p[i] * (1 - p[i]) * p[j] * (1 - p[j]);
+  return { D, r2: denom > 0 ? (D * D) / denom : 0 };
+};
+
+// Mean r² over every pair of loci (equals r² of A-B when k = 2)
+export const meanR2 = (x, k) => {
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      total += linkage(x, k, i, j).r2;
+      pairs++;
+    }
+  }
+  return pairs ? total / pairs : 0;
+};
+
+// One Wright–Fisher generation: selection, mutation, migration,
+// recombination/reassortment, then multinomial drift over 2Nₑ haplotypes.
+// `options.fitness` replaces the focal-locus selection with a fitness per
+// haplotype; `options.mutable` lists the loci that can mutate (default all);
+// `options.migrantFrequency` replaces pₘ as the migrants' derived-allele frequency.
+export const stepHaplotypes = (state, params, rng, options = {}) => {
+  const { k } = state;
+  const { mu, s, m, pm, Ne } = toModelParams(params);
+  const r = recombinationRate(params.recombination);
+  const { fitness, mutable, migrantFrequency = pm } = options;
+
+  // Per-haplotype fitness, or genic selection on the focal locus (w = 1 + s/2)
+  // matching the single-locus Δp
+  let x = state.x.map((freq, h) => freq * (fitness ? fitness[h] : h & 1 ? 1 + s / 2 : 1));
+  const meanFitness = x.reduce((sum, freq) => sum + freq, 0);
+  // Every present haplotype has zero fitness (e.g. an entered table with a
+  // lethal wild type): no one is fitter, so selection leaves x unchanged
+  x = meanFitness > 0 ? x.map(freq => freq / meanFitness) : state.x;
+
+  // Symmetric mutation at each locus
+  for (let i = 0; i < k; i++) {
+    if (mutable && !mutable[i]) continue;
+    const bit = 1 << i;
+    const before = x;
+    x = before.map((freq, h) => (1 - mu) * freq + mu * before[h ^ bit]);
+  }
+
+  // Migrants carry p_m at every locus, in linkage equilibrium
+  if (m > 0) {
+    const migrants = productOfMarginals(Array(k).fill(migrantFrequency), k);
+    x = x.map((freq, h) => (1 - m) * freq + m * migrants[h]);
+  }
+
+  // Recombination / free reassortment pulls towards linkage equilibrium
+  if (r > 0) {
+    const equilibrium = productOfMarginals(marginals(x, k), k);
+    x = x.map((freq, h) => (1 - r) * freq + r * equilibrium[h]);
+  }
+
+  const alleles = 2 * Ne;
+  const counts = multinomial(rng, alleles, x);
+  return { k, x: counts.map(c => c / alleles), generation: state.generation + 1 };
+};
@@ -0,0 +1,45 @@
+import { createRng } from './rng';
+import { createHaplotypeState, stepHaplotypes, marginals, linkage, meanR2, haplotypeLabel } from './multilocus';
+
+const params = { mutation: 0, selection: 50, geneFlow: 0, popSize: 100 };
+
+const run = (p, k, generations, seed = 1) => {
+  const rng = createRng(seed);
+  let state = createHaplotypeState(k);
+  for (let i = 0; i < generations; i++) state = stepHaplotypes(state, p, rng);
+  return state;
+};
+
+test('labels haplotypes with upper case for derived alleles', () => {
+  expect([0, 1, 2, 3].map(h => haplotypeLabel(h, 2))).toEqual(['ab', 'Ab', 'aB', 'AB']);
+});
+
+test('starts in complete linkage disequilibrium', () => {
+  const { x, k } = createHaplotypeState(2);
+  expect(linkage(x, k).D).toBeCloseTo(0.25);
+  expect(linkage(x, k).r2).toBeCloseTo(1);
+});
+
+test('without recombination LD persists', () => {
+  const { x, k } = run({ ...params, recombination: 0 }, 2, 50);
+  expect(linkage(x, k).r2).toBeCloseTo(1, 5);
+});
+
+test('recombination decays D by (1 - r) per generation', () => {
+  // Ne = 10⁶ makes drift negligible; r = 0.25
+  const { x, k } = run({ ...params, recombination: 50 }, 2, 10);
+  expect(linkage(x, k).D).toBeCloseTo(0.25 * 0.75 ** 10, 3);
+});
+
+test('free reassortment breaks LD among segments', () => {
+  const { x, k } = run({ ...params, recombination: 100 }, 8, 20);
+  expect(x.reduce((sum, f) => sum + f, 0)).toBeCloseTo(1);
+  expect(meanR2(x, k)).toBeLessThan(0.01);
+});
+
+test('selection on the focal locus drags the linked locus along', () => {
+  const { x, k } = run({ ...params, selection: 100, recombination: 0 }, 2, 100);
+  const [pA, pB] = marginals(x, k);
+  expect(pA).toBeGreaterThan(0.9);
+  expect(pB).toBeCloseTo(pA, 5);
+});
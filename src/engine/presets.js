@@ -0,0 +1,90 @@
+import { schedulePresets } from './schedule';
+
+// Pathogen presets (force and population sliders on a 0-100 scale)
+export const pathogenPresets = {
+  influenza: {
+    name: 'Influenza A (Antigenic Drift)',
+    mutation: 60,
+    selection: 70,
+    geneFlow: 65,
+    drift: 35,
+    recombination: 80,
+    popSize: 40,
+    generationTime: 60,
+    description: 'High mutation, strong selection, global gene flow, reassortment',
+    // Antigenic drift: each variant loses its edge as host immunity to it builds
+    selectionModel: {
+      type: 'immunity',
+      equilibrium: 0.5,
+      immunity: { strength: 0.5, buildup: 0.02, waning: 0.005, cross: 0.1 }
+    }
+  },
+  hiv: {
+    name: 'HIV (Within-Host)',
+    mutation: 70,
+    selection: 85,
+    geneFlow: 10,
+    drift: 20,
+    recombination: 30,
+    popSize: 80,
+    generationTime: 90,
+    description: 'Very high mutation, strong selection, large Ne, bottlenecks at transmission',
+    // Settings for the transmission-chain mode
+    transmission: { generationsPerHost: 150, bottleneck: 3 }
+  },
+  bacteria: {
+    name: 'Bacterial Pathogen',
+    mutation: 20,
+    selection: 50,
+    geneFlow: 40,
+    drift: 40,
+    recombination: 60,
+    popSize: 60,
+    generationTime: 40,
+    description: 'Moderate mutation, horizontal gene transfer, variable recombination'
+  },
+  fungal: {
+    name: 'Fungal Pathogen (Mixed)',
+    mutation: 25,
+    selection: 55,
+    geneFlow: 50,
+    drift: 45,
+    recombination: 70,
+    popSize: 50,
+    generationTime: 30,
+    description: 'Mixed sexual/asexual, spore dispersal, seasonal cycles',
+    schedule: schedulePresets.seasonal.schedule
+  },
+  amr: {
+    name: 'Bacterial AMR (Antibiotic Course)',
+    mutation: 20,
+    selection: 50,
+    geneFlow: 0,
+    drift: 40,
+    recombination: 20,
+    popSize: 60,
+    generationTime: 60,
+    description: 'Resistance under antibiotic pressure, fitness cost, compensatory evolution',
+    mode: 'resistance',
+    resistance: { benefit: 0.4, cost: 0.2, compensation: 0.9, compensatoryCost: 0.02, compensatory: true, drug: false, p0: 0.001 },
+    schedule: [
+      { param: 'drug', start: 30, end: 230, value: 100, label: 'Antibiotic course' }
+    ]
+  },
+  hivNrti: {
+    name: 'HIV NRTI Resistance (M184V)',
+    mutation: 70,
+    selection: 50,
+    geneFlow: 0,
+    drift: 20,
+    recombination: 30,
+    popSize: 80,
+    generationTime: 90,
+    description: 'Drug-selected M184V, costly off therapy, limited compensation',
+    mode: 'resistance',
+    resistance: { benefit: 0.6, cost: 0.1, compensation: 0.5, compensatoryCost: 0.05, compensatory: true, drug: false, p0: 0.0001 },
+    schedule: [
+      { param: 'drug', start: 20, end: 320, value: 100, label: 'NRTI therapy' }
+    ]
+  }
+};
@@ -0,0 +1,125 @@
+import { toModelParams } from './simulation';
+
+// Full-run recorder: one row per generation with the focal allele frequency,
+// the slider values in effect (after any schedule) and the model parameters
+// they map to. Mode-specific columns (deme frequencies, ensemble envelope…)
+// come in through `extra`.
+
+export const RECORDED_SLIDERS = ['mutation', 'selection', 'geneFlow', 'drift', 'recombination', 'popSize', 'sourceFreq', 'drug'];
+
+export const recordRow = (generation, p, params, extra = {}) => {
+  const row = { generation, p, model: params.model || 'wright-fisher' };
+  if (params.selectionModel) row.selectionModel = params.selectionModel.type;
+  RECORDED_SLIDERS.forEach(key => {
+    if (params[key] !== undefined) row[key] = params[key];
+  });
+  const { mu, s, m, pm, Ne } = toModelParams(params);
+  return { ...row, mu, s, m, pm, Ne, ...extra };
+};
+
+// Parameters stay constant for long stretches, so the recording keeps them
+// as changes; everything else goes into one typed column per name
+const PARAMETER_COLUMNS = new Set(['model', 'selectionModel', ...RECORDED_SLIDERS, 'mu', 's', 'm', 'pm', 'Ne']);
+
+// The recording stops here so a run left playing cannot exhaust memory
+export const MAX_RECORDED_GENERATIONS = 1000000;
+
+const INITIAL_CAPACITY = 1024;
+
+export const createRecording = (limit = MAX_RECORDED_GENERATIONS) => ({
+  length: 0,
+  limit,
+  capacity: INITIAL_CAPACITY,
+  // Column names in order of first appearance
+  columns: [],
+  numeric: {},
+  // { index, values } whenever a parameter (or non-numeric column) changes
+  changes: [],
+  current: {},
+  full: false
+});
+
+const numericColumn = (capacity) => new Float64Array(capacity).fill(NaN);
+
+const grow = (recording) => {
+  recording.capacity *= 2;
+  Object.keys(recording.numeric).forEach(key => {
+    const column = numericColumn(recording.capacity);
+    column.set(recording.numeric[key]);
+    recording.numeric[key] = column;
+  });
+};
+
+// Appends one recorder row; returns false once the recording is full
+export const appendRow = (recording, row) => {
+  if (recording.length >= recording.limit) {
+    recording.full = true;
+    return false;
+  }
+  if (recording.length === recording.capacity) grow(recording);
+  const index = recording.length;
+  Object.keys(row).forEach(key => {
+    if (recording.numeric[key] || key in recording.current) return;
+    recording.columns.push(key);
+    if (PARAMETER_COLUMNS.has(key) || typeof row[key] !== 'number') recording.current[key] = undefined;
+    else recording.numeric[key] = numericColumn(recording.capacity);
+  });
+  Object.keys(recording.numeric).forEach(key => {
+    const value = row[key];
+    recording.numeric[key][index] = typeof value === 'number' ? value : NaN;
+  });
+  const changed = Object.keys(recording.current).filter(key => row[key] !== recording.current[key]);
+  if (changed.length) {
+    const values = Object.fromEntries(changed.map(key => [key, row[key]]));
+    recording.changes.push({ index, values });
+    Object.assign(recording.current, values);
+  }
+  recording.length = index + 1;
+  return true;
+};
+
+// Calls `visit(row)` for every recorded generation in order
+const eachRow = (recording, visit) => {
+  const state = {};
+  let next = 0;
+  for (let index = 0; index < recording.length; index++) {
+    while (next < recording.changes.length && recording.changes[next].index === index) {
+      Object.assign(state, recording.changes[next].values);
+      next++;
+    }
+    const row = {};
+    recording.columns.forEach(key => {
+      const value = recording.numeric[key] ? recording.numeric[key][index] : state[key];
+      if (value !== undefined && !Number.isNaN(value)) row[key] = value;
+    });
+    visit(row);
+  }
+};
+
+// The recording as one object per generation, for small recordings and tests
+export const recordingRows = (recording) => {
+  const rows = [];
+  eachRow(recording, row => rows.push(row));
+  return rows;
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Exports are built row by row, without materialising every row at once
+export const recordingToCSV = (recording) => {
+  const lines = [recording.columns.join(',')];
+  eachRow(recording, row => lines.push(recording.columns.map(key => csvCell(row[key])).join(',')));
+  return lines.join('\n');
+};
+
+// JSON keeps the scenario alongside the rows so a run can be reproduced
+export const recordingToJSON = (recording, scenario) => {
+  const rows = [];
+  eachRow(recording, row => rows.push(JSON.stringify(row)));
+  const head = JSON.stringify({ scenario, generations: recording.length });
+  return `${head.slice(0, -1)},"rows":[${rows.join(',')}]}`;
+};
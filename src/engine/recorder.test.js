@@ -0,0 +1,55 @@
+import { recordRow, createRecording, appendRow, recordingRows, recordingToCSV, recordingToJSON } from './recorder';
+import { toModelParams } from './simulation';
+
+const params = { model: 'wright-fisher', mutation: 30, selection: 70, geneFlow: 20, drift: 25, recombination: 15, popSize: 40, sourceFreq: 50, drug: 0 };
+
+const record = (rows, limit) => {
+  const recording = createRecording(limit);
+  rows.forEach(row => appendRow(recording, row));
+  return recording;
+};
+
+test('a row holds the frequency, slider values and model parameters', () => {
+  const row = recordRow(3, 0.42, params);
+  const { mu, s, Ne } = toModelParams(params);
+  expect(row).toMatchObject({ generation: 3, p: 0.42, model: 'wright-fisher', selection: 70, drug: 0, mu, s, Ne });
+});
+
+test('the recording gives back the rows it was given', () => {
+  const rows = Array.from({ length: 3000 }, (_, g) => recordRow(g, g / 3000, { ...params, selection: g < 1000 ? 70 : 20 }, g % 2 ? { D: -0.1 } : {}));
+  const recording = record(rows);
+  expect(recordingRows(recording)).toEqual(rows);
+  // Parameters are kept only where they change
+  expect(recording.changes).toHaveLength(2);
+  expect(recording.changes[1]).toMatchObject({ index: 1000, values: { selection: 20 } });
+});
+
+test('extra columns are appended and CSV covers the union of columns', () => {
+  const recording = record([recordRow(0, 0.5, params), recordRow(1, 0.6, params, { p_1: 0.7, p_2: 0.5 })]);
+  const { columns } = recording;
+  expect(columns.slice(0, 3)).toEqual(['generation', 'p', 'model']);
+  expect(columns.slice(-2)).toEqual(['p_1', 'p_2']);
+
+  const lines = recordingToCSV(recording).split('\n');
+  expect(lines).toHaveLength(3);
+  expect(lines[0]).toBe(columns.join(','));
+  expect(lines[1].endsWith(',,')).toBe(true);
+  expect(lines[2].split(',')).toHaveLength(columns.length);
+});
+
+test('CSV quotes cells containing separators', () => {
+  expect(recordingToCSV(record([{ label: 'a, "b"' }]))).toBe('label\n"a, ""b"""');
+});
+
+test('JSON keeps the scenario with the rows', () => {
+  const parsed = JSON.parse(recordingToJSON(record([recordRow(0, 0.5, params)]), { seed: 1 }));
+  expect(parsed.scenario).toEqual({ seed: 1 });
+  expect(parsed.generations).toBe(1);
+  expect(parsed.rows[0].p).toBe(0.5);
+});
+
+test('a full recording stops and says so', () => {
+  const recording = record(Array.from({ length: 5 }, (_, g) => recordRow(g, 0.5, params)), 3);
+  expect(recording.full).toBe(true);
+  expect(recordingRows(recording).map(row => row.generation)).toEqual([0, 1, 2]);
+});
@@ -0,0 +1,54 @@
+import { stepHaplotypes, marginals } from './multilocus';
+
+// Drug-resistance scenario on the two-locus haplotype model: bit 0 is the
+// resistance allele R, bit 1 a compensatory mutation C that offsets R's cost.
+// Drug exposure comes from `params.drug` (0 = off, 100 = on), which the
+// parameter schedule can switch over time.
+
+export const RESISTANCE_LABELS = ['Wild type', 'R', 'C', 'R + C'];
+
+export const defaultResistance = {
+  benefit: 0.3, // fitness loss of susceptible genotypes under drug
+  cost: 0.15, // fitness cost of R without drug
+  compensation: 0.8, // fraction of R's cost removed by C
+  compensatoryCost: 0.02, // cost of C on a susceptible background
+  compensatory: true, // whether C can arise at all
+  drug: false, // drug exposure when no schedule entry applies
+  p0: 0.001 // starting frequency of R
+};
+
+export const drugActive = (params) => params.drug >= 50;
+
+// Relative fitness of [wild type, R, C, R + C]
+export const resistanceFitness = (config, drugOn) => {
+  const susceptible = drugOn ? 1 - config.benefit : 1;
+  return [
+    susceptible,
+    1 - config.cost,
+    susceptible * (1 - config.compensatoryCost),
+    1 - config.cost * (1 - config.compensation)
+  ];
+};
+
+export const createResistanceState = (config) => ({
+  k: 2,
+  x: [1 - config.p0, config.p0, 0, 0],
+  generation: 0
+});
+
+// One generation in a closed population (no gene flow)
+export const stepResistance = (state, params, config, rng) => stepHaplotypes(
+  state,
+  { ...params, geneFlow: 0 },
+  rng,
+  {
+    fitness: resistanceFitness(config, drugActive(params)),
+    mutable: [true, config.compensatory]
+  }
+);
+
+// Frequencies of R and C
+export const resistanceFrequencies = (state) => {
+  const [r, c] = marginals(state.x, state.k);
+  return { r, c };
+};
@@ -0,0 +1,48 @@
+import { createRng } from './rng';
+import { defaultResistance, resistanceFitness, createResistanceState, stepResistance, resistanceFrequencies } from './resistance';
+import { applySchedule } from './schedule';
+
+// Nₑ = 10⁶, μ = 10⁻⁴
+const params = { mutation: 50, selection: 50, geneFlow: 50, recombination: 0, popSize: 100 };
+
+const run = (config, generations, schedule = [], seed = 1) => {
+  const rng = createRng(seed);
+  let state = createResistanceState(config);
+  for (let t = 0; t < generations; t++) {
+    state = stepResistance(state, applySchedule({ ...params, drug: 0 }, schedule, t), config, rng);
+  }
+  return state;
+};
+
+test('fitness ordering on and off drug', () => {
+  const [wt, r, c, rc] = resistanceFitness(defaultResistance, true);
+  expect(r).toBeGreaterThan(wt);
+  expect(rc).toBeGreaterThan(r);
+  expect(c).toBeLessThan(wt);
+  const [wtOff, rOff, , rcOff] = resistanceFitness(defaultResistance, false);
+  expect(wtOff).toBe(1);
+  expect(rOff).toBeCloseTo(0.85);
+  expect(rcOff).toBeCloseTo(0.97);
+});
+
+test('drug exposure sweeps resistance, the cost removes it once the drug stops', () => {
+  const config = { ...defaultResistance, compensatory: false };
+  const treated = run(config, 150, [{ param: 'drug', start: 0, end: 150, value: 100 }]);
+  expect(resistanceFrequencies(treated).r).toBeGreaterThan(0.99);
+
+  const stopped = run(config, 400, [{ param: 'drug', start: 0, end: 150, value: 100 }]);
+  expect(resistanceFrequencies(stopped).r).toBeLessThan(0.01);
+});
+
+test('compensation keeps resistance after the drug stops', () => {
+  const config = { ...defaultResistance, compensatory: true, compensation: 1, compensatoryCost: 0 };
+  const schedule = [{ param: 'drug', start: 0, end: 400, value: 100 }];
+  const { r, c } = resistanceFrequencies(run(config, 700, schedule));
+  expect(c).toBeGreaterThan(0.5);
+  expect(r).toBeGreaterThan(0.5);
+});
+
+test('without the compensatory option C never appears', () => {
+  const state = run({ ...defaultResistance, compensatory: false, drug: true }, 200, [{ param: 'drug', start: 0, value: 100 }]);
+  expect(resistanceFrequencies(state).c).toBe(0);
+});
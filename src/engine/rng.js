@@ -0,0 +1,68 @@
+// Seedable pseudo-random number generator (mulberry32).
+// Returns a function producing floats in [0, 1), like Math.random().
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fresh 32-bit seed for a new run
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+// Standard normal deviate (Box-Muller)
+export const normal = (rng) => {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Binomial(n, p) draw: direct trials for small n, waiting-time method for
+// small means and a rounded normal approximation otherwise
+export const binomial = (rng, n, p) => {
+  if (n <= 0 || p <= 0) return 0;
+  if (p >= 1) return n;
+  if (p > 0.5) return n - binomial(rng, n, 1 - p);
+
+  if (n <= 64) {
+    let x = 0;
+    for (let i = 0; i < n; i++) {
+      if (rng() < p) x++;
+    }
+    return x;
+  }
+
+  const mean = n * p;
+  if (mean < 30) {
+    const limit = -Math.log(1 - p);
+    let x = 0;
+    let sum = 0;
+    while (x < n) {
+      sum += -Math.log(1 - rng()) / (n - x);
+      if (sum > limit) break;
+      x++;
+    }
+    return x;
+  }
+
+  const x = Math.round(mean + Math.sqrt(mean * (1 - p)) * normal(rng));
+  return Math.max(0, Math.min(n, x));
+};
+
+// Multinomial(n, x) draw over the categories of `x` (sequential binomials)
+export const multinomial = (rng, n, x) => {
+  const counts = Array(x.length).fill(0);
+  let remaining = n;
+  let massLeft = 1;
+  for (let h = 0; h < x.length && remaining > 0; h++) {
+    const prob = h === x.length - 1 ? 1 : massLeft > 0 ? Math.min(1, x[h] / massLeft) : 0;
+    counts[h] = binomial(rng, remaining, prob);
+    remaining -= counts[h];
+    massLeft -= x[h];
+  }
+  return counts;
+};
@@ -0,0 +1,276 @@
+import { createRng } from './rng';
+import { initialState, step } from './simulation';
+import { createEnsemble, stepEnsemble, summarizeEnsemble } from './ensemble';
+import { createHaplotypeState, stepHaplotypes, marginals, linkage, meanR2, haplotypeLabel } from './multilocus';
+import { createMetapopulation, stepMetapopulation, globalFrequency } from './metapopulation';
+import { createTransmissionChain, stepTransmissionChain } from './transmission';
+import { createResistanceState, stepResistance, resistanceFrequencies, resistanceFitness, drugActive } from './resistance';
+import { createAgents, stepAgents, agentFrequency } from './agents';
+import { createSequenceState, stepSequences, sequenceStats, sequenceSnapshot } from './sequences';
+import { createLandscapeState, stepLandscape, landscapeSummary, meanFitness } from './landscape';
+import { sampleGenealogy } from './genealogy';
+import { createEpidemic, stepEpidemic, epidemicNe } from './epidemic';
+import { applySchedule } from './schedule';
+import { recordRow, createRecording, appendRow } from './recorder';
+
+// One run of any simulation mode, independent of React so it can be stepped
+// inside a Web Worker. `config` fixes what a run is made of: { kind, seed,
+// replicates, loci, meta, resistance, agentCount, sequences, landscape };
+// `settings` may change while it runs: { params (sliders, model,
+// recurrentMutation, drug), schedule, meta, transmission, resistance,
+// epidemic, sequences, landscape }.
+
+// Panels that draw a sliding window keep this many generations
+export const PANEL_HISTORY = 100;
+// Host immunity cycles are slower, so its panel keeps a longer window
+export const IMMUNITY_HISTORY = 500;
+// Sequence summaries, for the logo's time slider and the π and dN/dS chart
+export const SEQUENCE_HISTORY = 1000;
+// Whole-run series (trajectory, ensemble envelope, mean fitness, epidemic)
+// keep the newest this many generations, so a run left playing stays bounded
+export const RUN_HISTORY = 100000;
+
+// Kinds whose population size an epidemic can drive
+export const EPIDEMIC_KINDS = ['single', 'ensemble', 'agents'];
+
+const immunityColumns = (immunity) => (immunity ? { immunityFocal: immunity.focal, immunityWild: immunity.wild } : {});
+
+// Which model a run steps: the population structure, or the ensemble of
+// single-population replicates
+export const runKind = (mode, ensemble) => (mode === 'single' && ensemble ? 'ensemble' : mode);
+
+// Haplotype frequencies with linkage statistics, for the haplotype plots
+export const haplotypePoint = ({ x, k }) => ({ x, D: linkage(x, k).D, r2: meanR2(x, k) });
+
+const createState = ({ kind, replicates, loci, meta, resistance, agentCount, sequences, landscape }, rng) => {
+  switch (kind) {
+    case 'ensemble': return createEnsemble(replicates);
+    case 'linkage': return createHaplotypeState(loci);
+    case 'metapopulation': return createMetapopulation(meta);
+    case 'transmission': return createTransmissionChain();
+    case 'resistance': return createResistanceState(resistance);
+    case 'agents': return createAgents(agentCount, 0.5, rng);
+    case 'sequences': return createSequenceState(sequences, agentCount);
+    case 'landscape': return createLandscapeState(landscape);
+    default: return initialState();
+  }
+};
+
+export const createRun = (config) => {
+  const rng = createRng(config.seed);
+  return { kind: config.kind, rng, state: createState(config, rng) };
+};
+
+const generationOf = (kind, state) => (kind === 'ensemble' ? state.states[0].generation : state.generation);
+
+// What the UI needs from one generation, including its recorder row;
+// `params` are the (scheduled) values that produced it
+const describe = (kind, state, params, settings) => {
+  const generation = generationOf(kind, state);
+  switch (kind) {
+    case 'ensemble': {
+      const summary = summarizeEnsemble(state);
+      const { lo, hi, fixed, lost } = summary;
+      return { generation, p: summary.mean, summary, row: recordRow(generation, summary.mean, params, { lo, hi, fixed, lost }) };
+    }
+    case 'linkage': {
+      const point = haplotypePoint(state);
+      const p = marginals(state.x, state.k)[0];
+      return { generation, p, haplotype: point, row: recordRow(generation, p, params, { D: point.D, r2: point.r2 }) };
+    }
+    case 'metapopulation': {
+      const p = globalFrequency(state, settings.meta, params);
+      const demes = Object.fromEntries(state.p.map((q, i) => [`p_${i + 1}`, q]));
+      return { generation, p, demes: state.p, row: recordRow(generation, p, params, demes) };
+    }
+    case 'transmission': {
+      const last = state.transmissions[state.transmissions.length - 1];
+      return {
+        generation,
+        p: state.p,
+        host: state.host,
+        hostGeneration: state.hostGeneration,
+        transmission: last && last.generation === generation ? last : null,
+        row: recordRow(generation, state.p, params, { host: state.host + 1 })
+      };
+    }
+    case 'resistance': {
+      const { r, c } = resistanceFrequencies(state);
+      const w = meanFitness(state.x, resistanceFitness(settings.resistance, drugActive(params)));
+      return { generation, p: r, resistance: haplotypePoint(state), meanFitness: w, row: recordRow(generation, r, params, { compensatory: c, meanFitness: w }) };
+    }
+    case 'agents': {
+      const p = agentFrequency(state);
+      const { mutations, migrants } = state.counts;
+      return {
+        generation,
+        p,
+        immunity: state.immunity,
+        row: recordRow(generation, p, params, { N: state.agents.length, mutations, migrants, ...immunityColumns(state.immunity) })
+      };
+    }
+    case 'sequences': {
+      const { p, pi, segregating, dN, dS, dNdS, sites } = sequenceStats(state);
+      const { mutations, migrants, recombinants } = state.counts;
+      return {
+        generation,
+        p,
+        sequence: { generation, pi, segregating, dN, dS, dNdS, sites },
+        row: recordRow(generation, p, params, { N: state.population.length, pi, segregating, dN, dS, dNdS, mutations, migrants, recombinants })
+      };
+    }
+    case 'landscape': {
+      const { p, meanFitness: w } = landscapeSummary(state, settings.landscape);
+      const genotypes = Object.fromEntries(state.x.map((freq, h) => [`x_${haplotypeLabel(h, state.k)}`, freq]));
+      return { generation, p, genotypes: state.x, meanFitness: w, row: recordRow(generation, p, params, { meanFitness: w, ...genotypes }) };
+    }
+    default:
+      return {
+        generation,
+        p: state.p,
+        origin: state.origin,
+        event: state.event,
+        immunity: state.immunity,
+        row: recordRow(generation, state.p, params, immunityColumns(state.immunity))
+      };
+  }
+};
+
+// Data too large to send every generation, attached only to the newest
+// update of a batch: the individuals and their sampled genealogy, or the
+// consensus, site frequencies and sampled sequences
+export const snapshotOf = ({ kind, state }) => {
+  if (kind === 'agents') return { agents: state.agents, counts: state.counts, genealogy: sampleGenealogy(state.ancestry) };
+  if (kind === 'sequences') return sequenceSnapshot(state);
+  return null;
+};
+
+const epidemicOn = (kind, settings) => Boolean(settings.epidemic && settings.epidemic.enabled) && EPIDEMIC_KINDS.includes(kind);
+
+// Slider parameters with Nₑ set by the infected hosts
+const coupledParams = (params, epidemic, config) => (epidemic ? { ...params, Ne: epidemicNe(epidemic, config) } : params);
+
+// The host compartments behind a generation, in its update and recorder row
+const withEpidemic = (update, epidemic, config) => {
+  if (!epidemic) return update;
+  const { S, E, I, R } = epidemic;
+  return {
+    ...update,
+    epidemic: { generation: update.generation, S, E, I, R, Ne: epidemicNe(epidemic, config) },
+    row: { ...update.row, susceptible: S, exposed: E, infected: I, recovered: R }
+  };
+};
+
+// Generation 0 of a fresh run
+export const initialUpdate = (run, settings) => {
+  const epidemic = epidemicOn(run.kind, settings) ? run.epidemic || createEpidemic(settings.epidemic) : null;
+  const params = applySchedule(coupledParams(settings.params, epidemic, settings.epidemic), settings.schedule, 0);
+  return {
+    ...withEpidemic(describe(run.kind, run.state, params, settings), epidemic, settings.epidemic),
+    snapshot: snapshotOf(run)
+  };
+};
+
+const advance = (kind, state, params, settings, rng) => {
+  switch (kind) {
+    case 'ensemble': return stepEnsemble(state, params, rng);
+    case 'linkage': return stepHaplotypes(state, params, rng);
+    case 'metapopulation': return stepMetapopulation(state, params, settings.meta, rng);
+    case 'transmission': return stepTransmissionChain(state, params, settings.transmission, rng);
+    case 'resistance': return stepResistance(state, params, settings.resistance, rng);
+    case 'agents': return stepAgents(state, params, rng);
+    case 'sequences': return stepSequences(state, params, settings.sequences, rng);
+    case 'landscape': return stepLandscape(state, params, settings.landscape, rng);
+    default: return step(state, params, rng);
+  }
+};
+
+// One generation; returns the next run and its update. A coupled epidemic
+// advances first and its infected hosts set Nₑ for the generation; it starts
+// afresh whenever the coupling is switched on.
+export const stepRun = (run, settings) => {
+  const epidemic = epidemicOn(run.kind, settings)
+    ? stepEpidemic(run.epidemic || createEpidemic(settings.epidemic), settings.epidemic)
+    : null;
+  const params = applySchedule(coupledParams(settings.params, epidemic, settings.epidemic), settings.schedule, generationOf(run.kind, run.state));
+  const state = advance(run.kind, run.state, params, settings, run.rng);
+  return {
+    run: { ...run, state, epidemic },
+    update: withEpidemic(describe(run.kind, state, params, settings), epidemic, settings.epidemic)
+  };
+};
+
+const pushWindow = (list, item, size = PANEL_HISTORY) => {
+  list.push(item);
+  if (list.length > size) list.splice(0, list.length - size);
+};
+
+// Everything the UI draws for a run. Updates are appended in place, so a
+// batch of thousands of generations costs one render.
+export const createRunView = (kind, first) => {
+  const view = {
+    kind,
+    generation: 0,
+    p: first.p,
+    // Starting frequency, for the theory overlay once the history is trimmed
+    initialP: first.p,
+    origin: 0,
+    history: [],
+    recording: createRecording(),
+    events: [],
+    ensembleHistory: [],
+    haplotypeHistory: [],
+    metaHistory: [],
+    resistanceHistory: [],
+    immunityHistory: [],
+    epidemicHistory: [],
+    sequenceHistory: [],
+    landscapeHistory: [],
+    fitnessHistory: [],
+    snapshot: null,
+    chain: { host: 0, hostGeneration: 0, transmissions: [] }
+  };
+  applyUpdates(view, [first]);
+  return view;
+};
+
+export const applyUpdates = (view, updates) => {
+  updates.forEach(update => {
+    view.generation = update.generation;
+    view.p = update.p;
+    view.history.push(update.p);
+    appendRow(view.recording, update.row);
+    if (update.origin !== undefined) view.origin = update.origin;
+    if (update.event) view.events.push(update.event);
+    if (update.summary) view.ensembleHistory.push(update.summary);
+    if (update.haplotype) pushWindow(view.haplotypeHistory, update.haplotype);
+    if (update.demes) pushWindow(view.metaHistory, update.demes);
+    if (update.resistance) pushWindow(view.resistanceHistory, update.resistance);
+    if (update.sequence) pushWindow(view.sequenceHistory, update.sequence, SEQUENCE_HISTORY);
+    if (update.genotypes) pushWindow(view.landscapeHistory, update.genotypes);
+    if (update.meanFitness !== undefined) view.fitnessHistory.push(update.meanFitness);
+    if (update.snapshot) view.snapshot = update.snapshot;
+    if (update.epidemic) view.epidemicHistory.push(update.epidemic);
+    if (update.immunity) {
+      pushWindow(view.immunityHistory, { generation: update.generation, p: update.p, ...update.immunity }, IMMUNITY_HISTORY);
+    }
+    if (update.host !== undefined) {
+      view.chain = {
+        host: update.host,
+        hostGeneration: update.hostGeneration,
+        transmissions: view.chain.transmissions
+      };
+      if (update.transmission) view.chain.transmissions.push(update.transmission);
+    }
+  });
+  [view.history, view.ensembleHistory, view.fitnessHistory, view.epidemicHistory].forEach(list => {
+    if (list.length > RUN_HISTORY) list.splice(0, list.length - RUN_HISTORY);
+  });
+  // Markers before the kept window could no longer be drawn
+  const oldest = view.generation - (view.history.length - 1);
+  [view.events, view.chain.transmissions].forEach(list => {
+    const kept = list.findIndex(item => item.generation >= oldest);
+    if (kept !== 0) list.splice(0, kept < 0 ? list.length : kept);
+  });
+  return view;
+};
@@ -0,0 +1,126 @@
+import { runKind, createRun, initialUpdate, stepRun, snapshotOf, createRunView, applyUpdates, PANEL_HISTORY, SEQUENCE_HISTORY, RUN_HISTORY } from './runner';
+import { recordingRows } from './recorder';
+import { defaultTransmission } from './transmission';
+import { defaultResistance } from './resistance';
+import { metapopulationPresets } from './metapopulation';
+import { agentCount } from './agents';
+import { defaultSequences, SEQUENCE_TEMPLATES, sequenceCount } from './sequences';
+import { LANDSCAPE_PRESETS } from './landscape';
+import { defaultEpidemic, createEpidemic, stepEpidemic, epidemicNe } from './epidemic';
+
+const params = { model: 'wright-fisher', mutation: 30, selection: 40, geneFlow: 20, drift: 25, recombination: 15, popSize: 20, sourceFreq: 50, drug: 0 };
+const settings = {
+  params, schedule: [], meta: metapopulationPresets.islands, transmission: { ...defaultTransmission, generationsPerHost: 3 }, resistance: defaultResistance,
+  sequences: defaultSequences, landscape: LANDSCAPE_PRESETS.resistance.config
+};
+const config = (kind) => ({ kind, seed: 7, replicates: 20, loci: 2, meta: settings.meta, resistance: settings.resistance, agentCount: 40, sequences: settings.sequences, landscape: settings.landscape });
+
+const play = (kind, generations, runSettings = settings) => {
+  let run = createRun(config(kind));
+  const view = createRunView(kind, initialUpdate(run, runSettings));
+  for (let g = 0; g < generations; g++) {
+    const next = stepRun(run, runSettings);
+    run = next.run;
+    applyUpdates(view, [{ ...next.update, snapshot: snapshotOf(run) }]);
+  }
+  return view;
+};
+
+test('the ensemble runs only for the single-population mode', () => {
+  expect(runKind('single', true)).toBe('ensemble');
+  expect(runKind('single', false)).toBe('single');
+  expect(runKind('linkage', true)).toBe('linkage');
+});
+
+test('every mode records one row per generation', () => {
+  ['single', 'ensemble', 'linkage', 'metapopulation', 'transmission', 'resistance', 'agents', 'sequences', 'landscape'].forEach(kind => {
+    const view = play(kind, 10);
+    expect(view.generation).toBe(10);
+    expect(view.history).toHaveLength(11);
+    expect(recordingRows(view.recording).map(row => row.generation)).toEqual(Array.from({ length: 11 }, (_, g) => g));
+    expect(view.p).toBe(view.history[10]);
+  });
+});
+
+test('the same seed replays the same run', () => {
+  expect(play('single', 30).history).toEqual(play('single', 30).history);
+});
+
+test('mode-specific panels are fed and windowed', () => {
+  expect(play('ensemble', 5).ensembleHistory).toHaveLength(6);
+  expect(play('linkage', PANEL_HISTORY + 20).haplotypeHistory).toHaveLength(PANEL_HISTORY);
+  expect(play('metapopulation', 5).metaHistory[5]).toHaveLength(settings.meta.demes.length);
+  expect(play('transmission', 7).chain).toMatchObject({ host: 2, hostGeneration: 1 });
+  expect(play('transmission', 7).chain.transmissions.map(t => t.generation)).toEqual([3, 6]);
+});
+
+test('the individual-based view keeps the latest snapshot', () => {
+  const view = play('agents', 3);
+  const { agents } = view.snapshot;
+  expect(agents).toHaveLength(agentCount(params));
+  expect(view.p).toBe(agents.filter(a => a.allele === 1).length / agents.length);
+});
+
+test('the sequence view keeps summaries over time and the latest consensus', () => {
+  const view = play('sequences', 5);
+  expect(view.sequenceHistory.map(point => point.generation)).toEqual([0, 1, 2, 3, 4, 5]);
+  expect(view.sequenceHistory[0]).toMatchObject({ pi: 0, dNdS: null });
+  expect(view.sequenceHistory[5].sites.map(site => site.codon)).toEqual(defaultSequences.sites);
+  expect(view.snapshot.consensus).toHaveLength(SEQUENCE_TEMPLATES.ha.sequence.length);
+  expect(recordingRows(view.recording)[5]).toMatchObject({ N: sequenceCount(params), pi: view.sequenceHistory[5].pi });
+  expect(play('sequences', SEQUENCE_HISTORY + 5).sequenceHistory).toHaveLength(SEQUENCE_HISTORY);
+});
+
+test('landscape and resistance runs track mean fitness every generation', () => {
+  const view = play('landscape', PANEL_HISTORY + 10);
+  expect(view.fitnessHistory).toHaveLength(PANEL_HISTORY + 11);
+  expect(view.fitnessHistory[0]).toBe(1);
+  expect(recordingRows(view.recording).map(row => row.meanFitness)).toEqual(view.fitnessHistory);
+  expect(view.landscapeHistory).toHaveLength(PANEL_HISTORY);
+  expect(view.landscapeHistory[PANEL_HISTORY - 1]).toHaveLength(16);
+  expect(recordingRows(view.recording)[0]).toMatchObject({ x_abcd: 1, x_ABCD: 0, p: 0 });
+  expect(play('resistance', 5).fitnessHistory).toHaveLength(6);
+  expect(play('single', 5).fitnessHistory).toHaveLength(0);
+});
+
+test('a coupled epidemic sets Nₑ each generation', () => {
+  const epidemic = { ...defaultEpidemic, enabled: true };
+  const coupled = { ...settings, epidemic };
+  let state = createEpidemic(epidemic);
+  const expected = [epidemicNe(state, epidemic)];
+  for (let g = 0; g < 20; g++) {
+    state = stepEpidemic(state, epidemic);
+    expected.push(epidemicNe(state, epidemic));
+  }
+  ['single', 'ensemble', 'agents'].forEach(kind => {
+    const view = play(kind, 20, coupled);
+    expect(view.epidemicHistory.map(e => e.Ne)).toEqual(expected);
+    expect(recordingRows(view.recording).map(row => row.Ne)).toEqual(expected);
+    expect(recordingRows(view.recording)[20].infected).toBe(state.I);
+  });
+  expect(play('agents', 20, coupled).snapshot.agents).toHaveLength(2 * expected[20]);
+  // Other population structures and a disabled coupling keep the slider's Nₑ
+  expect(play('linkage', 5, coupled).epidemicHistory).toHaveLength(0);
+  expect(play('single', 5, { ...settings, epidemic: defaultEpidemic }).epidemicHistory).toHaveLength(0);
+});
+
+test('whole-run series keep the newest generations once a run outgrows them', () => {
+  const update = (generation) => ({
+    generation,
+    p: generation / (RUN_HISTORY * 2),
+    summary: { generation, mean: 0.5, samples: [] },
+    meanFitness: 1,
+    epidemic: { generation, I: 1, Ne: 10 },
+    event: { generation, type: 'lost' },
+    row: { generation }
+  });
+  const view = createRunView('ensemble', update(0));
+  const extra = 50;
+  applyUpdates(view, Array.from({ length: RUN_HISTORY + extra }, (_, i) => update(i + 1)));
+  [view.history, view.ensembleHistory, view.fitnessHistory, view.epidemicHistory].forEach(list => expect(list).toHaveLength(RUN_HISTORY));
+  expect(view.ensembleHistory[0].generation).toBe(extra + 1);
+  expect(view.events).toHaveLength(RUN_HISTORY);
+  expect(view.events[0].generation).toBe(extra + 1);
+  expect(view.history[0]).toBe(update(extra + 1).p);
+  expect(view.initialP).toBe(0);
+});
@@ -0,0 +1,131 @@
+// Time-varying parameter schedules. A schedule is a list of entries applied in
+// order on top of the slider values (0-100 scale):
+//   { param, start, end?, value, label }                       step change
+//   { param, start, end?, type: 'sine', amplitude, period, label }  seasonal cycle
+// `end` is exclusive; omit it for a change that lasts for the rest of the run.
+
+// `drug` switches drug exposure in the resistance mode (0 = off, 100 = on)
+export const SCHEDULABLE = ['mutation', 'selection', 'geneFlow', 'drift', 'recombination', 'popSize', 'sourceFreq', 'drug'];
+
+export const SCHEDULE_COLORS = {
+  mutation: '#ef4444',
+  selection: '#22c55e',
+  geneFlow: '#3b82f6',
+  drift: '#6b7280',
+  recombination: '#a855f7',
+  popSize: '#f97316',
+  sourceFreq: '#0ea5e9',
+  drug: '#e11d48'
+};
+
+export const schedulePresets = {
+  treatment: {
+    name: 'Antiviral treatment at t=50',
+    schedule: [
+      { param: 'selection', start: 50, value: 90, label: 'Treatment' }
+    ]
+  },
+  vaccination: {
+    name: 'Vaccine campaign',
+    schedule: [
+      { param: 'selection', start: 100, end: 250, value: 80, label: 'Vaccine campaign' },
+      { param: 'popSize', start: 100, end: 250, value: 25, label: 'Reduced incidence' }
+    ]
+  },
+  seasonal: {
+    name: 'Seasonal cycles (fungal)',
+    schedule: [
+      { param: 'selection', start: 0, type: 'sine', amplitude: 25, period: 52, label: 'Seasonal selection' },
+      { param: 'popSize', start: 0, type: 'sine', amplitude: 20, period: 52, label: 'Seasonal Nₑ' }
+    ]
+  }
+};
+
+const isActive = (entry, generation) => (
+  generation >= entry.start && (entry.end === undefined || entry.end === null || generation < entry.end)
+);
+
+// Slider values in effect at `generation`
+export const applySchedule = (params, schedule, generation) => {
+  if (!schedule || schedule.length === 0) return params;
+  const next = { ...params };
+  schedule.forEach(entry => {
+    if (!isActive(entry, generation)) return;
+    const value = entry.type === 'sine'
+      ? next[entry.param] + entry.amplitude * Math.sin((2 * Math.PI * (generation - entry.start)) / entry.period)
+      : entry.value;
+    next[entry.param] = Math.max(0, Math.min(100, value));
+  });
+  return next;
+};
+
+const ENTRY_FIELDS = ['param', 'start', 'end', 'type', 'value', 'amplitude', 'period', 'label'];
+
+// Validate a schedule parsed from JSON; throws with a readable message and
+// returns copies holding only the known fields
+export const validateSchedule = (schedule) => {
+  if (!Array.isArray(schedule)) throw new Error('Schedule must be a JSON array of entries');
+  return schedule.map((entry, i) => {
+    const where = `Entry ${i + 1}`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+    if (!SCHEDULABLE.includes(entry.param)) {
+      throw new Error(`${where}: "param" must be one of ${SCHEDULABLE.join(', ')}`);
+    }
+    if (!Number.isFinite(entry.start) || entry.start < 0) throw new Error(`${where}: "start" must be a generation ≥ 0`);
+    if (entry.end !== undefined && entry.end !== null && !(Number.isFinite(entry.end) && entry.end > entry.start)) {
+      throw new Error(`${where}: "end" must be after "start"`);
+    }
+    if (entry.type === 'sine') {
+      if (!Number.isFinite(entry.amplitude)) throw new Error(`${where}: "amplitude" must be a number`);
+      if (!Number.isFinite(entry.period) || entry.period < 1) throw new Error(`${where}: "period" must be at least 1 generation`);
+    } else if (entry.type !== undefined && entry.type !== 'step') {
+      throw new Error(`${where}: "type" must be "step" or "sine"`);
+    } else if (!Number.isFinite(entry.value)) {
+      throw new Error(`${where}: "value" must be a number on the 0-100 slider scale`);
+    }
+    if (entry.label !== undefined && typeof entry.label !== 'string') throw new Error(`${where}: "label" must be text`);
+    return ENTRY_FIELDS.reduce((acc, key) => {
+      if (entry[key] !== undefined && entry[key] !== null) acc[key] = entry[key];
+      return acc;
+    }, {});
+  });
+};
+
+export const parseSchedule = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  return validateSchedule(parsed);
+};
+
+// More half-cycles than this in one entry's window are drawn as one band, as
+// the plot could not show them apart
+export const MAX_CYCLE_REGIONS = 100;
+
+// Shaded plot regions within [from, to]: the active window of step entries,
+// the positive half of each cycle for sine entries
+export const scheduleRegions = (schedule, from, to) => {
+  const regions = [];
+  (schedule || []).forEach((entry, i) => {
+    const start = Math.max(from, entry.start);
+    const end = Math.min(to, entry.end === undefined || entry.end === null ? to : entry.end);
+    if (end <= start) return;
+    const base = { key: i, color: SCHEDULE_COLORS[entry.param], label: entry.label || entry.param };
+
+    if (entry.type !== 'sine' || (end - start) / entry.period > MAX_CYCLE_REGIONS) {
+      regions.push({ ...base, start, end });
+      return;
+    }
+    const half = entry.period / 2;
+    const firstCycle = Math.floor((start - entry.start) / entry.period);
+    for (let c = firstCycle; entry.start + c * entry.period < end; c++) {
+      const peakStart = Math.max(start, entry.start + c * entry.period);
+      const peakEnd = Math.min(end, entry.start + c * entry.period + half);
+      if (peakEnd > peakStart) regions.push({ ...base, key: `${i}-${c}`, start: peakStart, end: peakEnd });
+    }
+  });
+  return regions;
+};
@@ -0,0 +1,51 @@
+import { applySchedule, parseSchedule, scheduleRegions, schedulePresets, MAX_CYCLE_REGIONS } from './schedule';
+
+const params = { selection: 50, popSize: 50 };
+
+test('step entries apply inside their window only', () => {
+  const { schedule } = schedulePresets.vaccination;
+  expect(applySchedule(params, schedule, 99)).toEqual(params);
+  expect(applySchedule(params, schedule, 100)).toEqual({ selection: 80, popSize: 25 });
+  expect(applySchedule(params, schedule, 250)).toEqual(params);
+});
+
+test('open-ended entries last for the rest of the run', () => {
+  const { schedule } = schedulePresets.treatment;
+  expect(applySchedule(params, schedule, 10000).selection).toBe(90);
+});
+
+test('sine entries oscillate around the slider value and stay on the 0-100 scale', () => {
+  const schedule = [{ param: 'selection', start: 0, type: 'sine', amplitude: 80, period: 40 }];
+  expect(applySchedule(params, schedule, 0).selection).toBeCloseTo(50);
+  expect(applySchedule(params, schedule, 10).selection).toBe(100);
+  expect(applySchedule(params, schedule, 30).selection).toBe(0);
+});
+
+test('parseSchedule reports readable errors', () => {
+  expect(() => parseSchedule('{')).toThrow(/Invalid JSON/);
+  expect(() => parseSchedule('{}')).toThrow(/array/);
+  expect(() => parseSchedule('[{"param":"speed","start":0,"value":1}]')).toThrow(/Entry 1: "param"/);
+  expect(() => parseSchedule('[{"param":"selection","start":10,"end":5,"value":1}]')).toThrow(/"end"/);
+  expect(() => parseSchedule('[{"param":"selection","start":0,"type":"sine","amplitude":5}]')).toThrow(/"period"/);
+  expect(() => parseSchedule('[{"param":"selection","start":0,"type":"sine","amplitude":5,"period":0.001}]')).toThrow(/"period"/);
+  expect(() => parseSchedule('[{"param":"selection","start":0,"value":70,"label":{"a":1}}]')).toThrow(/"label"/);
+  expect(parseSchedule('[{"param":"selection","start":0,"value":70}]')).toHaveLength(1);
+});
+
+test('validated entries keep only the known fields', () => {
+  expect(parseSchedule('[{"param":"selection","start":0,"end":null,"value":70,"label":"On","extra":[1]}]'))
+    .toEqual([{ param: 'selection', start: 0, value: 70, label: 'On' }]);
+});
+
+test('regions cover step windows and the positive half of each cycle', () => {
+  expect(scheduleRegions(schedulePresets.treatment.schedule, 0, 100))
+    .toEqual([expect.objectContaining({ start: 50, end: 100, label: 'Treatment' })]);
+  const seasonal = scheduleRegions([{ param: 'popSize', start: 0, type: 'sine', amplitude: 10, period: 20 }], 0, 50);
+  expect(seasonal.map(r => [r.start, r.end])).toEqual([[0, 10], [20, 30], [40, 50]]);
+});
+
+test('too many cycles to tell apart are drawn as one band', () => {
+  const cycles = scheduleRegions(schedulePresets.seasonal.schedule.slice(0, 1), 0, 100000);
+  expect(cycles).toEqual([expect.objectContaining({ start: 0, end: 100000, label: 'Seasonal selection' })]);
+  expect(scheduleRegions(schedulePresets.seasonal.schedule.slice(0, 1), 0, 52 * 100).length).toBeLessThanOrEqual(MAX_CYCLE_REGIONS);
+});
@@ -0,0 +1,57 @@
+// Selection models. Each gives the advantage of the focal allele over the wild
+// type at frequency p, `advantage`, which enters Δp as p(1-p)·advantage/2 (the
+// directional term of the Δp model). `s` is the Selection slider's
+// coefficient; a model is { type, equilibrium, immunity }.
+
+export const SELECTION_MODELS = {
+  directional: 'Directional',
+  balancing: 'Balancing (overdominance)',
+  frequency: 'Negative frequency-dependent',
+  immunity: 'Host immunity (antigenic escape)'
+};
+
+// `equilibrium` is the frequency balancing and frequency-dependent selection
+// pull towards. Immunity: hosts infected by a strain become immune to it at
+// rate `buildup` (and to the other strain at `cross` × that), immunity wanes
+// at rate `waning`, and a strain's advantage falls by `strength` × the
+// difference in immunity against it.
+export const defaultSelectionModel = {
+  type: 'directional',
+  equilibrium: 0.5,
+  immunity: { strength: 0.5, buildup: 0.02, waning: 0.005, cross: 0.1 }
+};
+
+export const initialImmunity = () => ({ focal: 0, wild: 0 });
+
+export const selectionAdvantage = (p, s, model = defaultSelectionModel, immunity = null) => {
+  switch (model.type) {
+    case 'balancing': {
+      // Diploid overdominance with homozygote costs t₁ = s(1-p̂), t₂ = s·p̂,
+      // stable at p̂ for s > 0 (underdominance for s < 0); mean fitness
+      // below 1 is the genetic load
+      const t1 = s * (1 - model.equilibrium);
+      const t2 = s * model.equilibrium;
+      const meanFitness = 1 - t1 * p * p - t2 * (1 - p) * (1 - p);
+      return (2 * (t2 * (1 - p) - t1 * p)) / meanFitness;
+    }
+    case 'frequency':
+      // Rare-type advantage: fitness falls linearly as a type becomes common
+      return 2 * s * (model.equilibrium - p);
+    case 'immunity': {
+      const { focal, wild } = immunity || initialImmunity();
+      return s + model.immunity.strength * (wild - focal);
+    }
+    default:
+      return s;
+  }
+};
+
+// Host immunity after one generation of infections at focal frequency p
+export const updateImmunity = (immunity, p, { buildup, waning, cross }) => {
+  const next = (level, own, other) => Math.min(1, Math.max(0,
+    level + buildup * (own + cross * other) * (1 - level) - waning * level
+  ));
+  return { focal: next(immunity.focal, p, 1 - p), wild: next(immunity.wild, 1 - p, p) };
+};
+
+export const usesImmunity = (model) => Boolean(model) && model.type === 'immunity';
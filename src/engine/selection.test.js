@@ -0,0 +1,65 @@
+import { selectionAdvantage, updateImmunity, defaultSelectionModel } from './selection';
+import { initialState, step } from './simulation';
+import { createRng } from './rng';
+
+const model = (type, extra = {}) => ({ ...defaultSelectionModel, type, ...extra });
+
+test('directional selection is the plain coefficient', () => {
+  expect(selectionAdvantage(0.2, 0.1)).toBe(0.1);
+  expect(selectionAdvantage(0.9, 0.1, model('directional'))).toBe(0.1);
+});
+
+test('balancing and frequency-dependent selection pull towards the equilibrium', () => {
+  ['balancing', 'frequency'].forEach(type => {
+    const m = model(type, { equilibrium: 0.3 });
+    expect(selectionAdvantage(0.1, 0.1, m)).toBeGreaterThan(0);
+    expect(selectionAdvantage(0.3, 0.1, m)).toBeCloseTo(0);
+    expect(selectionAdvantage(0.6, 0.1, m)).toBeLessThan(0);
+    // A negative coefficient makes the equilibrium unstable
+    expect(selectionAdvantage(0.6, -0.1, m)).toBeGreaterThan(0);
+  });
+  expect(selectionAdvantage(0.5, 0.1, model('frequency'))).toBe(0);
+  expect(selectionAdvantage(0, 0.1, model('frequency'))).toBeCloseTo(0.1);
+});
+
+test('immunity to a strain lowers its advantage', () => {
+  const m = model('immunity');
+  expect(selectionAdvantage(0.5, 0.05, m)).toBe(0.05);
+  expect(selectionAdvantage(0.5, 0.05, m, { focal: 0.5, wild: 0 })).toBeCloseTo(0.05 - 0.5 * m.immunity.strength);
+  expect(selectionAdvantage(0.5, 0.05, m, { focal: 0, wild: 0.5 })).toBeGreaterThan(0.05);
+});
+
+test('immunity builds with infection and wanes without it', () => {
+  const config = { buildup: 0.1, waning: 0.05, cross: 0 };
+  const built = updateImmunity({ focal: 0, wild: 0 }, 1, config);
+  expect(built.focal).toBeCloseTo(0.1);
+  expect(built.wild).toBe(0);
+  expect(updateImmunity({ focal: 0.5, wild: 0.5 }, 1, config).wild).toBeCloseTo(0.475);
+  expect(updateImmunity({ focal: 0, wild: 0 }, 1, { ...config, cross: 0.5 }).wild).toBeCloseTo(0.05);
+});
+
+const run = (params, p0, generations) => {
+  const rng = createRng(11);
+  let state = initialState(p0);
+  const trajectory = [];
+  for (let g = 0; g < generations; g++) {
+    state = step(state, params, rng);
+    trajectory.push(state.p);
+  }
+  return { state, trajectory };
+};
+
+const large = { model: 'wright-fisher', mutation: 0, selection: 100, geneFlow: 0, drift: 25, recombination: 15, popSize: 100, sourceFreq: 50 };
+
+test('balancing selection holds a polymorphism that directional selection would fix', () => {
+  expect(run({ ...large, selectionModel: model('balancing') }, 0.1, 400).state.p).toBeCloseTo(0.5, 1);
+  expect(run(large, 0.1, 400).state.p).toBeGreaterThan(0.99);
+});
+
+test('host immunity makes a rare variant escape and then decline', () => {
+  const { state, trajectory } = run({ ...large, selection: 50, selectionModel: model('immunity') }, 0.05, 600);
+  const peak = trajectory.indexOf(Math.max(...trajectory));
+  expect(trajectory[peak]).toBeGreaterThan(0.5);
+  expect(Math.min(...trajectory.slice(peak))).toBeLessThan(trajectory[peak] - 0.2);
+  expect(state.immunity.focal).toBeGreaterThan(0);
+});
@@ -0,0 +1,416 @@
+import { binomial } from './rng';
+import { toModelParams } from './simulation';
+import { recombinationRate } from './multilocus';
+
+// Sequence-level model: a Wright–Fisher population of haploid coding
+// sequences descended from a reference. Each generation parents are drawn by
+// fitness, recombine at one breakpoint with probability r, and mutate at μ per
+// site under a substitution model; a fraction m are migrants carrying the
+// reference. Amino-acid changes at the designated codons gain (1 + s/2) each,
+// as the focal allele does in the Δp model; changes elsewhere cost
+// `constraint` each, and stop codons are lethal. The focal frequency p is the
+// share of sequences with an amino-acid change at any designated codon.
+//
+// Sequences are Uint8Arrays over ACGT (0-3). An individual is shared by all
+// of its unmutated descendants, so its differences from the reference are
+// counted once, when it arises.
+
+export const NUCLEOTIDES = 'ACGT';
+
+export const SUBSTITUTION_MODELS = {
+  JC69: 'JC69 (equal rates)',
+  HKY: 'HKY85 (transition bias, base composition)'
+};
+
+// Reference segments; codons are numbered as in the protein
+export const SEQUENCE_TEMPLATES = {
+  ha: {
+    name: 'Influenza A/H3N2 HA1 antigenic region',
+    source: 'A/Aichi/2/1968 HA1 codons 121–220; designated codons are the seven antigenic cluster-transition sites (Koel et al. 2013)',
+    firstCodon: 121,
+    sequence: 'ATCACTGAGGGTTTCACTTGGACTGGGGTCACTCAGAATGGGGGAAGCAATGCTTGCAAAAGGGGACCTGGTAGCGGTTTTTTCAGTAGACTGAACTGG'
+      + 'TTGACCAAATCAGGAAGCACATATCCAGTGCTGAACGTGACTATGCCAAACAATGACAATTTTGACAAACTATACATTTGGGGGGTTCACCACCCGAGC'
+      + 'ACGAACCAAGAACAAACCAGCCTGTATGTTCAAGCATCAGGGAGAGTCACAGTCTCTACCAGGAGAAGCCAGCAAACTATAATCCCGAATATCGGGTCCAGA',
+    sites: [145, 155, 156, 158, 159, 189, 193]
+  },
+  rt: {
+    name: 'HIV-1 reverse transcriptase segment',
+    source: 'HXB2 RT codons 101–200; designated codons carry the major NNRTI and M184V/I resistance mutations',
+    firstCodon: 101,
+    sequence: 'AAAAAGAAAAAATCAGTAACAGTACTGGATGTGGGTGATGCATATTTTTCAGTTCCCTTAGATGAAGACTTCAGGAAGTATACTGCATTTACCATACCT'
+      + 'AGTATAAACAATGAGACACCAGGGATTAGATATCAGTACAATGTGCTTCCACAGGGATGGAAAGGATCACCAGCAATATTCCAAAGTAGCATGACAAAA'
+      + 'ATCTTAGAGCCTTTTAGAAAACAAAATCCAGACATAGTTATCTATCAATACATGGATGATTTGTATGTAGGATCTGACTTAGAAATAGGGCAGCATAGAACA',
+    sites: [103, 106, 181, 184, 188, 190]
+  }
+};
+
+// `template` names a SEQUENCE_TEMPLATES entry or 'custom', in which case
+// `sequence` and `firstCodon` give the reference; `sites` are codon numbers
+export const defaultSequences = {
+  template: 'ha',
+  sequence: '',
+  firstCodon: 1,
+  sites: SEQUENCE_TEMPLATES.ha.sites,
+  substitution: 'JC69',
+  kappa: 4,
+  baseFrequencies: [0.25, 0.25, 0.25, 0.25],
+  constraint: 0.05
+};
+
+// Sequences held per generation: 2Nₑ copies, capped for speed
+export const MAX_SEQUENCES = 200;
+export const MIN_LENGTH = 30;
+export const MAX_LENGTH = 1500;
+// Sequences sent to the UI (and exported) per snapshot
+export const SEQUENCE_SAMPLE = 20;
+
+export const sequenceCount = (params) => Math.max(2, Math.min(MAX_SEQUENCES, 2 * toModelParams(params).Ne));
+
+// Standard genetic code, indexed by codon a·16 + b·4 + c over ACGT
+const CODE_ORDER = 'TCAG';
+const CODE = 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG';
+const AMINO = Array.from({ length: 64 }, (_, i) => (
+  CODE[CODE_ORDER.indexOf(NUCLEOTIDES[i >> 4]) * 16 + CODE_ORDER.indexOf(NUCLEOTIDES[(i >> 2) & 3]) * 4 + CODE_ORDER.indexOf(NUCLEOTIDES[i & 3])]
+));
+
+export const encodeSequence = (text) => Uint8Array.from(text, base => NUCLEOTIDES.indexOf(base));
+export const decodeSequence = (seq) => Array.from(seq, b => NUCLEOTIDES[b]).join('');
+
+const codonAt = (seq, i) => seq[3 * i] * 16 + seq[3 * i + 1] * 4 + seq[3 * i + 2];
+
+export const translate = (text) => {
+  const seq = encodeSequence(text);
+  let protein = '';
+  for (let i = 0; i < Math.floor(seq.length / 3); i++) protein += AMINO[codonAt(seq, i)];
+  return protein;
+};
+
+// The first record of FASTA (or bare sequence) text, as validated coding
+// sequence; throws with a readable message
+export const parseSequenceInput = (text) => {
+  const body = [];
+  let header = false;
+  for (const line of String(text).split(/\r?\n/)) {
+    if (line.startsWith('>')) {
+      if (header || body.length) break;
+      header = true;
+    } else {
+      body.push(line);
+    }
+  }
+  const seq = body.join('').replace(/\s+/g, '').toUpperCase().replace(/U/g, 'T');
+  if (!seq) throw new Error('No sequence found');
+  const bad = seq.search(/[^ACGT]/);
+  if (bad >= 0) throw new Error(`Position ${bad + 1}: "${seq[bad]}" is not A, C, G or T`);
+  if (seq.length < MIN_LENGTH || seq.length > MAX_LENGTH) {
+    throw new Error(`The sequence must be ${MIN_LENGTH} to ${MAX_LENGTH} nucleotides long (it is ${seq.length})`);
+  }
+  if (seq.length % 3 !== 0) throw new Error(`The length must be a whole number of codons (${seq.length} is not a multiple of 3)`);
+  const stop = translate(seq).indexOf('*');
+  if (stop >= 0) throw new Error(`Codon ${stop + 1} is a stop codon; give an open reading frame`);
+  return seq;
+};
+
+// Reference sequence and codon numbering of a configuration
+export const referenceOf = (config) => {
+  const template = SEQUENCE_TEMPLATES[config.template];
+  return template
+    ? { sequence: template.sequence, firstCodon: template.firstCodon }
+    : { sequence: config.sequence, firstCodon: config.firstCodon };
+};
+
+// Rates between bases (zero diagonal), scaled to one substitution per site
+// per unit time at equilibrium. Transitions are A↔G and C↔T.
+export const substitutionMatrix = ({ substitution, kappa, baseFrequencies }) => {
+  const hky = substitution === 'HKY';
+  const pi = hky ? baseFrequencies : [0.25, 0.25, 0.25, 0.25];
+  const q = pi.map((_, i) => pi.map((piJ, j) => (i === j ? 0 : piJ * (hky && (i ^ j) === 2 ? kappa : 1))));
+  const mean = q.reduce((sum, row, i) => sum + pi[i] * row.reduce((a, b) => a + b, 0), 0);
+  return q.map(row => row.map(rate => rate / mean));
+};
+
+// Nei–Gojobori (1986) synonymous sites of a codon; changes to stop codons
+// count as nonsynonymous
+const synonymousSites = (codon) => {
+  let syn = 0;
+  for (let pos = 0; pos < 3; pos++) {
+    const shift = 2 * (2 - pos);
+    for (let b = 0; b < 4; b++) {
+      const other = (codon & ~(3 << shift)) | (b << shift);
+      if (other !== codon && AMINO[other] === AMINO[codon]) syn++;
+    }
+  }
+  return syn / 3;
+};
+
+// Synonymous and nonsynonymous differences between two codons, averaged over
+// the mutational pathways that avoid stop codons
+const pathCache = new Map();
+const codonDifferences = (a, b) => {
+  const key = a * 64 + b;
+  if (pathCache.has(key)) return pathCache.get(key);
+  const positions = [0, 1, 2].filter(pos => ((a >> (2 * (2 - pos))) & 3) !== ((b >> (2 * (2 - pos))) & 3));
+  const orders = positions.length === 1 ? [positions]
+    : positions.length === 2 ? [positions, [positions[1], positions[0]]]
+      : [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+  let sd = 0;
+  let nd = 0;
+  let paths = 0;
+  orders.forEach(order => {
+    let codon = a;
+    let s = 0;
+    let n = 0;
+    for (const pos of order) {
+      const shift = 2 * (2 - pos);
+      const next = (codon & ~(3 << shift)) | (b & (3 << shift));
+      if (AMINO[next] === '*' && next !== b) return;
+      if (AMINO[next] === AMINO[codon]) s++; else n++;
+      codon = next;
+    }
+    sd += s;
+    nd += n;
+    paths++;
+  });
+  const result = paths ? [sd / paths, nd / paths] : [0, positions.length];
+  pathCache.set(key, result);
+  return result;
+};
+
+// What selection and the summaries need to know about a sequence
+const individual = (seq, info) => {
+  let escapes = 0;
+  let changes = 0;
+  let stop = false;
+  let sd = 0;
+  let nd = 0;
+  for (let i = 0; i < info.codons.length; i++) {
+    const codon = codonAt(seq, i);
+    if (codon === info.codons[i]) continue;
+    const [s, n] = codonDifferences(info.codons[i], codon);
+    sd += s;
+    nd += n;
+    if (AMINO[codon] === '*') stop = true;
+    else if (AMINO[codon] !== AMINO[info.codons[i]]) {
+      if (info.selected[i]) escapes++; else changes++;
+    }
+  }
+  return { seq, escapes, changes, stop, sd, nd };
+};
+
+export const createSequenceState = (config, count = MAX_SEQUENCES) => {
+  const { sequence, firstCodon } = referenceOf(config);
+  const reference = encodeSequence(sequence);
+  const codons = Array.from({ length: reference.length / 3 }, (_, i) => codonAt(reference, i));
+  const selected = codons.map((_, i) => config.sites.includes(firstCodon + i));
+  const info = {
+    reference,
+    firstCodon,
+    codons,
+    selected,
+    synonymous: codons.reduce((sum, codon) => sum + synonymousSites(codon), 0)
+  };
+  info.nonsynonymous = reference.length - info.synonymous;
+  const founder = individual(reference, info);
+  return {
+    generation: 0,
+    info,
+    founder,
+    population: Array(Math.min(MAX_SEQUENCES, Math.max(2, count))).fill(founder),
+    counts: { mutations: 0, migrants: 0, recombinants: 0 }
+  };
+};
+
+const fitness = ({ escapes, changes, stop }, s, constraint) => (
+  stop ? 0 : Math.max(0, 1 + s / 2) ** escapes * (1 - constraint) ** changes
+);
+
+export const stepSequences = (state, params, config, rng) => {
+  const { mu, s, m } = toModelParams(params);
+  const r = recombinationRate(params.recombination || 0);
+  const count = sequenceCount(params);
+  const { info } = state;
+  const length = info.reference.length;
+  const parents = state.population;
+  const q = substitutionMatrix(config);
+  const rates = q.map(row => row.reduce((a, b) => a + b, 0));
+  const maxRate = Math.max(...rates);
+
+  const cumulative = new Float64Array(parents.length);
+  let total = 0;
+  parents.forEach((parent, i) => {
+    total += fitness(parent, s, config.constraint);
+    cumulative[i] = total;
+  });
+  const pick = () => {
+    if (total <= 0) return parents[Math.floor(rng() * parents.length)];
+    const target = rng() * total;
+    let lo = 0;
+    let hi = parents.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] > target) hi = mid; else lo = mid + 1;
+    }
+    return parents[lo];
+  };
+
+  let mutations = 0;
+  let migrants = 0;
+  let recombinants = 0;
+  const population = Array.from({ length: count }, () => {
+    if (rng() < m) {
+      migrants++;
+      return state.founder;
+    }
+    let child = pick();
+    let seq = null;
+    if (r > 0 && rng() < r) {
+      const other = pick();
+      if (other !== child) {
+        const breakpoint = 1 + Math.floor(rng() * (length - 1));
+        seq = new Uint8Array(length);
+        seq.set(child.seq.subarray(0, breakpoint));
+        seq.set(other.seq.subarray(breakpoint), breakpoint);
+        recombinants++;
+      }
+    }
+    // Thinning: candidate hits at the fastest base's rate, kept in proportion
+    const hits = binomial(rng, length, Math.min(1, mu * maxRate));
+    for (let h = 0; h < hits; h++) {
+      const site = Math.floor(rng() * length);
+      const from = (seq || child.seq)[site];
+      if (rng() * maxRate >= rates[from]) continue;
+      let u = rng() * rates[from];
+      let to = -1;
+      for (let b = 0; b < 4 && to < 0; b++) {
+        if (b === from) continue;
+        if (u < q[from][b]) to = b; else u -= q[from][b];
+      }
+      if (to < 0) continue;
+      if (!seq) seq = child.seq.slice();
+      seq[site] = to;
+      mutations++;
+    }
+    if (seq) child = individual(seq, info);
+    return child;
+  });
+
+  return {
+    ...state,
+    generation: state.generation + 1,
+    population,
+    counts: { mutations, migrants, recombinants }
+  };
+};
+
+// Jukes–Cantor distance from a proportion of differing sites
+const jukesCantor = (p) => (p <= 0 ? 0 : p < 0.75 ? -0.75 * Math.log(1 - (4 * p) / 3) : null);
+
+// Distinct sequences with their counts
+const haplotypes = (population) => {
+  const counts = new Map();
+  population.forEach(ind => counts.set(ind, (counts.get(ind) || 0) + 1));
+  return [...counts.entries()];
+};
+
+// Base counts per site, four per site in ACGT order
+const baseCounts = (state, groups) => {
+  const counts = new Int32Array(state.info.reference.length * 4);
+  groups.forEach(([ind, n]) => ind.seq.forEach((b, site) => { counts[4 * site + b] += n; }));
+  return counts;
+};
+
+// Per-generation summaries: p, nucleotide diversity π (per site, from the
+// base frequencies), segregating sites, divergence from the reference as dN,
+// dS (Nei–Gojobori, Jukes–Cantor corrected) and dN/dS, and amino-acid
+// frequencies at the designated codons
+export const sequenceStats = (state) => {
+  const { info, population } = state;
+  const n = population.length;
+  const length = info.reference.length;
+  const groups = haplotypes(population);
+  const counts = baseCounts(state, groups);
+
+  let heterozygosity = 0;
+  let segregating = 0;
+  for (let site = 0; site < length; site++) {
+    let sumSq = 0;
+    let present = 0;
+    for (let b = 0; b < 4; b++) {
+      const c = counts[4 * site + b];
+      sumSq += (c / n) ** 2;
+      if (c) present++;
+    }
+    heterozygosity += 1 - sumSq;
+    if (present > 1) segregating++;
+  }
+
+  let escaped = 0;
+  let sd = 0;
+  let nd = 0;
+  groups.forEach(([ind, c]) => {
+    if (ind.escapes > 0) escaped += c;
+    sd += ind.sd * c;
+    nd += ind.nd * c;
+  });
+  const dS = jukesCantor(sd / n / info.synonymous);
+  const dN = jukesCantor(nd / n / info.nonsynonymous);
+
+  const sites = [];
+  info.selected.forEach((selected, i) => {
+    if (!selected) return;
+    const freqs = {};
+    groups.forEach(([ind, c]) => {
+      const aa = AMINO[codonAt(ind.seq, i)];
+      freqs[aa] = (freqs[aa] || 0) + c / n;
+    });
+    sites.push({ codon: info.firstCodon + i, reference: AMINO[info.codons[i]], freqs });
+  });
+
+  return {
+    p: escaped / n,
+    pi: n > 1 ? ((n / (n - 1)) * heterozygosity) / length : 0,
+    segregating,
+    dN,
+    dS,
+    dNdS: dN !== null && dS ? dN / dS : null,
+    sites
+  };
+};
+
+// Evenly spaced indices, so a sample needs no random numbers
+const sampleIndices = (n, count) => Array.from({ length: count }, (_, k) => Math.floor((k * n) / count));
+
+// The current population as the UI draws it: reference, majority-rule
+// consensus, base frequencies per site and a sample of sequences
+export const sequenceSnapshot = (state, sampleSize = SEQUENCE_SAMPLE) => {
+  const { info, population, generation } = state;
+  const n = population.length;
+  const counts = baseCounts(state, haplotypes(population));
+  const length = info.reference.length;
+  const frequencies = new Float32Array(length * 4);
+  let consensus = '';
+  for (let site = 0; site < length; site++) {
+    let best = info.reference[site];
+    for (let b = 0; b < 4; b++) {
+      frequencies[4 * site + b] = counts[4 * site + b] / n;
+      if (counts[4 * site + b] > counts[4 * site + best]) best = b;
+    }
+    consensus += NUCLEOTIDES[best];
+  }
+  return {
+    generation,
+    reference: decodeSequence(info.reference),
+    firstCodon: info.firstCodon,
+    sites: info.selected.map((selected, i) => (selected ? info.firstCodon + i : null)).filter(codon => codon !== null),
+    consensus,
+    frequencies,
+    sample: sampleIndices(n, Math.min(sampleSize, n)).map(i => decodeSequence(population[i].seq))
+  };
+};
+
+// FASTA text of [{ name, sequence }], wrapped at `width` characters
+export const toFasta = (records, width = 60) => records.map(({ name, sequence }) => {
+  const lines = [`>${name}`];
+  for (let i = 0; i < sequence.length; i += width) lines.push(sequence.slice(i, i + width));
+  return lines.join('\n');
+}).join('\n') + '\n';
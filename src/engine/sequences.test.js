@@ -0,0 +1,103 @@
+import {
+  SEQUENCE_TEMPLATES, defaultSequences, translate, parseSequenceInput, substitutionMatrix, createSequenceState,
+  stepSequences, sequenceStats, sequenceSnapshot, toFasta, sequenceCount, MAX_SEQUENCES
+} from './sequences';
+import { createRng } from './rng';
+
+const sliders = { mutation: 0, selection: 50, geneFlow: 0, drift: 25, recombination: 0, popSize: 100, sourceFreq: 50 };
+
+const run = (params, config = defaultSequences, generations = 200, seed = 7) => {
+  const rng = createRng(seed);
+  let state = createSequenceState(config, sequenceCount(params));
+  for (let g = 0; g < generations; g++) state = stepSequences(state, params, config, rng);
+  return state;
+};
+
+test('templates are open reading frames with the expected residues at their designated codons', () => {
+  const residues = { ha: 'STKGSQS', rt: 'KVYMYG' };
+  Object.entries(SEQUENCE_TEMPLATES).forEach(([key, template]) => {
+    expect(template.sequence).toHaveLength(300);
+    const protein = translate(template.sequence);
+    expect(protein).not.toContain('*');
+    expect(template.sites.map(codon => protein[codon - template.firstCodon]).join('')).toBe(residues[key]);
+  });
+});
+
+test('pasted sequences are read from FASTA or plain text and checked', () => {
+  expect(parseSequenceInput('>env V3\naug aaa ccc ggg uuu\nAAACCCGGGTTTAAACCCGGGTTTAAACCC\n>second\nAAA')).toBe(
+    'ATGAAACCCGGGTTTAAACCCGGGTTTAAACCCGGGTTTAAACCC'
+  );
+  expect(() => parseSequenceInput('>only a header')).toThrow(/No sequence/);
+  expect(() => parseSequenceInput('ATGAAACCCNGGTTTAAACCCGGGTTTAAACCC')).toThrow(/Position 10: "N"/);
+  expect(() => parseSequenceInput('ATGAAA')).toThrow(/30 to 1500/);
+  expect(() => parseSequenceInput('ATGAAACCCGGGTTTAAACCCGGGTTTAAACCCG')).toThrow(/multiple of 3/);
+  expect(() => parseSequenceInput('ATGAAACCCTAGTTTAAACCCGGGTTTAAACCC')).toThrow(/Codon 4 is a stop/);
+});
+
+test('substitution rates average one per site and HKY favours transitions', () => {
+  const jc = substitutionMatrix({ ...defaultSequences, substitution: 'JC69' });
+  jc.forEach((row, i) => row.forEach((rate, j) => expect(rate).toBeCloseTo(i === j ? 0 : 1 / 3)));
+
+  const pi = [0.4, 0.1, 0.2, 0.3];
+  const hky = substitutionMatrix({ substitution: 'HKY', kappa: 5, baseFrequencies: pi });
+  const mean = hky.reduce((sum, row, i) => sum + pi[i] * row.reduce((a, b) => a + b, 0), 0);
+  expect(mean).toBeCloseTo(1);
+  // Reversible, and A→G over A→C is κ·π_G/π_C
+  expect(pi[0] * hky[0][2]).toBeCloseTo(pi[2] * hky[2][0]);
+  expect(hky[0][2] / hky[0][1]).toBeCloseTo((5 * 0.2) / 0.1);
+});
+
+test('the population starts as copies of the reference and is sized by Nₑ', () => {
+  const state = createSequenceState(defaultSequences, sequenceCount(sliders));
+  expect(state.population).toHaveLength(MAX_SEQUENCES);
+  expect(sequenceStats(state)).toMatchObject({ p: 0, pi: 0, segregating: 0, dN: 0, dS: 0, dNdS: null });
+  expect(sequenceCount({ ...sliders, popSize: 0 })).toBe(20);
+  const snapshot = sequenceSnapshot(state);
+  expect(snapshot.consensus).toBe(SEQUENCE_TEMPLATES.ha.sequence);
+  expect(snapshot.sites).toEqual(SEQUENCE_TEMPLATES.ha.sites);
+  expect(snapshot.sample).toHaveLength(20);
+});
+
+test('runs are reproducible from the seed', () => {
+  const params = { ...sliders, mutation: 70 };
+  expect(sequenceStats(run(params, defaultSequences, 50))).toEqual(sequenceStats(run(params, defaultSequences, 50)));
+});
+
+test('without selection dN/dS stays near 1; constraint pulls it down', () => {
+  // One run's genealogy makes its dN/dS noisy, so average a few. Lethal stop
+  // codons remove about 5% of nonsynonymous changes.
+  const params = { ...sliders, mutation: 60 };
+  const neutral = [1, 2, 3, 4, 5, 6].map(seed => sequenceStats(run(params, { ...defaultSequences, constraint: 0 }, 300, seed)));
+  neutral.forEach(stats => {
+    expect(stats.pi).toBeGreaterThan(0);
+    expect(stats.segregating).toBeGreaterThan(5);
+  });
+  const mean = neutral.reduce((sum, stats) => sum + stats.dNdS, 0) / neutral.length;
+  expect(mean).toBeGreaterThan(0.8);
+  expect(mean).toBeLessThan(1.15);
+  const constrained = sequenceStats(run({ ...params, mutation: 80 }, { ...defaultSequences, constraint: 0.3 }, 150));
+  expect(constrained.dNdS).toBeLessThan(0.5);
+});
+
+test('positive selection on the designated codons drives escape variants up', () => {
+  const params = { ...sliders, mutation: 60, selection: 100 };
+  const config = { ...defaultSequences, template: 'rt', sites: SEQUENCE_TEMPLATES.rt.sites };
+  const stats = sequenceStats(run(params, config, 300));
+  expect(stats.p).toBeGreaterThan(0.8);
+  expect(stats.sites.map(site => site.codon)).toEqual(SEQUENCE_TEMPLATES.rt.sites);
+  // Some designated codon has lost most of its reference residue
+  expect(Math.min(...stats.sites.map(site => site.freqs[site.reference] || 0))).toBeLessThan(0.5);
+  // Migrants carry the reference back in
+  const withFlow = sequenceStats(run({ ...params, selection: 50, geneFlow: 100 }, config, 300));
+  expect(withFlow.p).toBeLessThan(0.2);
+});
+
+test('recombination mixes sequences', () => {
+  const state = run({ ...sliders, mutation: 80, recombination: 100 }, defaultSequences, 60);
+  expect(state.counts.recombinants).toBeGreaterThan(0);
+});
+
+test('FASTA records wrap at 60 columns', () => {
+  const fasta = toFasta([{ name: 'reference', sequence: 'A'.repeat(130) }, { name: 'seq_1 gen=5', sequence: 'ACGT' }]);
+  expect(fasta.split('\n')).toEqual(['>reference', 'A'.repeat(60), 'A'.repeat(60), 'A'.repeat(10), '>seq_1 gen=5', 'ACGT', '']);
+});
@@ -0,0 +1,117 @@
+import { createRng, binomial } from './rng';
+import { defaultSelectionModel, selectionAdvantage, initialImmunity, updateImmunity, usesImmunity } from './selection';
+
+// Pure Δp model. `params` holds the force and population sliders (0-100 scale)
+// plus `model`, `recurrentMutation` and `selectionModel` (see selection.js), `rng` is a function returning floats in [0, 1) (see createRng).
+
+export const MODELS = {
+  'wright-fisher': 'Wright–Fisher',
+  classroom: 'Classroom'
+};
+
+const boundaryOf = (p) => (p <= 0 ? 'lost' : p >= 1 ? 'fixed' : null);
+
+// `absorbed` is 'fixed' or 'lost' while p sits on a boundary, `origin` is the
+// generation the current segregating period began and `event` reports a
+// fixation or loss that happened on the last step
+export const initialState = (p = 0.5) => ({
+  p,
+  generation: 0,
+  origin: 0,
+  absorbed: boundaryOf(p),
+  event: null
+});
+
+// Effective population size: log scale 10 to 10⁶ for Wright–Fisher,
+// the original linear 0-20k scale for the classroom heuristic
+export const effectivePopSize = (popSize, model = 'wright-fisher') => (
+  model === 'classroom'
+    ? (popSize / 50) * 10000
+    : Math.round(10 ** (1 + popSize / 20))
+);
+
+// Map sliders to real population-genetic parameters; `Ne`, when set (by an
+// epidemic driving the population size), overrides the Population Size slider
+export const toModelParams = (params) => {
+  const { mutation, selection, geneFlow, sourceFreq = 50, popSize, model } = params;
+  return {
+    mu: mutation === 0 ? 0 : 10 ** (-6 + (4 * mutation) / 100),
+    s: (selection / 100 - 0.5) * 0.3,
+    m: (geneFlow / 100) * 0.1,
+    pm: sourceFreq / 100,
+    Ne: params.Ne ?? effectivePopSize(popSize, model),
+    selectionModel: params.selectionModel || defaultSelectionModel
+  };
+};
+
+// |2Nₑs| and the regime it puts the allele in
+export const selectionRegime = (params) => {
+  const { Ne, s } = toModelParams(params);
+  const twoNeS = Math.abs(2 * Ne * s);
+  return {
+    twoNeS,
+    regime: twoNeS > 10 ? 'Selection dominates' : twoNeS > 1 ? 'Both matter' : 'Drift dominates'
+  };
+};
+
+// Deterministic part of Δp = μ(1-p) - μp + [p(1-p)s]/2 + m(p_m-p); under a
+// non-directional selection model s becomes its frequency-dependent advantage
+export const deterministicDeltaP = (p, { mu, s, m, pm, selectionModel, immunity }) => (
+  mu * (1 - p) - mu * p + (p * (1 - p) * selectionAdvantage(p, s, selectionModel, immunity)) / 2 + m * (pm - p)
+);
+
+// Wright–Fisher generation: deterministic forces, then binomial sampling of 2Nₑ alleles (ξ_t)
+export const wrightFisherFreq = (p, modelParams, rng) => {
+  const expected = Math.max(0, Math.min(1, p + deterministicDeltaP(p, modelParams)));
+  const alleles = 2 * modelParams.Ne;
+  return binomial(rng, alleles, expected) / alleles;
+};
+
+// Classroom heuristic (the app's original Δp)
+export const calculateDeltaP = (p, params, rng) => {
+  const { mutation, selection, geneFlow, drift, recombination, popSize } = params;
+  const mutationEffect = (mutation / 100 - 0.5) * 0.05;
+  const selectionEffect = (selection / 100 - 0.5) * 0.15 * p * (1 - p);
+  const geneFlowEffect = (geneFlow / 100 - p) * 0.08;
+  const driftEffect = (rng() - 0.5) * (drift / 100) * Math.sqrt(p * (1 - p)) * (1 / Math.sqrt(popSize / 50));
+  const recombEffect = (recombination / 100) * 0.03 * (rng() - 0.5);
+
+  return mutationEffect + selectionEffect + geneFlowEffect + driftEffect + recombEffect;
+};
+
+// Advance one generation. Fixation and loss are absorbing unless
+// `params.recurrentMutation` lets the allele re-emerge. Under the host-immunity
+// selection model the state also carries `immunity` (see selection.js).
+export const step = (state, params, rng) => {
+  const generation = state.generation + 1;
+  if (state.absorbed && !params.recurrentMutation) {
+    return { ...state, generation, event: null };
+  }
+
+  const immune = params.model !== 'classroom' && usesImmunity(params.selectionModel);
+  const immunity = immune ? state.immunity || initialImmunity() : null;
+  const next = params.model === 'classroom'
+    ? state.p + calculateDeltaP(state.p, params, rng)
+    : wrightFisherFreq(state.p, { ...toModelParams(params), immunity }, rng);
+  const p = Math.max(0, Math.min(1, next));
+  const absorbed = boundaryOf(p);
+  const origin = state.absorbed && absorbed !== state.absorbed ? state.generation : state.origin;
+  const event = absorbed && absorbed !== state.absorbed
+    ? { type: absorbed, generation, duration: generation - origin }
+    : null;
+
+  const out = { p, generation, origin, absorbed, event };
+  return immune ? { ...out, immunity: updateImmunity(immunity, p, params.selectionModel.immunity) } : out;
+};
+
+// Run headless from a seed; returns the frequency at every generation (including t = 0)
+export const simulate = (params, { seed, generations, p0 = 0.5 }) => {
+  const rng = createRng(seed);
+  let state = initialState(p0);
+  const trajectory = [state.p];
+  for (let i = 0; i < generations; i++) {
+    state = step(state, params, rng);
+    trajectory.push(state.p);
+  }
+  return trajectory;
+};
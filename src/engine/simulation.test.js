@@ -0,0 +1,96 @@
+import { createRng, binomial } from './rng';
+import { pathogenPresets } from './presets';
+import { initialState, step, simulate, toModelParams, deterministicDeltaP } from './simulation';
+
+test('same seed reproduces the same trajectory', () => {
+  const params = pathogenPresets.influenza;
+  const a = simulate(params, { seed: 42, generations: 200 });
+  const b = simulate(params, { seed: 42, generations: 200 });
+  expect(a).toHaveLength(201);
+  expect(a).toEqual(b);
+});
+
+test('different seeds give different trajectories', () => {
+  const params = pathogenPresets.hiv;
+  expect(simulate(params, { seed: 1, generations: 50 }))
+    .not.toEqual(simulate(params, { seed: 2, generations: 50 }));
+});
+
+test('step is pure and advances the generation', () => {
+  const state = initialState(0.3);
+  const next = step(state, pathogenPresets.bacteria, createRng(7));
+  expect(state).toEqual({ p: 0.3, generation: 0, origin: 0, absorbed: null, event: null });
+  expect(next.generation).toBe(1);
+  expect(next.p).toBeGreaterThanOrEqual(0);
+  expect(next.p).toBeLessThanOrEqual(1);
+});
+
+test('rng yields values in [0, 1)', () => {
+  const rng = createRng(123);
+  for (let i = 0; i < 1000; i++) {
+    const x = rng();
+    expect(x).toBeGreaterThanOrEqual(0);
+    expect(x).toBeLessThan(1);
+  }
+});
+
+test('classroom mode stays reproducible', () => {
+  const params = { ...pathogenPresets.fungal, model: 'classroom' };
+  expect(simulate(params, { seed: 9, generations: 100 }))
+    .toEqual(simulate(params, { seed: 9, generations: 100 }));
+});
+
+test('sliders map to real parameters', () => {
+  const real = toModelParams({ mutation: 50, selection: 100, geneFlow: 100, sourceFreq: 25, popSize: 40 });
+  expect(real.mu).toBeCloseTo(1e-4);
+  expect(real.s).toBeCloseTo(0.15);
+  expect(real.m).toBeCloseTo(0.1);
+  expect(real.pm).toBeCloseTo(0.25);
+  expect(real.Ne).toBe(1000);
+  expect(toModelParams({ mutation: 0, selection: 50, geneFlow: 0, popSize: 0 })).toMatchObject({ mu: 0, s: 0, m: 0, Ne: 10 });
+});
+
+test('deterministic Δp follows the displayed equation', () => {
+  const p = 0.3;
+  const real = { mu: 1e-3, s: 0.1, m: 0.05, pm: 0.8 };
+  expect(deterministicDeltaP(p, real))
+    .toBeCloseTo(1e-3 * 0.7 - 1e-3 * 0.3 + (0.3 * 0.7 * 0.1) / 2 + 0.05 * 0.5, 12);
+});
+
+test('binomial draws have the expected mean', () => {
+  const rng = createRng(5);
+  [[20, 0.3], [1000, 0.004], [100000, 0.4]].forEach(([n, p]) => {
+    let total = 0;
+    for (let i = 0; i < 2000; i++) total += binomial(rng, n, p);
+    expect(total / 2000 / n).toBeCloseTo(p, 2);
+  });
+});
+
+test('fixation and loss are absorbing and reported once', () => {
+  const params = { mutation: 0, selection: 50, geneFlow: 0, popSize: 0 };
+  const rng = createRng(3);
+  let state = initialState();
+  const events = [];
+  for (let i = 0; i < 500; i++) {
+    state = step(state, params, rng);
+    if (state.event) events.push(state.event);
+  }
+  expect(events).toHaveLength(1);
+  expect(['fixed', 'lost']).toContain(events[0].type);
+  expect(events[0].duration).toBe(events[0].generation);
+  expect(state.p).toBe(events[0].type === 'fixed' ? 1 : 0);
+  expect(state.generation).toBe(500);
+});
+
+test('recurrent mutation lets a lost allele re-emerge', () => {
+  const params = { mutation: 100, selection: 50, geneFlow: 0, popSize: 40, recurrentMutation: true };
+  const rng = createRng(11);
+  let state = initialState(0);
+  expect(state.absorbed).toBe('lost');
+  for (let i = 0; i < 50 && state.absorbed; i++) state = step(state, params, rng);
+  expect(state.p).toBeGreaterThan(0);
+  expect(state.origin).toBe(state.generation - 1);
+
+  const frozen = step(initialState(0), { ...params, recurrentMutation: false }, rng);
+  expect(frozen.p).toBe(0);
+});
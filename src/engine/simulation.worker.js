@@ -0,0 +1,6 @@
+import { createEngine } from './loop';
+
+// Steps the running simulation off the main thread; see loop.js for messages
+const handle = createEngine(message => postMessage(message));
+
+onmessage = ({ data }) => handle(data);
@@ -0,0 +1,89 @@
+import { createRng } from './rng';
+import { initialState, step, toModelParams } from './simulation';
+import { kimuraFixation } from './theory';
+
+// Two-parameter sweeps: replicate Wright–Fisher runs on a grid of slider
+// values (0-100 scale) to estimate fixation probability and time.
+// `config` is { base, x: { param, min, max }, y: { param, min, max }, steps,
+// replicates, maxGenerations, p0, seed }, `p0` a frequency or 'mutant' for a
+// single new copy (1/2Nₑ).
+
+export const SWEEP_PARAMS = {
+  selection: 'Selection (s)',
+  popSize: 'Population size (Nₑ)',
+  mutation: 'Mutation (μ)',
+  geneFlow: 'Gene flow (m)',
+  sourceFreq: 'Migrant pool (pₘ)'
+};
+
+export const SWEEP_METRICS = {
+  fixation: 'Fixation probability',
+  time: 'Mean time to fixation'
+};
+
+export const sweepValues = ({ min, max }, steps) => (
+  Array.from({ length: steps }, (_, k) => (steps === 1 ? min : min + ((max - min) * k) / (steps - 1)))
+);
+
+export const sweepCells = (config) => {
+  const xs = sweepValues(config.x, config.steps);
+  const ys = sweepValues(config.y, config.steps);
+  return ys.flatMap((yValue, iy) => xs.map((xValue, ix) => ({ ix, iy, xValue, yValue })));
+};
+
+// Slider values for a point of the grid
+export const sweepParams = (config, xValue, yValue) => ({
+  ...config.base,
+  model: 'wright-fisher',
+  recurrentMutation: false,
+  [config.x.param]: xValue,
+  [config.y.param]: yValue
+});
+
+const startFrequency = (p0, Ne) => (p0 === 'mutant' ? 1 / (2 * Ne) : p0);
+
+// Replicates for one cell; each cell seeds its own stream so results do not
+// depend on the order cells are run in
+export const runSweepCell = (config, cell, index) => {
+  const params = sweepParams(config, cell.xValue, cell.yValue);
+  const { Ne, s } = toModelParams(params);
+  const p0 = startFrequency(config.p0, Ne);
+  const rng = createRng((config.seed + index * 7919) >>> 0);
+  let fixed = 0;
+  let lost = 0;
+  let fixationTime = 0;
+  for (let r = 0; r < config.replicates; r++) {
+    let state = initialState(p0);
+    while (!state.absorbed && state.generation < config.maxGenerations) state = step(state, params, rng);
+    if (state.absorbed === 'fixed') {
+      fixed++;
+      fixationTime += state.generation;
+    } else if (state.absorbed === 'lost') {
+      lost++;
+    }
+  }
+  return {
+    ...cell,
+    fixation: fixed / config.replicates,
+    lost: lost / config.replicates,
+    unresolved: (config.replicates - fixed - lost) / config.replicates,
+    time: fixed ? fixationTime / fixed : null,
+    kimura: kimuraFixation(p0, Ne, s)
+  };
+};
+
+// `fn(params, p0)` evaluated on a `resolution`² grid spanning the sweep ranges;
+// rows run along y
+export const analyticGrid = (config, fn, resolution = 40) => {
+  const xs = sweepValues(config.x, resolution);
+  const ys = sweepValues(config.y, resolution);
+  return ys.map(yValue => xs.map(xValue => {
+    const params = sweepParams(config, xValue, yValue);
+    return fn(params, startFrequency(config.p0, toModelParams(params).Ne));
+  }));
+};
+
+export const kimuraSurface = (params, p0) => {
+  const { Ne, s } = toModelParams(params);
+  return kimuraFixation(p0, Ne, s);
+};
@@ -0,0 +1,42 @@
+import { sweepValues, sweepCells, runSweepCell, analyticGrid, kimuraSurface } from './sweep';
+
+const config = {
+  base: { mutation: 0, selection: 50, geneFlow: 0, drift: 25, recombination: 15, popSize: 20, sourceFreq: 50 },
+  x: { param: 'selection', min: 40, max: 100 },
+  y: { param: 'popSize', min: 0, max: 20 },
+  steps: 3,
+  replicates: 200,
+  maxGenerations: 5000,
+  p0: 0.2,
+  seed: 9
+};
+
+test('grid values and cells cover both ranges', () => {
+  expect(sweepValues({ min: 0, max: 100 }, 5)).toEqual([0, 25, 50, 75, 100]);
+  const cells = sweepCells(config);
+  expect(cells).toHaveLength(9);
+  expect(cells[0]).toEqual({ ix: 0, iy: 0, xValue: 40, yValue: 0 });
+  expect(cells[8]).toEqual({ ix: 2, iy: 2, xValue: 100, yValue: 20 });
+});
+
+test('simulated fixation probability tracks Kimura', () => {
+  // Nₑ = 100, s = 0.15: 2Nₑs = 30
+  const cell = runSweepCell(config, { ix: 2, iy: 2, xValue: 100, yValue: 20 }, 8);
+  expect(cell.unresolved).toBe(0);
+  expect(cell.fixation + cell.lost).toBeCloseTo(1);
+  expect(Math.abs(cell.fixation - cell.kimura)).toBeLessThan(0.06);
+  expect(cell.time).toBeGreaterThan(0);
+});
+
+test('cells are reproducible regardless of run order', () => {
+  const cell = { ix: 1, iy: 0, xValue: 70, yValue: 0 };
+  expect(runSweepCell(config, cell, 1)).toEqual(runSweepCell(config, cell, 1));
+});
+
+test('analytic grid spans the ranges row by row', () => {
+  const grid = analyticGrid(config, kimuraSurface, 5);
+  expect(grid).toHaveLength(5);
+  expect(grid[0]).toHaveLength(5);
+  // Stronger selection (larger x) raises the fixation probability
+  expect(grid[4][4]).toBeGreaterThan(grid[4][0]);
+});
@@ -0,0 +1,9 @@
+import { sweepCells, runSweepCell } from './sweep';
+
+// Runs a parameter sweep off the main thread, posting each cell as it finishes
+onmessage = ({ data: config }) => {
+  sweepCells(config).forEach((cell, index) => {
+    postMessage({ type: 'cell', result: runSweepCell(config, cell, index) });
+  });
+  postMessage({ type: 'done' });
+};
@@ -0,0 +1,91 @@
+import { toModelParams, deterministicDeltaP } from './simulation';
+import { usesImmunity, initialImmunity, updateImmunity } from './selection';
+import { applySchedule } from './schedule';
+
+// Analytic diffusion results for the Wright–Fisher model, for comparison
+// with simulation. Selection enters Δp as p(1-p)s/2 with 2Nₑ sampled alleles.
+
+// Kimura's fixation probability u(p₀) = (1 - e^(-2Nₑs·p₀)) / (1 - e^(-2Nₑs)),
+// written so neither strong positive nor strong negative selection overflows
+export const kimuraFixation = (p0, Ne, s) => {
+  const a = 2 * Ne * s;
+  if (Math.abs(a) < 1e-9) return p0;
+  if (a > 0) return -Math.expm1(-a * p0) / -Math.expm1(-a);
+  return (Math.exp(a * (1 - p0)) - Math.exp(a)) / -Math.expm1(a);
+};
+
+// Mean time to fixation of an allele at p₀, conditional on it fixing
+// (Kimura & Ohta 1969). The integrands are rearranged so that e^(2Nₑs·x)
+// never appears on its own; the result is the same for s and -s (Maruyama
+// 1974), so only |s| is used. null while the allele is absent.
+export const kimuraFixationTime = (p0, Ne, s, steps = 2000) => {
+  if (p0 >= 1) return 0;
+  if (p0 <= 0) return null;
+  const a = Math.abs(2 * Ne * s);
+  if (a < 1e-6) return (-4 * Ne * (1 - p0) * Math.log1p(-p0)) / p0;
+
+  const ex = (x) => -Math.expm1(-a * x);
+  const scale = (4 * Ne) / (a * ex(1));
+  const above = integrate(x => (ex(x) * ex(1 - x)) / (x * (1 - x)), p0, 1, steps);
+  const below = integrate(
+    x => ((Math.exp(-a * (p0 - x)) - Math.exp(-a * p0) - Math.exp(-a * (1 - x)) + Math.exp(-a)) * ex(x)) / (x * (1 - x)),
+    0, p0, steps
+  );
+  return scale * (above + below / ex(p0));
+};
+
+// Midpoint rule on x = lo + (hi - lo)(1 - cos πt)/2, which crowds the nodes
+// towards both ends where the integrands above change fastest
+const integrate = (f, lo, hi, steps) => {
+  let sum = 0;
+  for (let k = 0; k < steps; k++) {
+    const t = (k + 0.5) / steps;
+    const x = lo + ((hi - lo) * (1 - Math.cos(Math.PI * t))) / 2;
+    sum += f(x) * ((hi - lo) * Math.PI * Math.sin(Math.PI * t)) / 2;
+  }
+  return sum / steps;
+};
+
+// Frequencies without drift: Δp iterated from p₀ under the slider values
+// `params` (and the parameter schedule), one value per generation
+export const deterministicTrajectory = (p0, params, generations, schedule = []) => {
+  const immune = usesImmunity(params.selectionModel);
+  let immunity = immune ? initialImmunity() : null;
+  let p = p0;
+  const trajectory = [p];
+  for (let generation = 0; generation < generations; generation++) {
+    const current = applySchedule(params, schedule, generation);
+    p = Math.max(0, Math.min(1, p + deterministicDeltaP(p, { ...toModelParams(current), immunity })));
+    if (immune) immunity = updateImmunity(immunity, p, current.selectionModel.immunity);
+    trajectory.push(p);
+  }
+  return trajectory;
+};
+
+const EQUILIBRIUM_GRID = 1000;
+
+// Stable equilibria of mutation–selection–migration balance: frequencies where
+// the deterministic Δp falls from positive to negative, found on a grid and
+// refined by bisection. Empty when nothing pulls p anywhere (neutral, no
+// mutation or migration) or under host immunity, whose balance also depends
+// on the immunity it builds.
+export const stableEquilibria = (params) => {
+  const modelParams = toModelParams(params);
+  if (usesImmunity(modelParams.selectionModel)) return [];
+  const delta = (p) => deterministicDeltaP(p, modelParams);
+  const found = [];
+  if (delta(0) <= 0 && delta(1 / EQUILIBRIUM_GRID) < 0) found.push(0);
+  for (let k = 0; k < EQUILIBRIUM_GRID; k++) {
+    let lo = k / EQUILIBRIUM_GRID;
+    let hi = (k + 1) / EQUILIBRIUM_GRID;
+    if (!(delta(lo) > 0 && delta(hi) <= 0)) continue;
+    if (hi === 1 && delta(hi) === 0) break;
+    for (let i = 0; i < 50; i++) {
+      const mid = (lo + hi) / 2;
+      if (delta(mid) > 0) lo = mid; else hi = mid;
+    }
+    found.push((lo + hi) / 2);
+  }
+  if (delta(1) >= 0 && delta(1 - 1 / EQUILIBRIUM_GRID) > 0) found.push(1);
+  return found;
+};
@@ -0,0 +1,88 @@
+import { kimuraFixation, kimuraFixationTime, deterministicTrajectory, stableEquilibria } from './theory';
+import { toModelParams, initialState, step } from './simulation';
+import { createRng } from './rng';
+
+test('neutral fixation probability equals the starting frequency', () => {
+  expect(kimuraFixation(0.3, 1000, 0)).toBeCloseTo(0.3);
+  expect(kimuraFixation(1 / 2000, 1000, 1e-12)).toBeCloseTo(1 / 2000);
+});
+
+test('a new beneficial mutant fixes with probability ≈ s when 2Nₑs ≫ 1', () => {
+  expect(kimuraFixation(1 / 2e6, 1e6, 0.02)).toBeCloseTo(0.02, 3);
+});
+
+test('strong selection in either direction stays finite', () => {
+  expect(kimuraFixation(0.5, 1e6, 0.15)).toBeCloseTo(1);
+  const deleterious = kimuraFixation(0.5, 1e6, -0.15);
+  expect(deleterious).toBeGreaterThanOrEqual(0);
+  expect(deleterious).toBeLessThan(1e-100);
+  expect(kimuraFixation(0.1, 100, -0.01)).toBeLessThan(0.1);
+});
+
+test('the conditional fixation time matches the neutral formula and shrinks with selection', () => {
+  // Neutral: -4Nₑ(1-p)ln(1-p)/p, which tends to 4Nₑ for a new mutant
+  expect(kimuraFixationTime(0.5, 100, 0)).toBeCloseTo(277.26, 1);
+  expect(kimuraFixationTime(1e-6, 100, 0)).toBeCloseTo(400, 0);
+  // The integrals agree with the closed form as selection vanishes
+  expect(kimuraFixationTime(0.2, 100, 1e-6) / kimuraFixationTime(0.2, 100, 0)).toBeCloseTo(1, 3);
+  // Same time for s and -s, shorter than neutral, and ≈ (4/s)·ln(2Nₑs) for a new mutant under strong selection
+  expect(kimuraFixationTime(0.1, 1000, -0.02)).toBeCloseTo(kimuraFixationTime(0.1, 1000, 0.02), 6);
+  expect(kimuraFixationTime(0.1, 1000, 0.02)).toBeLessThan(kimuraFixationTime(0.1, 1000, 0));
+  const strong = kimuraFixationTime(1 / 2e6, 1e6, 0.1);
+  expect(Number.isFinite(strong)).toBe(true);
+  expect(strong / ((4 / 0.1) * Math.log(2e6 * 0.1))).toBeGreaterThan(0.9);
+  expect(strong / ((4 / 0.1) * Math.log(2e6 * 0.1))).toBeLessThan(1.2);
+  expect(kimuraFixationTime(1, 100, 0.1)).toBe(0);
+  expect(kimuraFixationTime(0, 100, 0.1)).toBeNull();
+});
+
+test('the conditional fixation time agrees with Wright–Fisher runs', () => {
+  const rng = createRng(4);
+  const params = { model: 'wright-fisher', mutation: 0, selection: 60, geneFlow: 0, popSize: 20 };
+  const { Ne, s } = toModelParams(params);
+  const times = [];
+  while (times.length < 300) {
+    let state = initialState(0.2);
+    while (!state.absorbed) state = step(state, params, rng);
+    if (state.absorbed === 'fixed') times.push(state.generation);
+  }
+  const mean = times.reduce((a, b) => a + b, 0) / times.length;
+  expect(Math.abs(mean / kimuraFixationTime(0.2, Ne, s) - 1)).toBeLessThan(0.1);
+});
+
+test('the deterministic trajectory follows Δp without drift', () => {
+  const params = { mutation: 0, selection: 80, geneFlow: 0, popSize: 50, sourceFreq: 50 };
+  const path = deterministicTrajectory(0.01, params, 300);
+  expect(path).toHaveLength(301);
+  expect(path[0]).toBe(0.01);
+  // Logistic sweep at rate s/2
+  const { s } = toModelParams(params);
+  const logit = (p) => Math.log(p / (1 - p));
+  expect(logit(path[100]) - logit(path[0])).toBeCloseTo(100 * Math.log(1 + s / 2), 0);
+  expect(path[300]).toBeGreaterThan(0.99);
+  // A scheduled reversal of selection turns the sweep around
+  const reversed = deterministicTrajectory(0.5, params, 200, [{ param: 'selection', start: 100, value: 20 }]);
+  expect(reversed[100]).toBeGreaterThan(0.5);
+  expect(reversed[200]).toBeLessThan(reversed[100]);
+});
+
+test('stable equilibria of mutation–selection–migration balance', () => {
+  const base = { mutation: 0, selection: 50, geneFlow: 0, popSize: 50, sourceFreq: 50 };
+  // Nothing acts: no equilibrium to draw
+  expect(stableEquilibria(base)).toEqual([]);
+  // Directional selection alone fixes or loses the allele
+  expect(stableEquilibria({ ...base, selection: 80 })).toEqual([1]);
+  expect(stableEquilibria({ ...base, selection: 20 })).toEqual([0]);
+  // Migration against selection: root of -s/2·p² + (s/2 - m)p + m·pₘ = 0
+  const params = { ...base, selection: 30, geneFlow: 20, sourceFreq: 80 };
+  const { s, m, pm } = toModelParams(params);
+  const [a, b, c] = [-s / 2, s / 2 - m, m * pm];
+  const root = (-b - Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+  const [equilibrium] = stableEquilibria(params);
+  expect(equilibrium).toBeCloseTo(root, 6);
+  expect(deterministicTrajectory(0.9, params, 2000)[2000]).toBeCloseTo(root, 4);
+  // Overdominance holds p at its equilibrium
+  const balanced = stableEquilibria({ ...base, selection: 80, selectionModel: { type: 'balancing', equilibrium: 0.3 } });
+  expect(balanced).toHaveLength(1);
+  expect(balanced[0]).toBeCloseTo(0.3, 6);
+});
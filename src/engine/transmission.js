@@ -0,0 +1,41 @@
+import { binomial } from './rng';
+import { toModelParams, wrightFisherFreq } from './simulation';
+
+// Nested within-host / between-host model: the pathogen evolves inside a
+// host for `generationsPerHost` Wright–Fisher generations, then `bottleneck`
+// genomes are sampled to found the next host along a transmission chain.
+
+export const defaultTransmission = { generationsPerHost: 100, bottleneck: 5 };
+
+export const createTransmissionChain = (p0 = 0.5) => ({
+  p: p0,
+  generation: 0,
+  host: 0,
+  hostGeneration: 0,
+  // One entry per transmission: frequency before and after the bottleneck
+  transmissions: []
+});
+
+// Sample the founders of the next host
+export const transmit = (p, bottleneck, rng) => binomial(rng, bottleneck, p) / bottleneck;
+
+export const stepTransmissionChain = (state, params, config, rng) => {
+  // No migration inside a host
+  const within = { ...toModelParams(params), m: 0 };
+  const evolved = wrightFisherFreq(state.p, within, rng);
+  const generation = state.generation + 1;
+  const hostGeneration = state.hostGeneration + 1;
+
+  if (hostGeneration < config.generationsPerHost) {
+    return { ...state, p: evolved, generation, hostGeneration };
+  }
+
+  const founded = transmit(evolved, config.bottleneck, rng);
+  return {
+    p: founded,
+    generation,
+    host: state.host + 1,
+    hostGeneration: 0,
+    transmissions: [...state.transmissions, { generation, host: state.host + 1, before: evolved, after: founded }]
+  };
+};
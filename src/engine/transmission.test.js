@@ -0,0 +1,33 @@
+import { createRng } from './rng';
+import { createTransmissionChain, stepTransmissionChain, transmit } from './transmission';
+
+const params = { mutation: 0, selection: 50, geneFlow: 100, popSize: 100 };
+
+test('a bottleneck of one fixes or loses the allele', () => {
+  const rng = createRng(1);
+  for (let i = 0; i < 20; i++) expect([0, 1]).toContain(transmit(0.5, 1, rng));
+});
+
+test('transmits every generationsPerHost generations', () => {
+  const rng = createRng(6);
+  const config = { generationsPerHost: 10, bottleneck: 50 };
+  let state = createTransmissionChain();
+  for (let i = 0; i < 35; i++) state = stepTransmissionChain(state, params, config, rng);
+  expect(state.host).toBe(3);
+  expect(state.hostGeneration).toBe(5);
+  expect(state.transmissions.map(t => t.generation)).toEqual([10, 20, 30]);
+  state.transmissions.forEach(t => {
+    // Founders are whole genomes out of the bottleneck
+    expect((t.after * 50) % 1).toBeCloseTo(0);
+  });
+});
+
+test('within a host the gene flow slider is ignored', () => {
+  // Nₑ = 10⁶ and no selection: frequency barely moves despite m = 0.1 towards p_m = 0.5
+  const rng = createRng(2);
+  let state = createTransmissionChain(0.9);
+  for (let i = 0; i < 20; i++) {
+    state = stepTransmissionChain(state, { ...params, sourceFreq: 0 }, { generationsPerHost: 1000, bottleneck: 5 }, rng);
+  }
+  expect(state.p).toBeCloseTo(0.9, 2);
+});
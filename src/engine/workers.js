@@ -0,0 +1,8 @@
+// Web Worker factories. `import.meta` is not valid outside ES modules, so this
+// file is only loaded through a dynamic import where Worker exists (not in Jest).
+
+export const createSweepWorker = () => new Worker(new URL('./sweep.worker.js', import.meta.url));
+
+export const createSimulationWorker = () => new Worker(new URL('./simulation.worker.js', import.meta.url));
+
+export const createInferenceWorker = () => new Worker(new URL('./inference.worker.js', import.meta.url));
@@ -0,0 +1,68 @@
+// Figure export: standalone SVG markup from on-screen plots, and PNG
+// rendering of that markup through an offscreen canvas.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Serialize a rendered <svg> at its on-screen size, on a white background
+export const serializeSvg = (svg) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', Math.round(width));
+  clone.setAttribute('height', Math.round(height));
+  clone.removeAttribute('class');
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+  return { text: new XMLSerializer().serializeToString(clone), width: Math.round(width), height: Math.round(height) };
+};
+
+const escapeXml = (text) => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+// The evolutionary force palette as a figure: mixed colour swatch, the
+// frequency readout and a legend of the force values behind the colour
+export const paletteSvg = ({ color, forces, alleleFreq, generation, title }) => {
+  const width = 560;
+  const height = 360;
+  const fill = `rgba(${color.r}, ${color.g}, ${color.b}, ${color.alpha})`;
+  const legend = forces.map(([label, value, swatch], i) => (
+    `<rect x="${24 + i * 104}" y="${height - 40}" width="14" height="14" rx="3" fill="${swatch}"/>` +
+    `<text x="${44 + i * 104}" y="${height - 29}" font-size="12" fill="#374151">${escapeXml(label)} ${value}</text>`
+  )).join('');
+  return {
+    width,
+    height,
+    text: `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" font-family="sans-serif">` +
+      `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+      `<text x="24" y="32" font-size="16" font-weight="bold" fill="#1f2937">${escapeXml(title)}</text>` +
+      `<rect x="24" y="48" width="${width - 48}" height="240" rx="16" fill="${fill}" stroke="#e5e7eb" stroke-width="2"/>` +
+      `<rect x="${width / 2 - 110}" y="118" width="220" height="100" rx="14" fill="#ffffff" fill-opacity="0.95"/>` +
+      `<text x="${width / 2}" y="170" font-size="40" font-weight="800" text-anchor="middle" fill="#1f2937">${alleleFreq.toFixed(3)}</text>` +
+      `<text x="${width / 2}" y="200" font-size="12" text-anchor="middle" fill="#6b7280">Generation ${generation}</text>` +
+      legend +
+      '</svg>'
+  };
+};
+
+// Render SVG markup to a PNG blob at `scale`× resolution
+export const svgToPng = ({ text, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG rendering failed'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render the SVG'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,4 @@
+// Compact population counts (e.g. 3.2k, 1.0M)
+export const formatCount = (n) => (
+  n >= 1e6 ? `${(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : `${Math.round(n)}`
+);
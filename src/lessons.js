@@ -0,0 +1,148 @@
+import { pathogenPresets } from './engine/presets';
+import { defaultSelectionModel } from './engine/selection';
+import { defaultEpidemic } from './engine/epidemic';
+import { normalizeScenario } from './scenario';
+
+// Guided lessons: JSON files in public/lessons/ listed by index.json, each a
+// sequence of steps. A step may load a built-in preset and/or a scenario,
+// lock sliders, highlight a region of the page, ask a prediction question
+// and run the simulation for a number of generations to reveal the answer.
+// Progress is kept in localStorage.
+
+export const PROGRESS_KEY = 'egp-pop.lessons';
+
+export const LESSON_REGIONS = {
+  presets: 'Pathogen presets',
+  palette: 'Force palette',
+  trajectory: 'Trajectory plot',
+  controls: 'Run controls',
+  forces: 'Force sliders',
+  population: 'Population parameters',
+  analysis: 'Selection vs. drift analysis',
+  state: 'Population state'
+};
+
+export const LOCKABLE_SLIDERS = ['mutation', 'selection', 'geneFlow', 'drift', 'recombination', 'popSize', 'sourceFreq', 'generationTime'];
+
+const MAX_RUN = 100000;
+
+// Settings a step's setup starts from, so what a student changed earlier
+// does not leak into it
+const SETUP_BASE = {
+  mode: 'single',
+  model: 'wright-fisher',
+  ensemble: false,
+  recurrentMutation: false,
+  schedule: [],
+  selectionModel: defaultSelectionModel,
+  epidemic: defaultEpidemic
+};
+
+const isString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const validateQuestion = (raw, where) => {
+  if (!raw || typeof raw !== 'object') throw new Error(`${where}: "question" must be an object`);
+  if (!isString(raw.prompt)) throw new Error(`${where}: the question needs a "prompt"`);
+  if (!Array.isArray(raw.choices) || raw.choices.length < 2 || !raw.choices.every(isString)) {
+    throw new Error(`${where}: the question needs at least 2 "choices"`);
+  }
+  if (!Number.isInteger(raw.answer) || raw.answer < 0 || raw.answer >= raw.choices.length) {
+    throw new Error(`${where}: "answer" must be the index of one of the choices`);
+  }
+  return { prompt: raw.prompt, choices: raw.choices, answer: raw.answer, explanation: isString(raw.explanation) ? raw.explanation : '' };
+};
+
+const validateStep = (raw, where) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where}: must be an object`);
+  if (!isString(raw.title)) throw new Error(`${where}: "title" is required`);
+  if (!isString(raw.text)) throw new Error(`${where}: "text" is required`);
+  const step = { title: raw.title, text: raw.text, lock: [], highlight: null, question: null, run: null, setup: null };
+
+  if (raw.preset !== undefined && !Object.prototype.hasOwnProperty.call(pathogenPresets, raw.preset)) {
+    throw new Error(`${where}: unknown preset "${raw.preset}"`);
+  }
+  if (raw.preset !== undefined || raw.scenario !== undefined) {
+    const preset = raw.preset === undefined ? {} : { ...pathogenPresets[raw.preset], pathogenType: raw.preset };
+    try {
+      step.setup = { ...SETUP_BASE, ...normalizeScenario({ ...preset, ...raw.scenario }) };
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`);
+    }
+  }
+  if (raw.lock !== undefined) {
+    if (!Array.isArray(raw.lock) || !raw.lock.every(key => LOCKABLE_SLIDERS.includes(key))) {
+      throw new Error(`${where}: "lock" lists sliders from ${LOCKABLE_SLIDERS.join(', ')}`);
+    }
+    step.lock = raw.lock;
+  }
+  if (raw.highlight !== undefined) {
+    if (!LESSON_REGIONS[raw.highlight]) throw new Error(`${where}: unknown region "${raw.highlight}"`);
+    step.highlight = raw.highlight;
+  }
+  if (raw.question !== undefined) step.question = validateQuestion(raw.question, where);
+  if (raw.run !== undefined) {
+    const generations = raw.run && raw.run.generations;
+    if (!Number.isInteger(generations) || generations < 1 || generations > MAX_RUN) {
+      throw new Error(`${where}: "run.generations" must be a whole number from 1 to ${MAX_RUN}`);
+    }
+    step.run = { generations };
+  }
+  return step;
+};
+
+// Validate a lesson file; throws with a readable message
+export const validateLesson = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Lesson must be a JSON object');
+  if (!isString(raw.id)) throw new Error('Lesson: "id" is required');
+  if (!isString(raw.title)) throw new Error('Lesson: "title" is required');
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) throw new Error('Lesson: "steps" must be a non-empty array');
+  return {
+    id: raw.id,
+    title: raw.title,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    steps: raw.steps.map((step, i) => validateStep(step, `Step ${i + 1}`))
+  };
+};
+
+const lessonsUrl = (file) => `${process.env.PUBLIC_URL || ''}/lessons/${file}`;
+
+// Where fetch is missing (tests, old browsers) the lessons fail to load rather than the page
+const fetchJSON = (url, fetcher) => Promise.resolve().then(() => fetcher(url)).then(response => {
+  if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+  return response.json();
+});
+
+// [{ id, title, description, file }] of the bundled lessons
+export const fetchLessonIndex = (fetcher = (url) => fetch(url)) => fetchJSON(lessonsUrl('index.json'), fetcher).then(index => {
+  if (!Array.isArray(index)) throw new Error('The lesson index must be a JSON array');
+  return index.filter(entry => entry && isString(entry.id) && isString(entry.title) && isString(entry.file));
+});
+
+export const fetchLesson = (file, fetcher = (url) => fetch(url)) => fetchJSON(lessonsUrl(file), fetcher).then(validateLesson);
+
+// { [lessonId]: { step, answers: { [stepIndex]: choice }, completed } }
+export const loadLessonProgress = (storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(PROGRESS_KEY) || '{}');
+    return Object.entries(stored).reduce((acc, [id, entry]) => {
+      if (entry && Number.isInteger(entry.step) && entry.step >= 0) {
+        acc[id] = {
+          step: entry.step,
+          answers: entry.answers && typeof entry.answers === 'object' ? entry.answers : {},
+          completed: entry.completed === true
+        };
+      }
+      return acc;
+    }, {});
+  } catch (err) {
+    return {};
+  }
+};
+
+export const saveLessonProgress = (progress, storage = window.localStorage) => {
+  try {
+    storage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+  } catch (err) {
+    // storage full or disabled (private browsing): progress lasts for this session
+  }
+};
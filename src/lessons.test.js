@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { validateLesson, fetchLessonIndex, fetchLesson, loadLessonProgress, saveLessonProgress, PROGRESS_KEY } from './lessons';
+
+const LESSON_DIR = path.join(__dirname, '..', 'public', 'lessons');
+const readLesson = (file) => JSON.parse(fs.readFileSync(path.join(LESSON_DIR, file), 'utf8'));
+
+// Minimal in-memory stand-in for localStorage
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+};
+
+// fetch() stand-in serving the bundled lesson files
+const localFetch = (url) => {
+  const file = path.join(LESSON_DIR, url.replace(/^.*\/lessons\//, ''));
+  return Promise.resolve(fs.existsSync(file)
+    ? { ok: true, json: () => Promise.resolve(JSON.parse(fs.readFileSync(file, 'utf8'))) }
+    : { ok: false, status: 404 });
+};
+
+const minimal = { id: 'x', title: 'X', steps: [{ title: 'One', text: 'Hello' }] };
+
+test('every bundled lesson is listed and valid', () => {
+  const index = readLesson('index.json');
+  expect(index.length).toBeGreaterThanOrEqual(2);
+  index.forEach(entry => {
+    const lesson = validateLesson(readLesson(entry.file));
+    expect(lesson.id).toBe(entry.id);
+    expect(lesson.steps.some(step => step.question && step.run)).toBe(true);
+  });
+});
+
+test('a step setup starts from a clean slate and applies its preset', () => {
+  const lesson = validateLesson(readLesson('hiv-drug-escape.json'));
+  const therapy = lesson.steps[1];
+  expect(therapy.setup).toMatchObject({ mode: 'resistance', pathogenType: 'hivNrti', ensemble: false, viewMode: 'both', seed: 3 });
+  expect(therapy.setup.schedule).toHaveLength(1);
+  expect(lesson.steps[3].setup).toBeNull();
+  expect(validateLesson(readLesson('drift-vs-selection.json')).steps[1].setup).toMatchObject({ mode: 'single', schedule: [], popSize: 10 });
+});
+
+test('malformed lessons are rejected with the step at fault', () => {
+  expect(() => validateLesson([])).toThrow(/JSON object/);
+  expect(() => validateLesson({ ...minimal, steps: [] })).toThrow(/steps/);
+  const withStep = (step) => ({ ...minimal, steps: [minimal.steps[0], { title: 'Two', text: 'Hi', ...step }] });
+  expect(() => validateLesson(withStep({ preset: 'smallpox' }))).toThrow(/Step 2: unknown preset/);
+  expect(() => validateLesson(withStep({ lock: ['colour'] }))).toThrow(/Step 2: "lock"/);
+  expect(() => validateLesson(withStep({ highlight: 'footer' }))).toThrow(/unknown region/);
+  expect(() => validateLesson(withStep({ question: { prompt: 'Why?', choices: ['a', 'b'], answer: 2 } }))).toThrow(/answer/);
+  expect(() => validateLesson(withStep({ run: { generations: 0 } }))).toThrow(/run.generations/);
+  expect(() => validateLesson(withStep({ scenario: { metapopulation: { demes: [] } } }))).toThrow(/Step 2: metapopulation/);
+});
+
+test('lessons load through the index', async () => {
+  const index = await fetchLessonIndex(localFetch);
+  const lesson = await fetchLesson(index[0].file, localFetch);
+  expect(lesson.id).toBe(index[0].id);
+  await expect(fetchLesson('missing.json', localFetch)).rejects.toThrow(/404/);
+});
+
+test('progress persists and drops corrupted entries', () => {
+  const storage = memoryStorage();
+  const progress = { 'drift-vs-selection': { step: 2, answers: { 1: 1 }, completed: false } };
+  saveLessonProgress(progress, storage);
+  expect(JSON.parse(JSON.stringify(loadLessonProgress(storage)))).toEqual(progress);
+  storage.setItem(PROGRESS_KEY, JSON.stringify({ a: { step: -1 }, b: null, c: { step: 0 } }));
+  expect(loadLessonProgress(storage)).toEqual({ c: { step: 0, answers: {}, completed: false } });
+  storage.setItem(PROGRESS_KEY, '{not json');
+  expect(loadLessonProgress(storage)).toEqual({});
+});
@@ -0,0 +1,77 @@
+// Helpers for drawing long series: which points to draw for a window of
+// generations, and where to put the axis ticks.
+
+// Index range [i0, i1] of a series starting at generation `start` that covers
+// generations [from, to], widened by one point so lines reach the edges
+export const visibleRange = (length, start, from, to) => {
+  const i0 = Math.max(0, Math.floor(from - start) - 1);
+  const i1 = Math.min(length - 1, Math.ceil(to - start) + 1);
+  return [i0, Math.max(i0, i1)];
+};
+
+// Evenly spaced indices from i0 to i1 (inclusive), at most `maxPoints`
+export const strideIndices = (i0, i1, maxPoints) => {
+  const count = i1 - i0 + 1;
+  if (count <= maxPoints) return Array.from({ length: count }, (_, k) => i0 + k);
+  const stride = (count - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, k) => i0 + Math.round(k * stride));
+};
+
+// Min/max downsampling: per bucket keep the lowest and highest point (in
+// order), so spikes such as a brief loss or fixation survive the reduction
+export const minMaxIndices = (values, i0, i1, buckets) => {
+  const count = i1 - i0 + 1;
+  if (count <= buckets * 2) return Array.from({ length: count }, (_, k) => i0 + k);
+  const size = count / buckets;
+  const out = [i0];
+  for (let b = 0; b < buckets; b++) {
+    const from = i0 + Math.floor(b * size);
+    const to = Math.min(i1, i0 + Math.floor((b + 1) * size) - 1);
+    let lo = from;
+    let hi = from;
+    for (let i = from + 1; i <= to; i++) {
+      if (values[i] < values[lo]) lo = i;
+      if (values[i] > values[hi]) hi = i;
+    }
+    const pair = lo < hi ? [lo, hi] : [hi, lo];
+    pair.forEach(i => {
+      if (i > out[out.length - 1]) out.push(i);
+    });
+  }
+  if (out[out.length - 1] !== i1) out.push(i1);
+  return out;
+};
+
+// Round tick positions (1, 2 or 5 × 10ⁿ generations apart) within [from, to]
+export const niceTicks = (from, to, target = 6) => {
+  const span = Math.max(1, to - from);
+  const raw = span / target;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = Math.max(1, [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= raw));
+  const ticks = [];
+  for (let t = Math.ceil(from / step) * step; t <= to; t += step) ticks.push(t);
+  return ticks;
+};
+
+// Marching squares: segments where `grid` (rows of values along y) crosses
+// `level`, in grid coordinates (x = column index, y = row index)
+export const contourSegments = (grid, level) => {
+  const segments = [];
+  const cross = (v1, v2) => (v1 < level) !== (v2 < level);
+  const at = (v1, v2) => (level - v1) / (v2 - v1);
+  for (let j = 0; j < grid.length - 1; j++) {
+    for (let i = 0; i < grid[j].length - 1; i++) {
+      const a = grid[j][i];
+      const b = grid[j][i + 1];
+      const c = grid[j + 1][i + 1];
+      const d = grid[j + 1][i];
+      const points = [];
+      if (cross(a, b)) points.push([i + at(a, b), j]);
+      if (cross(b, c)) points.push([i + 1, j + at(b, c)]);
+      if (cross(d, c)) points.push([i + at(d, c), j + 1]);
+      if (cross(a, d)) points.push([i, j + at(a, d)]);
+      for (let k = 0; k + 1 < points.length; k += 2) segments.push([points[k], points[k + 1]]);
+    }
+  }
+  return segments;
+};
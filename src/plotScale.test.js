@@ -0,0 +1,45 @@
+import { visibleRange, strideIndices, minMaxIndices, niceTicks, contourSegments } from './plotScale';
+
+test('visibleRange covers the window with one point of margin', () => {
+  expect(visibleRange(1000, 0, 100, 200)).toEqual([99, 201]);
+  expect(visibleRange(1000, 500, 0, 10000)).toEqual([0, 999]);
+  expect(visibleRange(1, 0, 0, 1)).toEqual([0, 0]);
+});
+
+test('strideIndices keeps both ends and caps the count', () => {
+  expect(strideIndices(0, 4, 10)).toEqual([0, 1, 2, 3, 4]);
+  const idx = strideIndices(0, 9999, 500);
+  expect(idx).toHaveLength(500);
+  expect(idx[0]).toBe(0);
+  expect(idx[idx.length - 1]).toBe(9999);
+});
+
+test('minMaxIndices preserves a one-generation spike', () => {
+  const values = Array.from({ length: 10000 }, () => 0.5);
+  values[4321] = 1;
+  values[7000] = 0;
+  const idx = minMaxIndices(values, 0, values.length - 1, 200);
+  expect(idx.length).toBeLessThanOrEqual(402);
+  expect(idx).toContain(4321);
+  expect(idx).toContain(7000);
+  expect(idx).toEqual([...idx].sort((a, b) => a - b));
+  expect(idx[idx.length - 1]).toBe(9999);
+});
+
+test('niceTicks picks round generation numbers', () => {
+  expect(niceTicks(0, 100)).toEqual([0, 20, 40, 60, 80, 100]);
+  expect(niceTicks(1234, 1300)).toEqual([1240, 1260, 1280, 1300]);
+  expect(niceTicks(0, 3)).toEqual([0, 1, 2, 3]);
+});
+
+test('contourSegments traces a level between grid values', () => {
+  // Values increase along x: the 0.5 contour is the vertical line x = 0.5
+  const grid = [[0, 1], [0, 1], [0, 1]];
+  const segments = contourSegments(grid, 0.5);
+  expect(segments).toHaveLength(2);
+  segments.forEach(([[x1], [x2]]) => {
+    expect(x1).toBeCloseTo(0.5);
+    expect(x2).toBeCloseTo(0.5);
+  });
+  expect(contourSegments(grid, 2)).toEqual([]);
+});
@@ -0,0 +1,111 @@
+import { pathogenPresets } from './engine/presets';
+import { normalizeScenario } from './scenario';
+
+// User-defined pathogen presets, kept in localStorage next to the read-only
+// built-ins. Presets are stored as { [id]: preset } with the same fields as
+// `pathogenPresets`.
+
+export const STORAGE_KEY = 'egp-pop.presets';
+
+export const PRESET_SLIDERS = [
+  ['mutation', 'Mutation'],
+  ['selection', 'Selection'],
+  ['geneFlow', 'Gene flow'],
+  ['drift', 'Drift'],
+  ['recombination', 'Recombination'],
+  ['popSize', 'Population size (Nₑ)'],
+  ['sourceFreq', 'Migrant pool frequency'],
+  ['generationTime', 'Replication speed']
+];
+
+export const isBuiltIn = (id) => Object.prototype.hasOwnProperty.call(pathogenPresets, id);
+
+export const blankPreset = () => ({
+  name: 'New pathogen',
+  description: '',
+  mutation: 30,
+  selection: 50,
+  geneFlow: 20,
+  drift: 25,
+  recombination: 15,
+  popSize: 50,
+  sourceFreq: 50,
+  generationTime: 50
+});
+
+// Validate one preset; throws with a readable message
+export const validatePreset = (raw, where = 'Preset') => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where}: must be an object`);
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error(`${where}: "name" is required`);
+  const preset = { name: raw.name.trim(), description: typeof raw.description === 'string' ? raw.description : '' };
+  PRESET_SLIDERS.forEach(([key]) => {
+    const value = raw[key] === undefined && key === 'sourceFreq' ? 50 : raw[key];
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      throw new Error(`${where}: "${key}" must be a number from 0 to 100`);
+    }
+    preset[key] = value;
+  });
+  // Optional structure settings, as carried by the AMR, HIV and influenza built-ins
+  const extras = normalizeScenario({
+    mode: raw.mode,
+    transmission: raw.transmission,
+    resistance: raw.resistance,
+    schedule: raw.schedule,
+    selectionModel: raw.selectionModel,
+    epidemic: raw.epidemic
+  });
+  return { ...preset, ...extras };
+};
+
+// Unique id derived from the preset name
+export const presetId = (name, taken) => {
+  const base = `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset'}`;
+  let id = base;
+  for (let i = 2; taken[id] || isBuiltIn(id); i++) id = `${base}-${i}`;
+  return id;
+};
+
+export const loadUserPresets = (storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+    return Object.entries(stored).reduce((acc, [id, preset]) => {
+      if (isBuiltIn(id)) return acc;
+      try {
+        acc[id] = validatePreset(preset);
+      } catch (err) {
+        // drop a corrupted entry rather than the whole library
+      }
+      return acc;
+    }, {});
+  } catch (err) {
+    return {};
+  }
+};
+
+export const saveUserPresets = (presets, storage = window.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (err) {
+    // storage full or disabled (private browsing): presets last for this session
+  }
+};
+
+export const presetsToJSON = (presets) => JSON.stringify(Object.values(presets), null, 2);
+
+// Accepts an array of presets or a single preset; returns { [id]: preset }
+// with ids that do not collide with `existing`
+export const parsePresetsJSON = (text, existing = {}) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : [parsed];
+  const imported = {};
+  list.forEach((raw, i) => {
+    const preset = validatePreset(raw, `Preset ${i + 1}`);
+    imported[presetId(preset.name, { ...existing, ...imported })] = preset;
+  });
+  return imported;
+};
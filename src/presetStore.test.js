@@ -0,0 +1,53 @@
+import { validatePreset, presetId, loadUserPresets, saveUserPresets, parsePresetsJSON, presetsToJSON, blankPreset, isBuiltIn, STORAGE_KEY } from './presetStore';
+import { pathogenPresets } from './engine/presets';
+
+// Minimal in-memory stand-in for localStorage
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+};
+
+const sarsCov2 = {
+  name: 'SARS-CoV-2',
+  description: 'Rapid lineage turnover, moderate mutation',
+  mutation: 40, selection: 75, geneFlow: 70, drift: 30, recombination: 20, popSize: 70, sourceFreq: 50, generationTime: 80
+};
+
+test('validatePreset accepts every built-in preset', () => {
+  Object.values(pathogenPresets).forEach(preset => {
+    expect(() => validatePreset(preset)).not.toThrow();
+  });
+  expect(validatePreset(pathogenPresets.amr).mode).toBe('resistance');
+});
+
+test('validatePreset rejects missing names and out-of-range sliders', () => {
+  expect(() => validatePreset({ ...blankPreset(), name: ' ' })).toThrow(/name/);
+  expect(() => validatePreset({ ...blankPreset(), drift: 120 })).toThrow(/drift/);
+});
+
+test('ids are unique and never shadow built-ins', () => {
+  expect(presetId('SARS-CoV-2', {})).toBe('custom-sars-cov-2');
+  expect(presetId('SARS-CoV-2', { 'custom-sars-cov-2': sarsCov2 })).toBe('custom-sars-cov-2-2');
+  expect(isBuiltIn(presetId('influenza', {}))).toBe(false);
+});
+
+test('presets persist through storage and skip corrupted entries', () => {
+  const storage = memoryStorage();
+  saveUserPresets({ 'custom-sars-cov-2': sarsCov2 }, storage);
+  expect(loadUserPresets(storage)).toEqual({ 'custom-sars-cov-2': sarsCov2 });
+
+  storage.setItem(STORAGE_KEY, JSON.stringify({ 'custom-x': { name: 'X' }, influenza: sarsCov2, 'custom-ok': sarsCov2 }));
+  expect(Object.keys(loadUserPresets(storage))).toEqual(['custom-ok']);
+  expect(loadUserPresets(memoryStorage({ [STORAGE_KEY]: 'not json' }))).toEqual({});
+});
+
+test('export and import round-trip without id collisions', () => {
+  const existing = { 'custom-sars-cov-2': sarsCov2 };
+  const imported = parsePresetsJSON(presetsToJSON(existing), existing);
+  expect(imported).toEqual({ 'custom-sars-cov-2-2': sarsCov2 });
+  expect(() => parsePresetsJSON('[{"name": "Bad"}]')).toThrow(/Preset 1/);
+});
@@ -0,0 +1,215 @@
+import { SIMULATION_MODES } from './engine/modes';
+import { MODELS } from './engine/simulation';
+import { MAX_LOCI } from './engine/multilocus';
+import { TOPOLOGIES, MAX_DEMES } from './engine/metapopulation';
+import { defaultResistance } from './engine/resistance';
+import { validateSchedule } from './engine/schedule';
+import { SELECTION_MODELS, defaultSelectionModel } from './engine/selection';
+import { EPIDEMIC_MODELS, EPIDEMIC_RANGES, defaultEpidemic } from './engine/epidemic';
+import { SEQUENCE_TEMPLATES, SUBSTITUTION_MODELS, defaultSequences, parseSequenceInput } from './engine/sequences';
+import {
+  LANDSCAPE_KINDS, MIN_LANDSCAPE_LOCI, MAX_LANDSCAPE_LOCI, defaultLandscape, locusPairs, pairKey, fitnessTable
+} from './engine/landscape';
+
+// A scenario is everything needed to replay a setup: sliders, preset, view,
+// model, population structure and its settings, schedule and seed. It
+// round-trips through the URL hash (for sharing links) and JSON files.
+
+export const SCENARIO_VERSION = 1;
+
+const SLIDERS = ['mutation', 'selection', 'geneFlow', 'drift', 'recombination', 'popSize', 'sourceFreq', 'generationTime'];
+const VIEW_MODES = ['both', 'color', 'frequency'];
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const normalizeMetapopulation = (meta) => {
+  if (!meta || !Array.isArray(meta.demes) || meta.demes.length < 2 || meta.demes.length > MAX_DEMES) {
+    throw new Error('metapopulation needs 2 to 8 demes');
+  }
+  const n = meta.demes.length;
+  const demes = meta.demes.map((d, i) => ({
+    name: typeof d.name === 'string' ? d.name : `Deme ${i + 1}`,
+    popSize: clamp(Number(d.popSize) || 0, 0, 100),
+    selection: clamp(isNumber(d.selection) ? d.selection : 50, 0, 100),
+    p0: clamp(isNumber(d.p0) ? d.p0 : 0.5, 0, 1)
+  }));
+  const weights = Array.isArray(meta.weights) && meta.weights.length === n
+    ? meta.weights.map(row => Array.from({ length: n }, (_, j) => clamp(Number(row[j]) || 0, 0, 1)))
+    : undefined;
+  return { topology: TOPOLOGIES[meta.topology] ? meta.topology : 'island', demes, weights };
+};
+
+const normalizeSelectionModel = (model) => {
+  const immunity = model.immunity && typeof model.immunity === 'object' ? model.immunity : {};
+  return {
+    type: model.type,
+    equilibrium: clamp(isNumber(model.equilibrium) ? model.equilibrium : defaultSelectionModel.equilibrium, 0, 1),
+    immunity: Object.keys(defaultSelectionModel.immunity).reduce((acc, key) => {
+      acc[key] = clamp(isNumber(immunity[key]) ? immunity[key] : defaultSelectionModel.immunity[key], 0, 1);
+      return acc;
+    }, {})
+  };
+};
+
+// Switches must be booleans; fitness effects and the starting frequency are
+// fractions in [0, 1]
+const normalizeResistance = (resistance) => Object.entries(defaultResistance).reduce((acc, [key, fallback]) => {
+  const value = resistance[key];
+  if (typeof fallback === 'boolean') acc[key] = typeof value === 'boolean' ? value : fallback;
+  else acc[key] = clamp(isNumber(value) ? value : fallback, 0, 1);
+  return acc;
+}, {});
+
+const normalizeEpidemic = (epidemic) => ({
+  enabled: epidemic.enabled === true,
+  model: EPIDEMIC_MODELS[epidemic.model] ? epidemic.model : defaultEpidemic.model,
+  ...Object.entries(EPIDEMIC_RANGES).reduce((acc, [key, [lo, hi]]) => {
+    acc[key] = clamp(isNumber(epidemic[key]) ? epidemic[key] : defaultEpidemic[key], lo, hi);
+    return acc;
+  }, {})
+});
+
+// A custom reference must be a valid reading frame; designated codons outside
+// the reference are dropped
+const normalizeSequences = (config) => {
+  const template = SEQUENCE_TEMPLATES[config.template] ? config.template : 'custom';
+  const sequence = template === 'custom' ? parseSequenceInput(config.sequence) : '';
+  const firstCodon = template === 'custom'
+    ? (isNumber(config.firstCodon) ? Math.max(1, Math.round(config.firstCodon)) : 1)
+    : SEQUENCE_TEMPLATES[template].firstCodon;
+  const last = firstCodon + (template === 'custom' ? sequence.length : SEQUENCE_TEMPLATES[template].sequence.length) / 3 - 1;
+  const sites = Array.isArray(config.sites)
+    ? [...new Set(config.sites.filter(c => Number.isInteger(c) && c >= firstCodon && c <= last))].sort((a, b) => a - b)
+    : defaultSequences.sites.filter(c => c >= firstCodon && c <= last);
+  const frequencies = Array.isArray(config.baseFrequencies) && config.baseFrequencies.length === 4
+    && config.baseFrequencies.every(f => isNumber(f) && f > 0)
+    ? config.baseFrequencies
+    : defaultSequences.baseFrequencies;
+  const total = frequencies.reduce((a, b) => a + b, 0);
+  return {
+    template,
+    sequence,
+    firstCodon: template === 'custom' ? firstCodon : defaultSequences.firstCodon,
+    sites,
+    substitution: SUBSTITUTION_MODELS[config.substitution] ? config.substitution : defaultSequences.substitution,
+    kappa: clamp(isNumber(config.kappa) ? config.kappa : defaultSequences.kappa, 0.1, 20),
+    baseFrequencies: frequencies.map(f => f / total),
+    constraint: clamp(isNumber(config.constraint) ? config.constraint : defaultSequences.constraint, 0, 1)
+  };
+};
+
+// Effects and epistasis within ±1; a table of the wrong size is rebuilt from
+// the additive terms
+const normalizeLandscape = (landscape) => {
+  const k = clamp(isNumber(landscape.k) ? Math.round(landscape.k) : defaultLandscape.k, MIN_LANDSCAPE_LOCI, MAX_LANDSCAPE_LOCI);
+  const effects = Array.from({ length: MAX_LANDSCAPE_LOCI }, (_, i) => {
+    const value = Array.isArray(landscape.effects) ? landscape.effects[i] : undefined;
+    return clamp(isNumber(value) ? value : 0, -1, 1);
+  });
+  const raw = landscape.epistasis && typeof landscape.epistasis === 'object' ? landscape.epistasis : {};
+  const epistasis = locusPairs(MAX_LANDSCAPE_LOCI).reduce((acc, [i, j]) => {
+    const key = pairKey(i, j);
+    if (isNumber(raw[key]) && raw[key] !== 0) acc[key] = clamp(raw[key], -1, 1);
+    return acc;
+  }, {});
+  const additive = { k, kind: 'additive', effects, epistasis };
+  const table = Array.isArray(landscape.table) && landscape.table.length === 1 << k && landscape.table.every(isNumber)
+    ? landscape.table.map(w => clamp(w, 0, 10))
+    : fitnessTable(additive);
+  return { ...additive, kind: LANDSCAPE_KINDS[landscape.kind] ? landscape.kind : 'additive', table };
+};
+
+// Validate an untrusted scenario object; unknown or malformed fields are
+// dropped so a partial scenario only changes what it mentions. A nested
+// setting that fails validation throws with a readable message, or with
+// `dropInvalid` (shared links) is dropped on its own.
+export const normalizeScenario = (raw, { dropInvalid = false } = {}) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Scenario must be a JSON object');
+  const out = {};
+  const put = (key, normalize) => {
+    try {
+      out[key] = normalize(raw[key]);
+    } catch (err) {
+      if (!dropInvalid) throw err;
+    }
+  };
+
+  SLIDERS.forEach(key => {
+    if (isNumber(raw[key])) out[key] = clamp(Math.round(raw[key]), 0, 100);
+  });
+  if (typeof raw.pathogenType === 'string') out.pathogenType = raw.pathogenType;
+  if (VIEW_MODES.includes(raw.viewMode)) out.viewMode = raw.viewMode;
+  if (MODELS[raw.model]) out.model = raw.model;
+  if (SIMULATION_MODES[raw.mode]) out.mode = raw.mode;
+  if (isNumber(raw.seed)) out.seed = raw.seed >>> 0;
+  if (typeof raw.recurrentMutation === 'boolean') out.recurrentMutation = raw.recurrentMutation;
+  if (typeof raw.ensemble === 'boolean') out.ensemble = raw.ensemble;
+  if (isNumber(raw.replicates)) out.replicates = clamp(Math.round(raw.replicates), 10, 500);
+  if (isNumber(raw.loci)) out.loci = clamp(Math.round(raw.loci), 2, MAX_LOCI);
+  if (raw.metapopulation !== undefined) put('metapopulation', normalizeMetapopulation);
+  if (raw.transmission && typeof raw.transmission === 'object') {
+    const { generationsPerHost, bottleneck } = raw.transmission;
+    if (isNumber(generationsPerHost) && isNumber(bottleneck)) {
+      out.transmission = {
+        generationsPerHost: clamp(Math.round(generationsPerHost), 1, 10000),
+        bottleneck: clamp(Math.round(bottleneck), 1, 100000)
+      };
+    }
+  }
+  if (raw.resistance && typeof raw.resistance === 'object') put('resistance', normalizeResistance);
+  if (raw.schedule !== undefined) put('schedule', validateSchedule);
+  if (raw.selectionModel && SELECTION_MODELS[raw.selectionModel.type]) put('selectionModel', normalizeSelectionModel);
+  if (raw.epidemic && typeof raw.epidemic === 'object') put('epidemic', normalizeEpidemic);
+  if (raw.sequences && typeof raw.sequences === 'object') put('sequences', normalizeSequences);
+  if (raw.landscape && typeof raw.landscape === 'object') put('landscape', normalizeLandscape);
+
+  return out;
+};
+
+// URL hash: flat values as plain query parameters, nested settings as JSON
+export const encodeScenarioHash = (scenario) => {
+  const params = new URLSearchParams();
+  Object.entries(scenario).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (typeof value === 'object') params.set(key, JSON.stringify(value));
+    else if (typeof value === 'boolean') params.set(key, value ? '1' : '0');
+    else params.set(key, String(value));
+  });
+  return `#${params.toString()}`;
+};
+
+const BOOLEAN_KEYS = ['recurrentMutation', 'ensemble'];
+const JSON_KEYS = ['metapopulation', 'transmission', 'resistance', 'schedule', 'selectionModel', 'epidemic', 'sequences', 'landscape'];
+
+export const decodeScenarioHash = (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const raw = {};
+  params.forEach((value, key) => {
+    if (BOOLEAN_KEYS.includes(key)) raw[key] = value === '1';
+    else if (JSON_KEYS.includes(key)) {
+      try {
+        raw[key] = JSON.parse(value);
+      } catch (err) {
+        // ignore a mangled nested value, keep the rest of the link
+      }
+    } else if (value !== '' && !Number.isNaN(Number(value))) raw[key] = Number(value);
+    else raw[key] = value;
+  });
+  return normalizeScenario(raw, { dropInvalid: true });
+};
+
+export const scenarioToJSON = (scenario) => JSON.stringify({ version: SCENARIO_VERSION, ...scenario }, null, 2);
+
+export const parseScenarioJSON = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (parsed && parsed.version > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${parsed.version} is newer than this app supports`);
+  }
+  return normalizeScenario(parsed);
+};
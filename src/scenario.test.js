@@ -0,0 +1,119 @@
+import { normalizeScenario, encodeScenarioHash, decodeScenarioHash, scenarioToJSON, parseScenarioJSON, SCENARIO_VERSION } from './scenario';
+import { metapopulationPresets } from './engine/metapopulation';
+import { pathogenPresets } from './engine/presets';
+import { defaultEpidemic } from './engine/epidemic';
+import { defaultSequences, SEQUENCE_TEMPLATES } from './engine/sequences';
+import { LANDSCAPE_PRESETS } from './engine/landscape';
+
+const scenario = {
+  pathogenType: 'hiv',
+  mutation: 70,
+  selection: 85,
+  geneFlow: 10,
+  drift: 20,
+  recombination: 30,
+  popSize: 80,
+  sourceFreq: 50,
+  generationTime: 90,
+  viewMode: 'both',
+  model: 'wright-fisher',
+  mode: 'transmission',
+  seed: 12345,
+  recurrentMutation: true,
+  ensemble: false,
+  replicates: 100,
+  loci: 3,
+  transmission: { generationsPerHost: 150, bottleneck: 3 },
+  schedule: [{ param: 'selection', start: 50, value: 90, label: 'Treatment' }]
+};
+
+test('URL hash round-trips a full scenario', () => {
+  const hash = encodeScenarioHash(scenario);
+  expect(hash.startsWith('#')).toBe(true);
+  expect(hash).toContain('mutation=70');
+  expect(decodeScenarioHash(hash)).toEqual(scenario);
+});
+
+test('hash round-trips nested metapopulation and resistance settings', () => {
+  const sc = { mode: 'metapopulation', metapopulation: metapopulationPresets.hospital, resistance: pathogenPresets.amr.resistance };
+  const decoded = decodeScenarioHash(encodeScenarioHash(sc));
+  expect(decoded.metapopulation.demes).toEqual(metapopulationPresets.hospital.demes);
+  expect(decoded.metapopulation.weights).toEqual(metapopulationPresets.hospital.weights);
+  expect(decoded.resistance).toEqual(pathogenPresets.amr.resistance);
+});
+
+test('resistance fractions are clamped to [0, 1] and switches kept as booleans', () => {
+  const { resistance } = normalizeScenario({ resistance: { benefit: 3, cost: -0.5, compensation: 0.4, compensatoryCost: 'x', drug: 'yes', p0: 2 } });
+  expect(resistance).toMatchObject({ benefit: 1, cost: 0, compensation: 0.4, compensatoryCost: 0.02, compensatory: true, drug: false, p0: 1 });
+});
+
+test('a link with one malformed nested field keeps everything else', () => {
+  const badSchedule = [{ param: 'selection', start: 0, type: 'sine', amplitude: 5, period: 0.001, label: { a: 1 } }];
+  const { schedule, ...rest } = scenario;
+  const fromSchedule = decodeScenarioHash(encodeScenarioHash({ ...scenario, schedule: badSchedule }));
+  expect(fromSchedule).toEqual(rest);
+  expect(() => normalizeScenario({ schedule: badSchedule })).toThrow(/"period"/);
+
+  const oneDeme = { demes: [{ name: 'Alone', popSize: 50 }] };
+  const fromMeta = decodeScenarioHash(encodeScenarioHash({ ...scenario, metapopulation: oneDeme, resistance: pathogenPresets.amr.resistance }));
+  expect(fromMeta.metapopulation).toBeUndefined();
+  expect(fromMeta).toMatchObject({ ...scenario, resistance: pathogenPresets.amr.resistance });
+});
+
+test('JSON export carries a version and imports back', () => {
+  const text = scenarioToJSON(scenario);
+  expect(JSON.parse(text).version).toBe(SCENARIO_VERSION);
+  expect(parseScenarioJSON(text)).toEqual(scenario);
+});
+
+test('out-of-range and unknown values are clamped or dropped', () => {
+  const out = normalizeScenario({ mutation: 250, drift: -5, viewMode: 'sideways', model: 'moran', replicates: 2, loci: 99, bogus: 1 });
+  expect(out).toEqual({ mutation: 100, drift: 0, replicates: 10, loci: 8 });
+});
+
+test('a partial hash only sets the fields it mentions', () => {
+  expect(decodeScenarioHash('#selection=60&seed=7')).toEqual({ selection: 60, seed: 7 });
+  expect(decodeScenarioHash('')).toEqual({});
+});
+
+test('invalid JSON files are rejected with a readable message', () => {
+  expect(() => parseScenarioJSON('{')).toThrow(/Invalid JSON/);
+  expect(() => parseScenarioJSON('[1, 2]')).toThrow(/JSON object/);
+  expect(() => parseScenarioJSON('{"schedule": [{"param": "colour"}]}')).toThrow(/Entry 1/);
+  expect(() => parseScenarioJSON(JSON.stringify({ version: SCENARIO_VERSION + 1 }))).toThrow(/newer/);
+});
+
+test('selection models round-trip and unknown ones are dropped', () => {
+  const selectionModel = pathogenPresets.influenza.selectionModel;
+  expect(decodeScenarioHash(encodeScenarioHash({ selectionModel })).selectionModel).toEqual(selectionModel);
+  expect(normalizeScenario({ selectionModel: { type: 'telepathic' } }).selectionModel).toBeUndefined();
+  expect(normalizeScenario({ selectionModel: { type: 'balancing', equilibrium: 3 } }).selectionModel)
+    .toMatchObject({ type: 'balancing', equilibrium: 1 });
+});
+
+test('epidemic settings round-trip with out-of-range values clamped', () => {
+  const epidemic = { ...defaultEpidemic, enabled: true, model: 'SIR', R0: 4 };
+  expect(decodeScenarioHash(encodeScenarioHash({ epidemic })).epidemic).toEqual(epidemic);
+  expect(normalizeScenario({ epidemic: { model: 'zombie', R0: 50, hosts: 'many' } }).epidemic)
+    .toEqual({ ...defaultEpidemic, R0: 10 });
+});
+
+test('sequence settings round-trip; a custom reference is checked and stray codons dropped', () => {
+  const sequences = { ...defaultSequences, template: 'rt', sites: [184, 103], substitution: 'HKY', kappa: 8 };
+  expect(decodeScenarioHash(encodeScenarioHash({ sequences })).sequences).toEqual({ ...sequences, sites: [103, 184] });
+  const custom = normalizeScenario({
+    sequences: { template: 'custom', sequence: 'atg'.repeat(12), firstCodon: 5, sites: [4, 6, 6, 17, 2.5], baseFrequencies: [2, 1, 1, 0], kappa: 99 }
+  }).sequences;
+  expect(custom).toMatchObject({ sequence: 'ATG'.repeat(12), firstCodon: 5, sites: [6], kappa: 20, baseFrequencies: defaultSequences.baseFrequencies });
+  expect(normalizeScenario({ sequences: { template: 'ha' } }).sequences.sites).toEqual(SEQUENCE_TEMPLATES.ha.sites);
+  expect(() => normalizeScenario({ sequences: { template: 'custom', sequence: 'ATGTAA' } })).toThrow(/30 to 1500/);
+});
+
+test('fitness landscapes round-trip; bad tables are rebuilt from the additive terms', () => {
+  const landscape = { ...LANDSCAPE_PRESETS.resistance.config, kind: 'table', table: [1, 1.2, 0.9, 1.5, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2] };
+  expect(decodeScenarioHash(encodeScenarioHash({ landscape })).landscape).toEqual(landscape);
+  const rebuilt = normalizeScenario({ landscape: { k: 9, kind: 'fractal', effects: [0.1, 5], epistasis: { AB: -3, AZ: 1 }, table: [1, 2] } }).landscape;
+  expect(rebuilt).toMatchObject({ k: 4, kind: 'additive', effects: [0.1, 1, 0, 0], epistasis: { AB: -1 } });
+  expect(rebuilt.table).toHaveLength(16);
+  expect(rebuilt.table[3]).toBeCloseTo(1.1);
+});